@@ -0,0 +1,80 @@
+import crypto from 'crypto'
+import { supabase } from './supabaseClient.js'
+import { ApiError, isUniqueViolation } from './errors.js'
+import { hashPassword, validateNewPassword } from './passwords.js'
+import { logger } from './logger.js'
+
+// Criação do primeiro admin (usada por POST /setup-admin e pelo script bootstrap-admin.js).
+// Só funciona enquanto não existir nenhum usuário com tipo 'admin' — depois disso fica desativada para sempre.
+// A tabela admin_bootstrap (migração 0010) aceita uma única linha: quem a insere primeiro cria o admin, e um
+// bootstrap simultâneo (dois cold starts, por exemplo) recebe a violação de unicidade e responde 410.
+
+export class BootstrapError extends ApiError {
+  constructor(message, code, status) {
+    super(message, code, status)
+    this.name = 'BootstrapError'
+  }
+}
+
+const bootstrapCompleted = () => new BootstrapError('Já existe um administrador. O bootstrap está desativado.', 'BOOTSTRAP_COMPLETED', 410)
+
+export async function adminExists() {
+  const { data, error } = await supabase.from('users').select('id').eq('tipo', 'admin').limit(1)
+  if (error) throw error
+  return Array.isArray(data) && data.length > 0
+}
+
+// Compara o segredo informado com ADMIN_BOOTSTRAP_SECRET em tempo constante
+export function checkBootstrapSecret(provided) {
+  const expected = process.env.ADMIN_BOOTSTRAP_SECRET || ''
+  if (!expected) throw new BootstrapError('Bootstrap de admin desabilitado (ADMIN_BOOTSTRAP_SECRET não configurado)', 'BOOTSTRAP_DISABLED', 404)
+  const a = crypto.createHash('sha256').update(String(provided || '')).digest()
+  const b = crypto.createHash('sha256').update(expected).digest()
+  if (!provided || !crypto.timingSafeEqual(a, b)) throw new BootstrapError('Segredo de bootstrap inválido', 'BOOTSTRAP_FORBIDDEN', 403)
+}
+
+export async function bootstrapFirstAdmin({ email, senha, nome }) {
+  const normalizedEmail = email ? String(email).trim().toLowerCase() : ''
+  if (!normalizedEmail || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+    throw new BootstrapError('email válido é obrigatório', 'VALIDATION_ERROR', 400)
+  }
+  const senhaError = validateNewPassword(senha)
+  if (senhaError) throw new BootstrapError(senhaError.replace('nova_senha', 'senha'), 'VALIDATION_ERROR', 400)
+
+  if (await adminExists()) throw bootstrapCompleted()
+
+  // Reserva o bootstrap antes de criar o admin; a segunda reserva esbarra na chave primária
+  const { error: claimError } = await supabase.from('admin_bootstrap').insert([{ id: 1 }])
+  if (isUniqueViolation(claimError)) throw bootstrapCompleted()
+  if (claimError) throw claimError
+
+  let data
+  try {
+    const { data: inserted, error } = await supabase
+      .from('users')
+      .insert([{
+        email: normalizedEmail,
+        senha: await hashPassword(senha),
+        nome: nome ? String(nome).trim() : 'Administrador',
+        tipo: 'admin'
+      }])
+      .select('id,email,nome,tipo')
+      .maybeSingle()
+
+    if (error) {
+      if (isUniqueViolation(error)) throw new BootstrapError('Email já cadastrado', 'EMAIL_TAKEN', 409)
+      throw error
+    }
+    if (!inserted) throw new Error('Admin não foi inserido por razão desconhecida')
+    data = inserted
+  } catch (error) {
+    // Sem admin criado, a reserva é desfeita para o bootstrap poder ser tentado de novo
+    await supabase.from('admin_bootstrap').delete().eq('id', 1)
+    throw error
+  }
+
+  // O admin já existe: falhar aqui só deixaria admin_id vazio, então apenas registra
+  const { error: doneError } = await supabase.from('admin_bootstrap').update({ admin_id: data.id }).eq('id', 1)
+  if (doneError) logger.warn('[Bootstrap] admin criado, mas admin_id não foi gravado em admin_bootstrap', { error: doneError.message })
+  return data
+}
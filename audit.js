@@ -0,0 +1,64 @@
+import { supabase } from './supabaseClient.js'
+import { logger } from './logger.js'
+
+// Log de auditoria append-only (tabela audit_log) para ações destrutivas e administrativas.
+// O backend só insere nessa tabela — não existe rota de update/delete para ela.
+// Colunas: id, acao, ator_id, ator_email, ator_tipo, alvo_tipo, alvo_id, antes, depois, ip, user_agent, criado_em
+
+// Remove campos que não devem ir para o log (credenciais e blobs grandes)
+const OMITTED_FIELDS = ['senha', 'pdf_base64', 'signature', 'foto']
+
+function snapshot(row) {
+  if (row === undefined || row === null) return null
+  if (Array.isArray(row)) return row.map(snapshot)
+  if (typeof row !== 'object') return row
+  const copy = { ...row }
+  for (const field of OMITTED_FIELDS) {
+    if (field in copy) copy[field] = '[omitido]'
+  }
+  return copy
+}
+
+// Registra uma entrada de auditoria. Nunca lança: falha no log não deve desfazer a ação já executada.
+export async function recordAudit(req, { acao, alvo_tipo, alvo_id, antes = null, depois = null }) {
+  const entry = {
+    acao,
+    ator_id: req.user ? req.user.id : null,
+    ator_email: req.user ? req.user.email : null,
+    ator_tipo: req.user ? req.user.tipo : null,
+    alvo_tipo,
+    alvo_id: alvo_id === undefined || alvo_id === null ? null : String(alvo_id),
+    antes: snapshot(antes),
+    depois: snapshot(depois),
+    ip: req.ip || null,
+    user_agent: req.headers['user-agent'] || null,
+    criado_em: new Date().toISOString()
+  }
+  try {
+    const { error } = await supabase.from('audit_log').insert([entry])
+    if (error) throw error
+  } catch (e) {
+    logger.error('[Audit] falha ao registrar auditoria', { acao, alvo_tipo, alvo_id, error: e && e.message })
+  }
+}
+
+const AUDIT_FILTERS = ['acao', 'ator_email', 'alvo_tipo', 'alvo_id']
+const MAX_PAGE_SIZE = 200
+
+// Consulta paginada: filtros exatos em AUDIT_FILTERS, intervalo por desde/ate (ISO) e page/limit
+export async function queryAudit(params = {}) {
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || 50, 1), MAX_PAGE_SIZE)
+  const page = Math.max(parseInt(params.page, 10) || 1, 1)
+  const offset = (page - 1) * limit
+
+  let query = supabase.from('audit_log').select('*', { count: 'exact' })
+  for (const field of AUDIT_FILTERS) {
+    if (params[field]) query = query.eq(field, field === 'ator_email' ? String(params[field]).trim().toLowerCase() : String(params[field]))
+  }
+  if (params.desde) query = query.gte('criado_em', new Date(params.desde).toISOString())
+  if (params.ate) query = query.lte('criado_em', new Date(params.ate).toISOString())
+
+  const { data, error, count } = await query.order('criado_em', { ascending: false }).range(offset, offset + limit - 1)
+  if (error) throw error
+  return { data: data || [], page, limit, total: count ?? null }
+}
@@ -0,0 +1,152 @@
+import crypto from 'crypto'
+import { logger } from './logger.js'
+import { supabase } from './supabaseClient.js'
+
+// Tokens de sessão assinados (JWT HS256) e middlewares de autenticação.
+// Configure no .env / Vercel:
+// - AUTH_SECRET: segredo usado para assinar os tokens (obrigatório em produção)
+// - AUTH_TOKEN_TTL: validade do token em segundos (padrão 12h)
+
+const DEFAULT_TTL_SECONDS = 12 * 60 * 60
+
+// Lido sob demanda: index.js só chama dotenv.config() depois que os imports foram avaliados
+let authSecret = null
+function getSecret() {
+  if (authSecret) return authSecret
+  authSecret = process.env.AUTH_SECRET || process.env.JWT_SECRET || ''
+  if (!authSecret) {
+    // Sem segredo configurado os tokens valem só enquanto este processo estiver de pé
+    logger.warn('AUTH_SECRET não definido: usando segredo aleatório temporário. Todos os tokens serão invalidados ao reiniciar o servidor. Defina AUTH_SECRET no ambiente.')
+    authSecret = crypto.randomBytes(32).toString('hex')
+  }
+  return authSecret
+}
+
+const base64url = (input) => Buffer.from(input).toString('base64url')
+
+const sign = (data) => crypto.createHmac('sha256', getSecret()).update(data).digest('base64url')
+
+export function signToken(user, ttlSeconds = parseInt(process.env.AUTH_TOKEN_TTL, 10) || DEFAULT_TTL_SECONDS, extraClaims = {}) {
+  const now = Math.floor(Date.now() / 1000)
+  const header = { alg: 'HS256', typ: 'JWT' }
+  const payload = {
+    ...extraClaims,
+    sub: String(user.id),
+    email: user.email ? String(user.email).trim().toLowerCase() : null,
+    tipo: user.tipo || null,
+    nome: user.nome || null,
+    iat: now,
+    exp: now + ttlSeconds
+  }
+  const unsigned = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`
+  return {
+    token: `${unsigned}.${sign(unsigned)}`,
+    expiresAt: new Date(payload.exp * 1000).toISOString()
+  }
+}
+
+// Retorna o payload do token ou lança erro com `code` = 'TOKEN_INVALID' | 'TOKEN_EXPIRED'
+export function verifyToken(token) {
+  const fail = (code, message) => Object.assign(new Error(message), { code })
+
+  const parts = typeof token === 'string' ? token.split('.') : []
+  if (parts.length !== 3) throw fail('TOKEN_INVALID', 'Token malformado')
+
+  const [headerB64, payloadB64, signature] = parts
+  const expected = Buffer.from(sign(`${headerB64}.${payloadB64}`))
+  const received = Buffer.from(signature)
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw fail('TOKEN_INVALID', 'Assinatura do token inválida')
+  }
+
+  let header, payload
+  try {
+    header = JSON.parse(Buffer.from(headerB64, 'base64url').toString('utf8'))
+    payload = JSON.parse(Buffer.from(payloadB64, 'base64url').toString('utf8'))
+  } catch (e) {
+    throw fail('TOKEN_INVALID', 'Token malformado')
+  }
+  if (!header || header.alg !== 'HS256') throw fail('TOKEN_INVALID', 'Algoritmo de token não suportado')
+  if (!payload || !payload.exp || payload.exp * 1000 <= Date.now()) throw fail('TOKEN_EXPIRED', 'Token expirado')
+
+  return payload
+}
+
+// Tokens de propósito único (ex.: '2fa-login', '2fa-enroll'): curtos e recusados como sessão por requireAuth
+export function signPurposeToken(user, purpose, ttlSeconds) {
+  return signToken(user, ttlSeconds, { purpose })
+}
+
+export function verifyPurposeToken(token, purpose) {
+  const payload = verifyToken(token)
+  if (payload.purpose !== purpose) throw Object.assign(new Error('Token não serve para esta operação'), { code: 'TOKEN_INVALID' })
+  return payload
+}
+
+function extractBearer(req) {
+  const header = req.headers['authorization'] || ''
+  const match = /^Bearer\s+(.+)$/i.exec(header.trim())
+  return match ? match[1].trim() : null
+}
+
+function toRequestUser(payload) {
+  return {
+    id: /^\d+$/.test(payload.sub) ? parseInt(payload.sub, 10) : payload.sub,
+    email: payload.email,
+    tipo: payload.tipo,
+    nome: payload.nome || null,
+    purpose: payload.purpose || null
+  }
+}
+
+// Linha atual do usuário do token. Conta na lixeira (ou apagada) não tem sessão, mesmo com token ainda dentro da validade.
+async function findSessionUser(id) {
+  const { data, error } = await supabase.from('users').select('id,email,tipo,nome').eq('id', id).is('deleted_at', null).maybeSingle()
+  if (error) throw error
+  return data
+}
+
+// Igual a requireAuth, mas também aceita tokens com um dos propósitos informados (req.user.purpose indica qual).
+// O token só identifica o usuário: a conta é conferida no banco a cada requisição, e tipo/email vêm da linha atual
+// (uma exclusão ou troca de perfil vale na hora, sem esperar o token expirar).
+export function requireAuthAllowing(...purposes) {
+  return async (req, res, next) => {
+    const token = extractBearer(req)
+    if (!token) return res.status(401).json({ error: 'Autenticação necessária', code: 'AUTH_REQUIRED' })
+    let payload
+    try {
+      payload = verifyToken(token)
+    } catch (e) {
+      return res.status(401).json({ error: e.code === 'TOKEN_EXPIRED' ? 'Sessão expirada' : 'Token inválido', code: e.code || 'TOKEN_INVALID' })
+    }
+    if (payload.purpose && !purposes.includes(payload.purpose)) {
+      return res.status(401).json({ error: 'Token inválido', code: 'TOKEN_INVALID' })
+    }
+    try {
+      const user = await findSessionUser(payload.sub)
+      if (!user) return res.status(401).json({ error: 'Usuário da sessão não existe mais', code: 'SESSION_USER_NOT_FOUND' })
+      req.user = {
+        ...toRequestUser(payload),
+        email: user.email ? String(user.email).trim().toLowerCase() : null,
+        tipo: user.tipo,
+        nome: user.nome || null
+      }
+      return next()
+    } catch (error) {
+      return next(error)
+    }
+  }
+}
+
+// Exige um token de sessão válido no header Authorization: Bearer <token>; popula req.user
+export const requireAuth = requireAuthAllowing()
+
+// Popula req.user quando houver token válido, mas não bloqueia requisições sem token.
+// Um token presente porém inválido/expirado ainda gera 401 para o cliente renovar a sessão.
+export function optionalAuth(req, res, next) {
+  if (!extractBearer(req)) {
+    req.user = null
+    return next()
+  }
+  return requireAuth(req, res, next)
+}
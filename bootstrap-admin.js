@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// Cria o primeiro admin direto pelo terminal (mesma regra de POST /setup-admin: só funciona se ainda não houver admin).
+// Uso:
+//   npm run bootstrap:admin -- --email admin@exemplo.com --nome "Fulano"
+// A senha é lida de ADMIN_PASSWORD ou pedida no terminal (não passe a senha como argumento).
+import dotenv from 'dotenv'
+import readline from 'readline'
+
+dotenv.config()
+
+function parseArgs(argv) {
+  const args = {}
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([\w-]+)(?:=(.*))?$/.exec(argv[i])
+    if (!match) continue
+    args[match[1]] = match[2] !== undefined ? match[2] : argv[++i]
+  }
+  return args
+}
+
+function askHidden(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true })
+    rl._writeToOutput = (text) => {
+      if (text.includes(question)) rl.output.write(text)
+    }
+    rl.question(question, (answer) => {
+      rl.close()
+      process.stdout.write('\n')
+      resolve(answer)
+    })
+  })
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  const email = args.email || process.env.ADMIN_EMAIL
+  const nome = args.nome || process.env.ADMIN_NOME || 'Administrador'
+  if (!email) {
+    console.error('Informe o email: npm run bootstrap:admin -- --email admin@exemplo.com')
+    process.exit(1)
+  }
+
+  let senha = process.env.ADMIN_PASSWORD
+  if (!senha) {
+    if (!process.stdin.isTTY) {
+      console.error('Defina ADMIN_PASSWORD para rodar sem terminal interativo.')
+      process.exit(1)
+    }
+    senha = await askHidden('Senha do admin: ')
+    const confirmacao = await askHidden('Confirme a senha: ')
+    if (senha !== confirmacao) {
+      console.error('As senhas não conferem.')
+      process.exit(1)
+    }
+  }
+
+  // Importado depois do dotenv.config() para o cliente Supabase enxergar as variáveis do .env
+  const { bootstrapFirstAdmin, BootstrapError } = await import('./adminBootstrap.js')
+  try {
+    const admin = await bootstrapFirstAdmin({ email, senha, nome })
+    console.log('Admin criado com sucesso:', admin)
+  } catch (error) {
+    if (error instanceof BootstrapError) {
+      console.error(`Não foi possível criar o admin (${error.code}): ${error.message}`)
+    } else {
+      console.error('Erro ao criar admin:', error.message || error)
+    }
+    process.exit(1)
+  }
+}
+
+main()
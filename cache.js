@@ -0,0 +1,78 @@
+import crypto from 'crypto'
+
+// Cache em memória para respostas caras e pouco mutáveis (catálogo da loja, página pública de produto).
+// Cada entrada tem validade (TTL) e tags; as rotas de escrita invalidam pela tag em vez de saber quais chaves existem:
+//   const page = await cached(`produtos:${key}`, { ttlSeconds: 60, tags: ['produtos'] }, () => fetchPage(...))
+//   invalidateTag('produtos')   // depois de POST/PUT/DELETE /produtos
+// A memória é do processo: com várias instâncias (Vercel) a invalidação só vale para a instância que recebeu a escrita
+// e as demais ficam com o valor antigo até o TTL vencer. CACHE_ENABLED=false desliga o cache (toda chamada vai ao banco).
+
+const MAX_ENTRIES = 500
+
+const entries = new Map()
+const pending = new Map()
+// Incrementa a cada invalidação: um load() que começou antes dela não grava o resultado (já pode estar velho)
+let generation = 0
+
+const isEnabled = () => process.env.CACHE_ENABLED !== 'false'
+
+export function getCached(key) {
+  if (!isEnabled()) return undefined
+  const entry = entries.get(key)
+  if (!entry) return undefined
+  if (entry.expiresAt <= Date.now()) {
+    entries.delete(key)
+    return undefined
+  }
+  return entry.value
+}
+
+export function setCached(key, value, { ttlSeconds, tags = [] }) {
+  if (!isEnabled() || value === undefined || value === null) return
+  // Map mantém a ordem de inserção: reinserir move a chave para o fim e a mais antiga sai primeiro
+  entries.delete(key)
+  entries.set(key, { value, tags, expiresAt: Date.now() + ttlSeconds * 1000 })
+  while (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value)
+}
+
+// Devolve o valor da chave ou executa load() e guarda o resultado (null/undefined não são guardados).
+// Chamadas simultâneas para a mesma chave esperam o mesmo load().
+export async function cached(key, options, load) {
+  const hit = getCached(key)
+  if (hit !== undefined) {
+    return hit
+  }
+  if (pending.has(key)) return pending.get(key)
+  const startedAt = generation
+  const loading = (async () => {
+    try {
+      const value = await load()
+      if (startedAt === generation) setCached(key, value, options)
+      return value
+    } finally {
+      pending.delete(key)
+    }
+  })()
+  pending.set(key, loading)
+  return loading
+}
+
+export function invalidateTag(tag) {
+  let removed = 0
+  for (const [key, entry] of entries) {
+    if (entry.tags.includes(tag)) {
+      entries.delete(key)
+      removed++
+    }
+  }
+  generation++
+  pending.clear()
+  return removed
+}
+
+// ETag fraco do conteúdo. Definido antes de res.send/res.json, o Express o reaproveita e responde 304
+// quando o cliente manda o mesmo valor em If-None-Match.
+export const etagFor = (body) => {
+  const text = typeof body === 'string' ? body : JSON.stringify(body)
+  return `W/"${crypto.createHash('sha1').update(text).digest('base64url')}"`
+}
@@ -0,0 +1,177 @@
+import fs from 'fs'
+import path from 'path'
+import { supabase } from './supabaseClient.js'
+import { ROLES, allow } from './policies.js'
+import { authenticateUser } from './passwords.js'
+import { guardLogin, recordLoginFailure, recordLoginSuccess } from './loginThrottle.js'
+import { USER_VIEWS, serializeUser } from './userSerializer.js'
+import { v, validate } from './validation.js'
+import { ApiError } from './errors.js'
+import { logger } from './logger.js'
+
+// Rotas de diagnóstico. /health/deep fica sempre disponível (só admin);
+// as rotas de debug (/debug/config, /contracts-debug/all, /test-login, /treinos-debug)
+// só são montadas com DIAGNOSTICS_ENABLED=true e também exigem admin.
+
+export const EXPECTED_TABLES = [
+  'users', 'treinos', 'progresso', 'contracts', 'contract_settings', 'mensagens', 'consultorias',
+  'posts', 'curtidas', 'comentarios', 'produtos_loja', 'settings', 'alunos', 'admin_contracts',
+  'password_resets', 'audit_log', 'user_2fa', 'convites', 'idempotency_keys', 'admin_bootstrap',
+  'comentarios_recentes'
+]
+
+export const UPLOAD_DIRS = ['uploads/contracts', 'uploads/posts']
+
+const CHECK_TIMEOUT_MS = 5000
+const SECRET_NAME_PATTERN = /KEY|SECRET|PASS|TOKEN|PRIVATE/i
+const SECRET_FIELDS = ['senha', 'pdf_base64', 'signature', 'foto', 'token', 'secret']
+
+export const diagnosticsEnabled = () => process.env.DIAGNOSTICS_ENABLED === 'true'
+
+// Substitui valores sensíveis: variáveis cujo nome parece segredo e campos conhecidos de linhas do banco
+export function redactEnv(env = process.env, names = Object.keys(env)) {
+  const out = {}
+  for (const name of names) {
+    if (env[name] === undefined) continue
+    out[name] = SECRET_NAME_PATTERN.test(name) ? '[redacted]' : env[name]
+  }
+  return out
+}
+
+export function redactRow(row) {
+  if (Array.isArray(row)) return row.map(redactRow)
+  if (!row || typeof row !== 'object') return row
+  const copy = {}
+  for (const [key, value] of Object.entries(row)) {
+    copy[key] = SECRET_FIELDS.includes(key) ? '[redacted]' : redactRow(value)
+  }
+  return copy
+}
+
+const withTimeout = (promise, ms, label) => Promise.race([
+  promise,
+  new Promise((_, reject) => setTimeout(() => reject(new Error(`${label}: timeout após ${ms}ms`)), ms))
+])
+
+async function checkTable(table) {
+  const started = Date.now()
+  try {
+    const { error } = await withTimeout(supabase.from(table).select('*', { count: 'exact', head: true }), CHECK_TIMEOUT_MS, table)
+    if (error) return { ok: false, ms: Date.now() - started, code: error.code || null, error: error.message }
+    return { ok: true, ms: Date.now() - started }
+  } catch (e) {
+    return { ok: false, ms: Date.now() - started, error: e.message }
+  }
+}
+
+async function checkUploadDir(dir) {
+  const probe = path.join(dir, `.healthcheck_${process.pid}_${Date.now()}`)
+  try {
+    await fs.promises.mkdir(dir, { recursive: true })
+    await fs.promises.writeFile(probe, 'ok')
+    await fs.promises.unlink(probe)
+    return { ok: true }
+  } catch (e) {
+    return { ok: false, error: e.message }
+  }
+}
+
+// Verificação completa: Supabase alcançável, cada tabela esperada e pastas de upload graváveis
+export async function runDeepHealthCheck() {
+  const started = Date.now()
+  const tableEntries = await Promise.all(EXPECTED_TABLES.map(async t => [t, await checkTable(t)]))
+  const tables = Object.fromEntries(tableEntries)
+  const uploads = Object.fromEntries(await Promise.all(UPLOAD_DIRS.map(async d => [d, await checkUploadDir(d)])))
+
+  // Supabase está alcançável se ao menos a consulta respondeu sem erro de rede/timeout (erro de tabela ausente conta como alcançável)
+  const supabaseReachable = tableEntries.some(([, r]) => r.ok || r.code)
+  const allTablesOk = tableEntries.every(([, r]) => r.ok)
+  const allUploadsOk = Object.values(uploads).every(r => r.ok)
+
+  return {
+    status: !supabaseReachable ? 'down' : (allTablesOk && allUploadsOk ? 'ok' : 'degraded'),
+    timestamp: new Date().toISOString(),
+    duration_ms: Date.now() - started,
+    checks: {
+      supabase: { ok: supabaseReachable },
+      tables,
+      uploads
+    }
+  }
+}
+
+export function registerDiagnosticsRoutes(app) {
+  app.get('/health/deep', allow(ROLES.ADMIN), async (req, res) => {
+    try {
+      const report = await runDeepHealthCheck()
+      res.status(report.status === 'ok' ? 200 : 503).json(report)
+    } catch (error) {
+      logger.error('[GET /health/deep] erro', error)
+      res.status(503).json({ status: 'down', error: 'Erro ao executar verificação', details: error.message })
+    }
+  })
+
+  if (!diagnosticsEnabled()) return
+  logger.warn('[Diagnostics] DIAGNOSTICS_ENABLED=true: rotas de debug montadas (somente admin)')
+
+  // Configuração do ambiente, sem valores secretos
+  app.get('/debug/config', allow(ROLES.ADMIN), (req, res) => {
+    const names = Object.keys(process.env).filter(k => /SUPABASE|DATABASE|DATA_BACKEND|SQLITE|PORT|NODE_ENV|MAIL|SMTP|AUTH|LOGIN|DIAGNOSTICS/.test(k))
+    let supabaseHost = 'NÃO CONFIGURADO'
+    try {
+      if (process.env.SUPABASE_URL) supabaseHost = new URL(process.env.SUPABASE_URL).host
+    } catch (e) {
+      supabaseHost = 'URL inválida'
+    }
+    res.json({
+      timestamp: new Date().toISOString(),
+      environment: {
+        SUPABASE_HOST: supabaseHost,
+        SUPABASE_SERVICE_KEY_CONFIGURED: !!process.env.SUPABASE_SERVICE_KEY,
+        NODE_ENV: process.env.NODE_ENV || 'não definido',
+        variables: redactEnv(process.env, names)
+      },
+      supabaseClient: { hasClient: !!supabase }
+    })
+  })
+
+  // Amostra de contratos (paginada e sem assinaturas/blobs), em vez de despejar a tabela inteira
+  app.get('/contracts-debug/all', allow(ROLES.ADMIN), validate({ query: { limit: v.integer({ min: 1, max: 100 }).default(20), offset: v.integer({ min: 0 }).default(0) } }), async (req, res, next) => {
+    try {
+      const { limit, offset } = req.query
+      const { data, error, count } = await supabase.from('contracts').select('*', { count: 'exact' }).is('deleted_at', null).range(offset, offset + limit - 1)
+      if (error) throw error
+      res.json({ total: count ?? null, limit, offset, data: (data || []).map(redactRow) })
+    } catch (error) {
+      next(error)
+    }
+  })
+
+  // Testa credenciais sem emitir sessão
+  app.post('/test-login', allow(ROLES.ADMIN), validate({ body: { email: v.email({ lowercase: false }), senha: v.string({ trim: false }) } }), guardLogin, async (req, res, next) => {
+    try {
+      const { email, senha } = req.body
+
+      const startTime = Date.now()
+      const { data, error } = await supabase.from('users').select('*').eq('email', email).is('deleted_at', null)
+      logger.info('[POST /test-login] consulta do usuário concluída', { email, duration_ms: Date.now() - startTime })
+
+      if (error) throw error
+
+      const user = await authenticateUser(supabase, data, senha, '[TEST-LOGIN]')
+      if (!user) {
+        recordLoginFailure(req.loginAttempt)
+        throw new ApiError('Credenciais inválidas', 'INVALID_CREDENTIALS', 401)
+      }
+      recordLoginSuccess(req.loginAttempt)
+      res.json({ success: true, user: serializeUser(user, USER_VIEWS.ADMIN), message: 'Login bem-sucedido' })
+    } catch (error) {
+      next(error)
+    }
+  })
+
+  // Verificação leve (não acessa o banco)
+  app.get('/treinos-debug', allow(ROLES.ADMIN), (req, res) => {
+    res.json({ ok: true, time: new Date().toISOString() })
+  })
+}
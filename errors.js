@@ -0,0 +1,101 @@
+// Envelope único de erro da API e tradução dos códigos do banco (PostgREST/Postgres e o driver SQLite, que usa os mesmos códigos).
+// Handlers só lançam (ou passam para next) e o errorHandler, montado depois de todas as rotas, responde:
+//   { error: 'mensagem', code: 'CODIGO_ESTAVEL' }
+// Fora de produção a resposta também traz `details` (mensagem original) e `db_code`; em produção (NODE_ENV=production)
+// nada interno sai na resposta, só no log do servidor.
+
+import { logger } from './logger.js'
+
+export class ApiError extends Error {
+  constructor(message, code, status, fields = {}) {
+    super(message)
+    this.name = 'ApiError'
+    this.code = code
+    this.status = status
+    this.fields = fields
+  }
+}
+
+export class NotFoundError extends ApiError {
+  constructor(message = 'Registro não encontrado', code = 'NOT_FOUND') {
+    super(message, code, 404)
+    this.name = 'NotFoundError'
+  }
+}
+
+export class ConflictError extends ApiError {
+  constructor(message = 'Registro já existe', code = 'CONFLICT') {
+    super(message, code, 409)
+    this.name = 'ConflictError'
+  }
+}
+
+// Campos inválidos: [{ campo: 'body.email', erro: 'deve ser um email válido' }] (ver validation.js)
+export class ValidationError extends ApiError {
+  constructor(campos) {
+    super('Dados inválidos', 'VALIDATION_ERROR', 400, { campos })
+    this.name = 'ValidationError'
+  }
+}
+
+export class ServiceUnavailableError extends ApiError {
+  constructor(message = 'Serviço indisponível', code = 'SERVICE_UNAVAILABLE') {
+    super(message, code, 503)
+    this.name = 'ServiceUnavailableError'
+  }
+}
+
+const MIGRATE_HINT = 'Execute as migrações do banco (npm run migrate).'
+
+// Código do banco -> erro da API. Mensagens genéricas: o detalhe (tabela, coluna, constraint) fica no log.
+const DATABASE_ERRORS = {
+  PGRST116: { status: 404, code: 'NOT_FOUND', message: 'Registro não encontrado' },
+  '23505': { status: 409, code: 'CONFLICT', message: 'Registro já existe' },
+  '23503': { status: 409, code: 'REFERENCE_CONFLICT', message: 'Registro referenciado por outros dados' },
+  '23502': { status: 400, code: 'MISSING_FIELD', message: 'Campo obrigatório ausente' },
+  '22P02': { status: 400, code: 'INVALID_VALUE', message: 'Valor em formato inválido' },
+  '42P01': { status: 503, code: 'SCHEMA_OUTDATED', message: `Tabela ausente no banco. ${MIGRATE_HINT}` },
+  PGRST205: { status: 503, code: 'SCHEMA_OUTDATED', message: `Tabela ausente no banco. ${MIGRATE_HINT}` },
+  '42703': { status: 503, code: 'SCHEMA_OUTDATED', message: `Coluna ausente no banco. ${MIGRATE_HINT}` },
+  PGRST204: { status: 503, code: 'SCHEMA_OUTDATED', message: `Coluna ausente no banco. ${MIGRATE_HINT}` },
+  '42P10': { status: 503, code: 'SCHEMA_OUTDATED', message: `Constraint única ausente no banco. ${MIGRATE_HINT}` }
+}
+
+export const isMissingTable = (error) => !!error && ['42P01', 'PGRST205'].includes(error.code)
+export const isMissingColumn = (error) => !!error && ['42703', 'PGRST204'].includes(error.code)
+export const isUniqueViolation = (error) => !!error && error.code === '23505'
+
+const isProduction = () => process.env.NODE_ENV === 'production'
+
+// Converte qualquer erro lançado em ApiError
+export function toApiError(error) {
+  if (error instanceof ApiError) return error
+  const mapped = error && typeof error.code === 'string' ? DATABASE_ERRORS[error.code] : null
+  if (mapped) return new ApiError(mapped.message, mapped.code, mapped.status)
+  // Erros do próprio Express/body-parser/multer (JSON malformado, payload grande demais, upload inválido)
+  if (error && error.type === 'entity.parse.failed') return new ApiError('JSON inválido no corpo da requisição', 'INVALID_JSON', 400)
+  if (error && error.name === 'MulterError') return new ApiError(`Falha no upload: ${error.message}`, 'UPLOAD_ERROR', 400)
+  if (error && error.expose && error.status >= 400 && error.status < 500) return new ApiError(error.message, 'BAD_REQUEST', error.status)
+  return new ApiError('Erro interno do servidor', 'INTERNAL_ERROR', 500)
+}
+
+// Middleware de erro do Express: registre depois de todas as rotas
+export function errorHandler(error, req, res, next) {
+  if (res.headersSent) return next(error)
+  const apiError = toApiError(error)
+  const where = `[${req.method} ${req.route ? req.route.path : req.path}]`
+  if (apiError.status >= 500) logger.error(`${where} erro`, { code: apiError.code, error })
+  else if (apiError !== error) logger.warn(`${where} ${apiError.code}`, { error: error && error.message, db_code: error && error.code })
+
+  const body = { error: apiError.message, code: apiError.code, ...apiError.fields }
+  if (!isProduction() && apiError !== error) {
+    body.details = error && error.message
+    if (error && error.code) body.db_code = error.code
+  }
+  return res.status(apiError.status).json(body)
+}
+
+// Rotas inexistentes respondem no mesmo envelope (em vez da página HTML padrão do Express)
+export function notFoundHandler(req, res) {
+  res.status(404).json({ error: 'Rota não encontrada', code: 'ROUTE_NOT_FOUND' })
+}
@@ -0,0 +1,66 @@
+import { supabase } from './supabaseClient.js'
+import { logger } from './logger.js'
+
+// Feed social: montagem dos itens com número fixo de consultas, qualquer que seja o tamanho da página.
+// - curtidas_count / comentarios_count: colunas de posts (migração 0006), recalculadas a cada curtida, descurtida
+//   e comentário por refreshPostCounters
+// - comentarios_preview: uma consulta na view comentarios_recentes (migração 0012), que numera os comentários de cada post;
+//   só vêm os COMMENT_PREVIEW_SIZE mais recentes de cada post, então a resposta não cresce com o total de comentários
+// - curtido_por_mim: uma consulta com as curtidas de quem pede o feed nos posts da página
+
+export const COMMENT_PREVIEW_SIZE = 3
+
+// Recalcula os contadores a partir das tabelas (contagem, não incremento: escritas concorrentes não acumulam erro).
+// Falha aqui não desfaz a curtida/comentário já gravado; o próximo recálculo do post corrige o valor.
+export async function refreshPostCounters(postId) {
+  try {
+    const [likes, comments] = await Promise.all([
+      supabase.from('curtidas').select('*', { count: 'exact', head: true }).eq('post_id', postId),
+      supabase.from('comentarios').select('*', { count: 'exact', head: true }).eq('post_id', postId)
+    ])
+    if (likes.error) throw likes.error
+    if (comments.error) throw comments.error
+    const counters = { curtidas_count: likes.count || 0, comentarios_count: comments.count || 0 }
+    const { error } = await supabase.from('posts').update(counters).eq('id', postId)
+    if (error) throw error
+    return counters
+  } catch (e) {
+    logger.warn('[Feed] falha ao atualizar contadores do post', { post_id: postId, error: e && e.message, code: e && e.code })
+    return null
+  }
+}
+
+// Acrescenta aos posts a prévia de comentários e curtido_por_mim (os contadores já vêm nas linhas de posts)
+export async function buildFeedItems(posts, viewerEmail) {
+  const list = posts || []
+  if (!list.length) return []
+  const ids = list.map(post => post.id)
+
+  const [comments, liked] = await Promise.all([
+    supabase.from('comentarios_recentes').select('*').in('post_id', ids)
+      .lte('ordem', COMMENT_PREVIEW_SIZE)
+      .order('post_id', { ascending: true })
+      .order('ordem', { ascending: true }),
+    viewerEmail
+      ? supabase.from('curtidas').select('post_id').in('post_id', ids).eq('usuario_email', viewerEmail.toLowerCase())
+      : { data: [], error: null }
+  ])
+  if (comments.error) throw comments.error
+  if (liked.error) throw liked.error
+
+  const previews = new Map()
+  for (const { ordem, ...comment } of comments.data || []) {
+    const preview = previews.get(comment.post_id) || []
+    preview.push(comment)
+    previews.set(comment.post_id, preview)
+  }
+  const likedIds = new Set((liked.data || []).map(row => row.post_id))
+
+  return list.map(post => ({
+    ...post,
+    curtidas_count: post.curtidas_count || 0,
+    comentarios_count: post.comentarios_count || 0,
+    comentarios_preview: previews.get(post.id) || [],
+    curtido_por_mim: likedIds.has(post.id)
+  }))
+}
@@ -0,0 +1,133 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import { supabase } from './supabaseClient.js'
+import { ApiError, ConflictError, ValidationError, isUniqueViolation } from './errors.js'
+import { logger } from './logger.js'
+
+// Header Idempotency-Key nas rotas de criação que clientes móveis repetem (concluir treino, mensagens, contratos, posts).
+// A primeira resposta (status e corpo) fica guardada por chave e usuário; repetir a requisição com a mesma chave devolve
+// essa resposta sem executar o handler de novo, com o header Idempotent-Replayed: true.
+//   api.post('/mensagens', authenticated, validate({ body }), idempotent, handler)
+// Vai depois da política (usa req.user) e da validação/multer (o payload comparado é o já normalizado).
+// - mesma chave com outro payload (rota, parâmetros, body ou arquivo): 422 IDEMPOTENCY_KEY_REUSED
+// - mesma chave enquanto a primeira requisição ainda executa: 409 IDEMPOTENCY_REQUEST_IN_PROGRESS
+// - respostas 5xx não são guardadas: a chave é liberada para o cliente tentar de novo
+// Sem o header nada muda. As chaves ficam em idempotency_keys (migração 0008) por IDEMPOTENCY_TTL_HOURS (padrão 24).
+
+const TABLE = 'idempotency_keys'
+const KEY_PATTERN = /^[A-Za-z0-9._:-]{1,255}$/
+const IDEMPOTENT = Symbol('idempotent')
+
+export const idempotencyTtlHours = () => parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24
+
+// JSON com as chaves ordenadas: o mesmo body em outra ordem de campos gera o mesmo hash
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value === undefined ? null : value)
+}
+
+function payloadHash(req) {
+  const file = req.file ? { nome: req.file.originalname, tamanho: req.file.size, tipo: req.file.mimetype } : null
+  const payload = { rota: `${req.method} ${req.route.path}`, params: req.params, body: req.body || {}, arquivo: file }
+  return crypto.createHash('sha256').update(stableStringify(payload)).digest('hex')
+}
+
+// Arquivo que o multer já gravou para uma requisição que não vai executar (repetição ou conflito)
+function discardUpload(req) {
+  if (!req.file || !req.file.path) return
+  fs.promises.unlink(req.file.path).catch(e => logger.warn('[Idempotency] falha ao remover upload descartado', { path: req.file.path, error: e.message }))
+}
+
+async function findKey(userId, key) {
+  const { data, error } = await supabase.from(TABLE).select('*').eq('user_id', userId).eq('chave', key).maybeSingle()
+  if (error) throw error
+  return data
+}
+
+// Reserva a chave para esta requisição ou devolve o registro existente ({ claimed } ou { existing })
+async function claimKey(userId, key, rota, hash) {
+  const now = new Date()
+  // Limpeza das chaves vencidas (inclusive esta, se já expirou): elas não valem mais para repetição
+  const { error: purgeError } = await supabase.from(TABLE).delete().lt('expira_em', now.toISOString())
+  if (purgeError) logger.warn('[Idempotency] falha ao remover chaves expiradas', { error: purgeError.message, code: purgeError.code })
+
+  const existing = await findKey(userId, key)
+  if (existing) return { existing }
+
+  const expiraEm = new Date(now.getTime() + idempotencyTtlHours() * 60 * 60 * 1000).toISOString()
+  const { data, error } = await supabase
+    .from(TABLE)
+    .insert({ user_id: userId, chave: key, rota, payload_hash: hash, expira_em: expiraEm })
+    .select()
+    .single()
+  // Outra requisição com a mesma chave reservou entre a busca e o insert
+  if (isUniqueViolation(error)) return { existing: await findKey(userId, key) }
+  if (error) throw error
+  return { claimed: data }
+}
+
+// Guarda a resposta antes de enviá-la, para que uma repetição logo em seguida já a encontre
+function recordResponse(req, res, record) {
+  const send = res.json.bind(res)
+  let settled = false
+
+  res.json = (body) => {
+    res.json = send
+    settled = true
+    const status = res.statusCode
+    const save = status >= 500
+      ? supabase.from(TABLE).delete().eq('id', record.id)
+      : supabase.from(TABLE).update({ status_code: status, resposta: body === undefined ? null : body, concluido_em: new Date().toISOString() }).eq('id', record.id)
+    Promise.resolve(save)
+      .then(({ error }) => {
+        if (error) logger.warn('[Idempotency] falha ao guardar resposta', { chave: record.chave, error: error.message, code: error.code })
+      }, (e) => logger.warn('[Idempotency] falha ao guardar resposta', { chave: record.chave, error: e.message }))
+      .finally(() => send(body))
+    return res
+  }
+
+  // Resposta que não passou por res.json (conexão encerrada, send de outro tipo): libera a chave
+  res.on('close', () => {
+    if (settled) return
+    Promise.resolve(supabase.from(TABLE).delete().eq('id', record.id).is('status_code', null))
+      .catch(e => logger.warn('[Idempotency] falha ao liberar chave', { chave: record.chave, error: e.message }))
+  })
+}
+
+export async function idempotent(req, res, next) {
+  const key = req.get('idempotency-key')
+  if (key === undefined) return next()
+  try {
+    if (!KEY_PATTERN.test(key)) {
+      throw new ValidationError([{ campo: 'headers.idempotency-key', erro: 'deve ter de 1 a 255 caracteres (letras, números, . _ : -)' }])
+    }
+    const rota = `${req.method} ${req.route.path}`
+    const hash = payloadHash(req)
+    const { claimed, existing } = await claimKey(req.user.id, key, rota, hash)
+
+    if (existing) {
+      discardUpload(req)
+      if (existing.payload_hash !== hash) {
+        throw new ApiError('Idempotency-Key já usada com outro conteúdo', 'IDEMPOTENCY_KEY_REUSED', 422)
+      }
+      if (existing.status_code === null || existing.status_code === undefined) {
+        throw new ConflictError('Requisição com esta Idempotency-Key ainda em andamento', 'IDEMPOTENCY_REQUEST_IN_PROGRESS')
+      }
+      logger.info('[Idempotency] resposta repetida', { chave: key, rota, status: existing.status_code })
+      res.set('Idempotent-Replayed', 'true')
+      return res.status(existing.status_code).json(existing.resposta)
+    }
+
+    recordResponse(req, res, claimed)
+    return next()
+  } catch (error) {
+    return next(error)
+  }
+}
+idempotent[IDEMPOTENT] = true
+
+// Se o handler é o middleware de idempotência (usado por openapi.js para documentar o header)
+export const isIdempotent = (handler) => !!(handler && handler[IDEMPOTENT])
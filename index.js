@@ -1,24 +1,57 @@
 import express from 'express'
 import cors from 'cors'
-import { supabase } from './supabaseClient.js'
+import { supabase, dataBackend } from './supabaseClient.js'
+import { dialectFor, getSchemaStatus } from './migrations.js'
 import multer from 'multer'
 import fs from 'fs'
 import path from 'path'
 import dotenv from 'dotenv'
 import crypto from 'crypto'
+import { hashPassword, isPasswordHash, authenticateUser, verifyPassword, MIN_PASSWORD_LENGTH, generateOpaqueToken, hashOpaqueToken } from './passwords.js'
+import { signToken, signPurposeToken, verifyPurposeToken, optionalAuth } from './auth.js'
+import { ROLES, allow, allowWithPurpose, authenticated, publicRoute, assertRoutePolicies } from './policies.js'
+import { buildOpenApiDocument, assertRouteDocs, renderDocsPage } from './openapi.js'
+import { legacyRoute, listLegacyUsage } from './legacyRoutes.js'
+import { idempotent } from './idempotency.js'
+import { canAccessUser, canAccessContract, findTargetUser, requireOwnership, scopeUsersQuery, listOwnedAlunoEmails } from './ownership.js'
+import { sendMail } from './mailer.js'
+import { recordAudit, queryAudit } from './audit.js'
+import { checkBootstrapSecret, adminExists, bootstrapFirstAdmin } from './adminBootstrap.js'
+import { TWO_FACTOR_ROLES, getTwoFactor, isTwoFactorEnabled, isTwoFactorRequired, startEnrollment, confirmEnrollment, verifySecondFactor, regenerateRecoveryCodes, disableTwoFactor } from './twoFactor.js'
+import { registerDiagnosticsRoutes } from './diagnostics.js'
+import { USER_VIEWS, serializeUser, serializeUserFor, serializeUsersFor } from './userSerializer.js'
+import { findDuplicateUsers, mergeUsers } from './userMerge.js'
+import { INVITE_STATUSES, inviteTtlHours, serializeInvite, createInvite, listInvites, getManagedInvite, resendInvite, revokeInvite, findInviteByToken, acceptInvite } from './invites.js'
+import { v, validate } from './validation.js'
+import { MAX_PAGE_SIZE, listQuery, fetchPage, sendPage, anyColumnEquals, unversionedPageSize, pageLimit } from './pagination.js'
+import { buildFeedItems, refreshPostCounters } from './feed.js'
+import { cached, getCached, setCached, invalidateTag, etagFor } from './cache.js'
+import { fetchMercadoLivreProduct } from './mercadoLivre.js'
+import { TRASH_TYPES, moveToTrash, listTrash, restoreFromTrash, scheduleTrashPurge } from './trash.js'
+import { ApiError, NotFoundError, ConflictError, ServiceUnavailableError, ValidationError, isMissingTable, isUniqueViolation, errorHandler, notFoundHandler } from './errors.js'
+import { logger, requestLogger, withRequestContext } from './logger.js'
+import { guardLogin, guardLoginFor, recordLoginFailure, recordLoginSuccess, listLoginLockouts, clearLoginLockout } from './loginThrottle.js'
 
 dotenv.config()
 
 const app = express()
 const port = process.env.PORT || 3000
+
+// Vercel/Heroku ficam atrás de um proxy: confiar em 1 salto para req.ip refletir o IP real do cliente
+// (necessário para o bloqueio de login por IP). Use TRUST_PROXY=false ao rodar exposto diretamente.
+app.set('trust proxy', process.env.TRUST_PROXY === 'false' ? false : (parseInt(process.env.TRUST_PROXY, 10) || 1))
 const siteUrl = process.env.SITE_URL || `http://localhost:${port}`
 
+// Request id (header X-Request-Id) e uma linha de log por requisição; fica antes de tudo para cobrir também CORS e body parser
+app.use(requestLogger)
+
 // Configuração CORS mais permissiva para desenvolvimento
 // Deve rodar antes de qualquer rota para garantir que os headers estejam presentes
 app.use(cors({
   origin: '*', // Permite todas as origens em desenvolvimento
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id', 'Idempotency-Key'],
+  exposedHeaders: ['X-Request-Id', 'X-Total-Count', 'X-Next-Cursor', 'Link', 'Deprecation', 'Sunset', 'Idempotent-Replayed'],
   credentials: true
 }))
 
@@ -27,6 +60,15 @@ app.use(express.json({ limit: '50mb' }))
 app.use(express.urlencoded({ limit: '50mb', extended: true }))
 app.use('/uploads', express.static('uploads'))
 
+// Rotas da API: uma rota canônica por operação em /v1. O mesmo router também responde sem prefixo, para os clientes atuais
+// (nas listagens, sem limit a página sem prefixo vem com o máximo; ver unversionedPageSize em pagination.js).
+// Os aliases antigos (legacyRoutes.js) são registrados direto no app, então não existem em /v1.
+// Health check, documentação e diagnóstico ficam fora do versionamento.
+const API_PREFIX = '/v1'
+const api = express.Router()
+app.use(API_PREFIX, api)
+app.use(unversionedPageSize, api)
+
 // Configuração do Multer para upload de arquivos
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
@@ -48,95 +90,71 @@ const storage = multer.diskStorage({
   }
 })
 
+// Schemas reutilizados por várias rotas (ver validation.js)
+const idParams = { id: v.id() }
+const newPassword = () => v.string({ trim: false, min: MIN_PASSWORD_LENGTH })
+// Ficha de treino: lista de exercícios (formato atual) ou objeto (fichas antigas); aceita JSON em string
+const treinoSchema = v.anyOf([v.array(v.object()), v.object()], 'deve ser uma lista de exercícios ou um objeto')
+
+// Listagens paginadas (ver pagination.js): filtros e campos de ordenação aceitos por rota
+const USER_LIST_FILTERS = {
+  email: { schema: v.email() },
+  criado_por: { schema: v.email() },
+  blocked: { schema: v.integer({ min: 0, max: 1 }) },
+  criado_desde: { column: 'created_at', op: 'gte', schema: v.isoDate() },
+  criado_ate: { column: 'created_at', op: 'lte', schema: v.isoDate() }
+}
+const USERS_LIST = {
+  table: 'users',
+  softDelete: true,
+  sort: ['id', 'created_at', 'email'],
+  search: ['nome', 'email'],
+  filters: { tipo: { schema: v.oneOf(Object.values(ROLES)) }, ...USER_LIST_FILTERS }
+}
+const ALUNOS_LIST = { ...USERS_LIST, filters: USER_LIST_FILTERS }
+const PROFESSORES_LIST = { ...USERS_LIST, filters: USER_LIST_FILTERS }
+const TREINOS_LIST = {
+  table: 'treinos',
+  sort: ['id', 'data'],
+  filters: {
+    aluno_email: { schema: v.email() },
+    data_de: { column: 'data', op: 'gte', schema: v.isoDate() },
+    data_ate: { column: 'data', op: 'lte', schema: v.isoDate() }
+  }
+}
+const MENSAGENS_LIST = {
+  table: 'mensagens',
+  softDelete: true,
+  sort: ['id', 'data'],
+  // 'de' não é validado como email: mensagens automáticas usam o remetente 'sistema'
+  filters: { para: { schema: v.email() }, de: { schema: v.string() } }
+}
+const CONSULTORIAS_LIST = { table: 'consultorias', softDelete: true, sort: ['id', 'data'], defaultSort: '-data', filters: { tipo: { schema: v.string() } } }
+const PRODUTOS_LIST = { table: 'produtos_loja', softDelete: true, sort: ['ordem', 'id', 'criado_em'], defaultSort: 'ordem', search: ['titulo'] }
+const POSTS_LIST = { table: 'posts', sort: ['criado_em', 'id'], defaultSort: '-criado_em', filters: { autor_email: { schema: v.email() } } }
+
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', publicRoute, (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() })
 })
 
-// Debug endpoint - verifica se o Supabase está configurado
-app.get('/debug/config', (req, res) => {
-  const url = process.env.SUPABASE_URL || 'NÃO CONFIGURADO'
-  const key = process.env.SUPABASE_SERVICE_KEY ? '***CONFIGURADO***' : 'NÃO CONFIGURADO'
-  const port = process.env.PORT || 3000
-  const allEnvVars = Object.keys(process.env).filter(k => k.includes('SUPABASE') || k.includes('DATABASE') || k.includes('PORT'))
-  
-  res.json({
-    timestamp: new Date().toISOString(),
-    environment: {
-      SUPABASE_URL: url === 'NÃO CONFIGURADO' ? 'NÃO CONFIGURADO' : (url.substring(0, 50) + '...'),
-      SUPABASE_SERVICE_KEY_CONFIGURED: key,
-      PORT: port,
-      NODE_ENV: process.env.NODE_ENV || 'não definido',
-      ENV_VARS_ENCONTRADAS: allEnvVars.length > 0 ? allEnvVars : ['NENHUMA VAR DE SUPABASE ENCONTRADA']
-    },
-    supabaseClient: {
-      url: supabase?.url || 'indisponível',
-      hasClient: !!supabase
-    }
-  })
-})
+// /health/deep e, com DIAGNOSTICS_ENABLED=true, as rotas de debug (todas só para admin)
+registerDiagnosticsRoutes(app)
 
-// Test login endpoint - testa login sem persistência
-app.post('/test-login', async (req, res) => {
-  try {
-    console.log('[TEST-LOGIN] Recebendo requisição:', req.body)
-    const { email, senha } = req.body
-    
-    if (!email || !senha) {
-      return res.status(400).json({ error: 'Email e senha são obrigatórios' })
-    }
-
-    console.log('[TEST-LOGIN] Consultando Supabase para:', email)
-    const startTime = Date.now()
-    
-    const { data, error } = await supabase
-      .from('users')
-      .select('*')
-      .eq('email', email)
-      .eq('senha', senha)
-
-    const duration = Date.now() - startTime
-    console.log(`[TEST-LOGIN] Query levou ${duration}ms`)
-
-    if (error) {
-      console.error('[TEST-LOGIN] Erro Supabase:', error)
-      return res.status(500).json({ 
-        error: 'Erro ao consultar banco de dados',
-        details: error.message,
-        code: error.code
-      })
-    }
-
-    if (!data || data.length === 0) {
-      console.log('[TEST-LOGIN] Credenciais inválidas')
-      return res.status(401).json({ error: 'Credenciais inválidas' })
-    }
-
-    console.log('[TEST-LOGIN] Login bem-sucedido para:', email)
-    res.json({ 
-      success: true,
-      user: data[0],
-      message: 'Login bem-sucedido'
-    })
-  } catch (error) {
-    console.error('[TEST-LOGIN] Erro:', error)
-    res.status(500).json({ 
-      error: 'Erro ao processar login',
-      details: error.message
-    })
-  }
-})
+// Aluno em nome de quem a rota age: o próprio usuário do token quando é aluno; professor/admin informam
+// aluno_email no body e passam pela checagem de dono. O email fica em req.targetUser (ou no body, para admin).
+const actingAluno = requireOwnership(req => ({ email: req.user.tipo === ROLES.ALUNO ? req.user.email : req.body.aluno_email }))
+const actingAlunoEmail = (req) => (req.targetUser ? req.targetUser.email : req.body.aluno_email)
 
 // Marcar um treino como concluído (salva um registro de progresso separado)
-app.post('/treinos/:id/concluir', async (req, res) => {
+api.post('/treinos/:id/concluir', authenticated, validate({
+  params: idParams,
+  body: { aluno_email: v.email().optional(), peso_corporal: v.number({ min: 0 }).optional(), loads: v.any().optional(), dados: v.object().optional() }
+}), actingAluno, idempotent, async (req, res, next) => {
   try {
     const treinoId = req.params.id
-    const { aluno_email, peso_corporal, loads, dados } = req.body || {}
-    if (!treinoId) return res.status(400).json({ error: 'treino id é obrigatório na URL' })
-    if (!aluno_email) return res.status(400).json({ error: 'aluno_email é obrigatório no body' })
-
-    // Normalizar
-    const alunoEmail = aluno_email.toString().trim().toLowerCase()
+    const alunoEmail = actingAlunoEmail(req)
+    const { peso_corporal, loads, dados } = req.body
 
     const payload = {
       aluno_email: alunoEmail,
@@ -147,44 +165,35 @@ app.post('/treinos/:id/concluir', async (req, res) => {
       criado_em: new Date().toISOString()
     }
 
-    // Inserir na tabela progresso (criá-la se necessário via SQL fornecido)
-    try {
-      const { data, error } = await supabase.from('progresso').insert([payload]).select()
-      if (error) throw error
-
-      // Tentar notificar o professor (se conhecido)
-      try {
-        const { data: alunoUser } = await supabase.from('users').select('id,email,criado_por').eq('email', alunoEmail).maybeSingle()
-        const professorEmail = alunoUser && alunoUser.criado_por ? alunoUser.criado_por : null
-        if (professorEmail) {
-          const mensagem = `O aluno ${alunoEmail} concluiu um treino (id ${treinoId}) com ${payload.peso_corporal || '—'} kg e progresso ${payload.dados && payload.dados.percent ? payload.dados.percent + '%' : '—'}.`;
-          await supabase.from('mensagens').insert([{ de: alunoEmail, para: professorEmail, mensagem, data: new Date().toISOString() }])
-        }
-      } catch (notifyErr) {
-        console.warn('[POST /treinos/:id/concluir] falha ao notificar professor:', notifyErr && notifyErr.message)
-      }
+    // Tabela progresso ausente vira 503 SCHEMA_OUTDATED no errorHandler
+    const { data, error } = await supabase.from('progresso').insert([payload]).select()
+    if (error) throw error
 
-      return res.json(data || [])
-    } catch (err) {
-      if (err && err.code === 'PGRST205') {
-        return res.status(500).json({ error: "Tabela 'progresso' não encontrada. Execute backend/create_progresso_table.sql no Supabase SQL Editor." })
+    // Tentar notificar o professor (se conhecido)
+    try {
+      const { data: alunoUser } = await supabase.from('users').select('id,email,criado_por').eq('email', alunoEmail).is('deleted_at', null).maybeSingle()
+      const professorEmail = alunoUser && alunoUser.criado_por ? alunoUser.criado_por : null
+      if (professorEmail) {
+        const mensagem = `O aluno ${alunoEmail} concluiu um treino (id ${treinoId}) com ${payload.peso_corporal || '—'} kg e progresso ${payload.dados && payload.dados.percent ? payload.dados.percent + '%' : '—'}.`;
+        await supabase.from('mensagens').insert([{ de: alunoEmail, para: professorEmail, mensagem, data: new Date().toISOString() }])
       }
-      throw err
+    } catch (notifyErr) {
+      logger.warn('[POST /treinos/:id/concluir] falha ao notificar professor', { error: notifyErr && notifyErr.message })
     }
+
+    return res.json(data || [])
   } catch (error) {
-    console.error('[POST /treinos/:id/concluir] erro:', error)
-    res.status(500).json({ error: 'Erro ao marcar treino como concluído', details: error.message })
+    next(error)
   }
 })
 
 // Endpoint de progresso: retorna registros de progresso (treinos concluídos) e consultorias para um aluno
-app.get('/progresso/:email', async (req, res) => {
+api.get('/progresso/:email', authenticated, validate({ params: { email: v.email() } }), requireOwnership(req => ({ email: req.params.email })), async (req, res, next) => {
   try {
-    const email = decodeURIComponent(req.params.email || '').toString().trim().toLowerCase()
-    if (!email) return res.status(400).json({ error: 'email é obrigatório' })
+    const email = req.params.email
 
     // Buscar usuário para resolver client_id (id numérico) e criado_por
-    const { data: user, error: userErr } = await supabase.from('users').select('id,email,criado_por').eq('email', email).maybeSingle()
+    const { data: user, error: userErr } = await supabase.from('users').select('id,email,criado_por').eq('email', email).is('deleted_at', null).maybeSingle()
     if (userErr) throw userErr
 
     // Colete registros de progresso (se tabela existir)
@@ -194,9 +203,9 @@ app.get('/progresso/:email', async (req, res) => {
       if (pErr) throw pErr
       progressoRows = pRows || []
     } catch (pErr) {
-      if (pErr && pErr.code === 'PGRST205') {
+      if (isMissingTable(pErr)) {
         // tabela ausente — não falhar, apenas logar e continuar
-        console.warn('[GET /progresso] tabela progresso ausente:', pErr.message || pErr)
+        logger.warn('[GET /progresso] tabela progresso ausente', { error: pErr.message || pErr })
         progressoRows = []
       } else {
         throw pErr
@@ -207,11 +216,11 @@ app.get('/progresso/:email', async (req, res) => {
     let consultoriasRows = []
     if (user && user.id) {
       try {
-        const { data: cRows, error: cErr } = await supabase.from('consultorias').select('*').eq('client_id', user.id).order('data', { ascending: false })
+        const { data: cRows, error: cErr } = await supabase.from('consultorias').select('*').eq('client_id', user.id).is('deleted_at', null).order('data', { ascending: false })
         if (cErr) throw cErr
         consultoriasRows = cRows || []
       } catch (cErr) {
-        console.warn('[GET /progresso] falha ao buscar consultorias:', cErr && cErr.message)
+        logger.warn('[GET /progresso] falha ao buscar consultorias', { error: cErr && cErr.message })
         consultoriasRows = []
       }
     }
@@ -238,12 +247,13 @@ app.get('/progresso/:email', async (req, res) => {
 
     res.json(combined)
   } catch (error) {
-    console.error('[GET /progresso/:email] erro:', error)
-    res.status(500).json({ error: 'Erro ao buscar progresso', details: error.message })
+    next(error)
   }
 })
 
+// O multer chama next fora do contexto da requisição: withRequestContext mantém o request id nos logs do handler
 const upload = multer({ storage: storage })
+const uploadSingle = (field) => withRequestContext(upload.single(field))
 
 // Configuração CORS mais permissiva para desenvolvimento
 // CORS: permitir métodos usados pelo frontend. Em dev permitimos todas as origens,
@@ -251,63 +261,43 @@ const upload = multer({ storage: storage })
 // (moved earlier in the file so middleware runs before routes)
 
 // Rota raiz
-app.get('/', (req, res) => {
+app.get('/', publicRoute, (req, res) => {
   res.json({ 
     message: 'API está funcionando!',
     endpoints: {
       users: '/users',
       treinos: '/treinos',
-      contracts: '/contracts'
+      contracts: '/contracts',
+      docs: '/docs'
     }
   })
 })
 
 // Rotas para usuários
-app.get('/users', async (req, res) => {
+api.get('/users', allow(ROLES.ADMIN), validate({ query: listQuery(USERS_LIST) }), async (req, res, next) => {
   try {
-    const { data, error } = await supabase
-      .from('users')
-      .select('*')
-    
-    // debug: log raw response to server console to help diagnose empty results
-    console.log('[GET /users] supabase response:', { dataSummary: Array.isArray(data) ? data.length + ' rows' : data, error })
-
-    if (error) throw error
-    res.json(data)
+    const page = await fetchPage(USERS_LIST, req.query)
+    sendPage(req, res, page, rows => serializeUsersFor(req.user, rows))
   } catch (error) {
-    res.status(500).json({ error: error.message })
+    next(error)
   }
 })
 
 // Rotas para treinos
-app.get('/treinos', async (req, res) => {
-  try {
-    const { data, error } = await supabase
-      .from('treinos')
-      .select('*')
-    
-    if (error) throw error
-    res.json(data)
-  } catch (error) {
-    res.status(500).json({ error: error.message })
-  }
-})
-
-// Endpoint leve usado pelo frontend para checar disponibilidade do servidor
-app.get('/treinos-debug', async (req, res) => {
+api.get('/treinos', allow(ROLES.ADMIN, ROLES.PROFESSOR), validate({ query: listQuery(TREINOS_LIST) }), async (req, res, next) => {
   try {
-    // simples verificação de saúde — não acessa DB para manter leve
-    return res.json({ ok: true, time: new Date().toISOString() })
+    // Professor vê só os treinos dos alunos que criou
+    const alunosEmails = req.user.tipo === ROLES.PROFESSOR ? await listOwnedAlunoEmails(req.user.email) : null
+    sendPage(req, res, await fetchPage(TREINOS_LIST, req.query, q => (alunosEmails ? q.in('aluno_email', alunosEmails) : q)))
   } catch (error) {
-    return res.status(500).json({ ok: false, error: String(error) })
+    next(error)
   }
 })
 
 // Buscar treinos por aluno (aluno_email)
-app.get('/treinos/:aluno_email', async (req, res) => {
+api.get('/treinos/:aluno_email', authenticated, validate({ params: { aluno_email: v.email() } }), requireOwnership(req => ({ email: req.params.aluno_email })), async (req, res, next) => {
   try {
-    const aluno = decodeURIComponent(req.params.aluno_email || '')
-    if (!aluno) return res.status(400).json({ error: 'aluno_email é obrigatório' })
+    const aluno = req.params.aluno_email
     const { data, error } = await supabase
       .from('treinos')
       .select('*')
@@ -317,36 +307,43 @@ app.get('/treinos/:aluno_email', async (req, res) => {
     if (error) throw error
     res.json(data || [])
   } catch (error) {
-    console.error('[GET /treinos/:aluno_email] erro:', error)
-    res.status(500).json({ error: 'Erro ao buscar treinos', details: error.message })
+    next(error)
   }
 })
 
 // Inserir novo treino (salva fichas/treino para um aluno)
-app.post('/treinos', async (req, res) => {
+api.post('/treinos', allow(ROLES.ADMIN, ROLES.PROFESSOR), validate({
+  body: { aluno_email: v.email(), treino: treinoSchema, data: v.isoDate().optional() }
+}), requireOwnership(req => ({ email: req.body.aluno_email })), async (req, res, next) => {
   try {
-    const { aluno_email, treino, data: dataField } = req.body || {}
-    if (!aluno_email || !treino) return res.status(400).json({ error: 'aluno_email e treino são obrigatórios' })
+    const { aluno_email, treino, data: dataField } = req.body
 
     const payload = {
       aluno_email,
-      treino: typeof treino === 'string' ? treino : JSON.stringify(treino),
+      treino: JSON.stringify(treino),
       data: dataField || new Date().toISOString()
     }
 
-    console.log('[POST /treinos] payload:', { aluno_email, items: Array.isArray(JSON.parse(payload.treino || '[]')) ? JSON.parse(payload.treino).length : 'unknown' })
+    logger.debug('[POST /treinos] payload', { aluno_email, items: Array.isArray(treino) ? treino.length : 'objeto' })
 
     const { data, error } = await supabase.from('treinos').insert([payload]).select()
     if (error) throw error
     res.json(data || [])
   } catch (error) {
-    console.error('[POST /treinos] erro:', error)
-    res.status(500).json({ error: 'Erro ao salvar treino', details: error.message })
+    next(error)
   }
 })
 
 // Rotas para contratos
-app.post('/contracts', upload.single('file'), async (req, res) => {
+api.post('/contracts', authenticated, uploadSingle('file'), validate({
+  body: {
+    aluno_email: v.email().optional(),
+    professor_email: v.email().optional(),
+    dados: v.object().optional(),
+    data_assinatura: v.isoDate().optional(),
+    pdf_base64: v.string().optional()
+  }
+}), actingAluno, idempotent, async (req, res, next) => {
   try {
     // Normalize payload and handle embedded base64 PDF or signature to save as files
     const body = { ...req.body }
@@ -367,7 +364,7 @@ app.post('/contracts', upload.single('file'), async (req, res) => {
         body.pdf_path = `uploads/contracts/${filename}`
         delete body.pdf_base64
       } catch (e) {
-        console.warn('[POST /contracts] falha ao salvar pdf_base64 localmente:', e && e.message)
+        logger.warn('[POST /contracts] falha ao salvar pdf_base64 localmente', { error: e && e.message })
       }
     }
 
@@ -388,28 +385,21 @@ app.post('/contracts', upload.single('file'), async (req, res) => {
         body.dados = dados
       }
     } catch (e) {
-      console.warn('[POST /contracts] falha ao salvar assinatura embutida:', e && e.message)
+      logger.warn('[POST /contracts] falha ao salvar assinatura embutida', { error: e && e.message })
     }
 
-    // Normalizar emails para lowercase
-    if (body.aluno_email) {
-      body.aluno_email = String(body.aluno_email).toLowerCase().trim()
-    }
-    if (body.professor_email) {
-      body.professor_email = String(body.professor_email).toLowerCase().trim()
-    }
-
-    // Filtrar apenas as colunas que existem na tabela contracts
-    // Tentar com professor_email se temos, mas fallback para simples se não existir
-    let contractRecord = {
-      aluno_email: body.aluno_email || null,
+    // Apenas as colunas da tabela contracts (migrations/*/0001_core_tables.sql)
+    const contractRecord = {
+      aluno_email: actingAlunoEmail(req),
       arquivo_path: body.pdf_path || body.arquivo_path || body.file_path || null
     }
 
-    // Tentar adicionar campos opcionais
-    if (body.professor_email) {
-      contractRecord.professor_email = body.professor_email
-      console.log('[POST /contracts] ✅ Professor email será salvo:', body.professor_email)
+    // Professor do contrato: o do token, o que criou o aluno (quando quem assina é o aluno) ou o informado pelo admin
+    const professorEmail = req.user.tipo === ROLES.PROFESSOR
+      ? req.user.email
+      : req.user.tipo === ROLES.ALUNO ? (req.targetUser && req.targetUser.criado_por) : body.professor_email
+    if (professorEmail) {
+      contractRecord.professor_email = professorEmail
     }
     if (body.dados) {
       contractRecord.dados = body.dados
@@ -418,48 +408,36 @@ app.post('/contracts', upload.single('file'), async (req, res) => {
       contractRecord.data_assinatura = body.data_assinatura
     }
 
-    console.log('[POST /contracts] Tentando inserir contract com campos:', Object.keys(contractRecord))
-
-    let insertResult = await supabase.from('contracts').insert([ contractRecord ])
-    
-    // Se falhar por coluna não existe, tenta versão simplificada
-    if (insertResult.error && insertResult.error.message && /does not exist|coluna|column/i.test(insertResult.error.message)) {
-      console.warn('[POST /contracts] Erro com campos complexos, tentando versão simplificada:', insertResult.error.message)
-      contractRecord = {
-        aluno_email: body.aluno_email || null,
-        arquivo_path: body.pdf_path || body.arquivo_path || body.file_path || null
-      }
-      insertResult = await supabase.from('contracts').insert([ contractRecord ])
-    }
-
-    const { data, error } = insertResult
-
-    console.log('[POST /contracts] Resultado:', { hasError: !!error, hasData: !!data, errorMsg: error?.message })
+    logger.debug('[POST /contracts] inserindo contrato', { campos: Object.keys(contractRecord) })
 
+    const { data, error } = await supabase.from('contracts').insert([ contractRecord ])
     if (error) throw error
-    console.log('[POST /contracts] ✅ Contract inserido com sucesso:', data)
+    logger.info('[POST /contracts] contrato inserido', { aluno_email: contractRecord.aluno_email, professor_email: contractRecord.professor_email || null })
     res.json(data)
   } catch (error) {
-    console.error('[POST /contracts] Erro ao salvar contrato:', error)
-    res.status(500).json({ error: error.message })
+    next(error)
   }
 })
 
 // --- Contract settings (per professor + aluno) ---
 // Salvar/atualizar configurações de contrato para um aluno (upsert)
-app.post('/contract-settings', async (req, res) => {
+api.post('/contract-settings', allow(ROLES.ADMIN, ROLES.PROFESSOR), validate({
+  body: {
+    professor_email: v.email(),
+    aluno_email: v.email(),
+    professor_name: v.string().optional(),
+    professor_cref: v.string().optional(),
+    option1_value: v.string().optional(),
+    option2_value: v.string().optional()
+  }
+}), requireOwnership(req => ({ email: req.body.aluno_email })), async (req, res, next) => {
   try {
-    const payload = req.body || {}
-    const required = ['professor_email', 'aluno_email']
-    for (const k of required) if (!payload[k]) return res.status(400).json({ error: `${k} é obrigatório` })
-
-    // Normalize
-    payload.professor_email = payload.professor_email.toString().trim().toLowerCase()
-    payload.aluno_email = payload.aluno_email.toString().trim().toLowerCase()
+    const payload = req.body
 
     // Upsert: usa a combinação professor_email + aluno_email como chave única
     const upsertPayload = {
-      professor_email: payload.professor_email,
+      // Professor grava sempre em nome próprio; admin pode indicar o professor
+      professor_email: req.user.tipo === ROLES.PROFESSOR ? req.user.email : payload.professor_email,
       aluno_email: payload.aluno_email,
       professor_name: payload.professor_name || null,
       professor_cref: payload.professor_cref || null,
@@ -468,410 +446,676 @@ app.post('/contract-settings', async (req, res) => {
       updated_at: new Date().toISOString()
     }
 
-    console.log('[POST /contract-settings] upsert payload:', upsertPayload)
-    try {
-      const { data, error } = await supabase.from('contract_settings').upsert([upsertPayload], { onConflict: 'professor_email,aluno_email' }).select()
-      if (error) throw error
-      return res.json(data || [])
-    } catch (err) {
-      // If the table doesn't exist, return a helpful message
-      if (err && err.code === 'PGRST205') {
-        console.error('[POST /contract-settings] tabela contract_settings ausente:', err)
-        return res.status(500).json({ error: 'Tabela contract_settings não encontrada no banco. Execute create_contract_settings_table.sql no Supabase SQL Editor.' })
-      }
-
-      // If ON CONFLICT fails because there's no unique constraint, emulate upsert:
-      // error code 42P10 = there is no unique or exclusion constraint matching the ON CONFLICT specification
-      if (err && err.code === '42P10') {
-        console.warn('[POST /contract-settings] ON CONFLICT falhou por falta de constraint única — executando upsert manual (UPDATE então INSERT)')
-        try {
-          // Tentar UPDATE primeiro
-          const { data: updated, error: updateErr } = await supabase.from('contract_settings')
-            .update(upsertPayload)
-            .eq('professor_email', upsertPayload.professor_email)
-            .eq('aluno_email', upsertPayload.aluno_email)
-            .select()
-
-          if (updateErr) throw updateErr
-          if (Array.isArray(updated) && updated.length > 0) {
-            return res.json(updated)
-          }
-
-          // Se não atualizou nada, inserir
-          const { data: inserted, error: insertErr } = await supabase.from('contract_settings').insert([upsertPayload]).select()
-          if (insertErr) throw insertErr
-          return res.json(inserted || [])
-        } catch (manualErr) {
-          console.error('[POST /contract-settings] erro ao executar upsert manual:', manualErr)
-          return res.status(500).json({ error: 'Erro ao salvar configurações de contrato (upsert manual falhou)', details: manualErr.message })
-        }
-      }
-
-      // outro erro — propagar para o catch externo
-      throw err
-    }
+    logger.debug('[POST /contract-settings] upsert', upsertPayload)
+    // Sem a tabela ou a constraint única (professor_email, aluno_email) o errorHandler responde 503 SCHEMA_OUTDATED
+    const { data, error } = await supabase.from('contract_settings').upsert([upsertPayload], { onConflict: 'professor_email,aluno_email' }).select()
+    if (error) throw error
+    res.json(data || [])
   } catch (error) {
-    console.error('[POST /contract-settings] erro:', error)
-    res.status(500).json({ error: 'Erro ao salvar configurações de contrato', details: error.message })
+    next(error)
   }
 })
 
 // Buscar configurações de contrato para professor+aluno
-app.get('/contract-settings/:professor_email/:aluno_email', async (req, res) => {
+api.get('/contract-settings/:professor_email/:aluno_email', authenticated, validate({ params: { professor_email: v.email(), aluno_email: v.email() } }), requireOwnership(req => ({ email: req.params.aluno_email })), async (req, res, next) => {
   try {
-    const professor = decodeURIComponent(req.params.professor_email || '').toString().trim().toLowerCase()
-    const aluno = decodeURIComponent(req.params.aluno_email || '').toString().trim().toLowerCase()
-    if (!professor || !aluno) return res.status(400).json({ error: 'professor_email e aluno_email são obrigatórios' })
+    const { professor_email: professor, aluno_email: aluno } = req.params
     const { data, error } = await supabase.from('contract_settings').select('*').eq('professor_email', professor).eq('aluno_email', aluno).maybeSingle()
     if (error) throw error
     res.json(data || {})
   } catch (error) {
-    console.error('[GET /contract-settings] erro:', error)
-    res.status(500).json({ error: 'Erro ao buscar configurações', details: error.message })
+    next(error)
   }
 })
 
 // --- Contratos: listagem por professor, leitura por id, exclusão e download de PDF ---
 // Listar contratos assinados pelo professor
-app.get('/contracts/professor/:professor_email', async (req, res) => {
+api.get('/contracts/professor/:professor_email', allow(ROLES.ADMIN, ROLES.PROFESSOR), validate({ params: { professor_email: v.email() } }), async (req, res, next) => {
   try {
-    const professor = decodeURIComponent(req.params.professor_email || '').toString().trim().toLowerCase()
-    if (!professor) return res.status(400).json({ error: 'professor_email é obrigatório' })
-    
-    console.log('[GET /contracts/professor] Buscando contratos para professor:', professor)
-    
-    // Step 1: Buscar todos os alunos deste professor
-    const { data: alunosDoProf, error: alunosErr } = await supabase
-      .from('users')
-      .select('email')
-      .eq('criado_por', professor)
-    
-    if (alunosErr) {
-      console.error('[GET /contracts/professor] erro ao buscar alunos:', alunosErr)
-      return res.status(500).json({ error: alunosErr.message })
+    const professor = req.params.professor_email
+
+    // Professor só pode listar os próprios contratos; admin pode consultar qualquer professor
+    if (!canAccessUser(req.user, { email: professor })) {
+      return res.status(403).json({ error: 'Sem permissão para acessar contratos deste professor', code: 'NOT_OWNER' })
     }
-    
-    console.log('[GET /contracts/professor] Alunos encontrados para este professor:', alunosDoProf?.length || 0)
-    
-    if (!alunosDoProf || alunosDoProf.length === 0) {
-      console.log('[GET /contracts/professor] Este professor não tem alunos')
+
+        // Alunos criados por este professor (mesma regra de dono usada nas demais rotas)
+    const alunosEmails = await listOwnedAlunoEmails(professor)
+    logger.debug('[GET /contracts/professor] alunos do professor', { professor, alunos: alunosEmails.length })
+
+    if (alunosEmails.length === 0) {
       return res.json([])
     }
-    
-    // Step 2: Extrair emails dos alunos
-    const alunosEmails = alunosDoProf.map(a => a.email.toLowerCase())
-    console.log('[GET /contracts/professor] Emails dos alunos:', alunosEmails)
-    
-    // Step 3: Buscar todos os contratos destes alunos
-    const { data: allContracts, error } = await supabase.from('contracts').select('*')
-    
-    if (error) {
-      console.error('[GET /contracts/professor] erro ao buscar contratos:', error)
-      return res.status(500).json({ error: error.message })
-    }
-    
-    console.log('[GET /contracts/professor] Total de contratos no banco:', allContracts?.length || 0)
-    
-    // Step 4: Filtrar apenas contratos dos alunos deste professor
-    const filtered = allContracts.filter(c => {
-      const alunoEmail = (c.aluno_email || '').toLowerCase()
-      const isFromThisProfessor = alunosEmails.includes(alunoEmail)
-      
-      if (isFromThisProfessor) {
-        console.log('[GET /contracts/professor] ✓ Contrato encontrado para este professor:', {
-          id: c.id,
-          aluno_email: c.aluno_email,
-          professor_email: c.professor_email
-        })
-      }
-      return isFromThisProfessor
-    })
-    
-    console.log('[GET /contracts/professor] Retornando', filtered.length, 'contratos para', professor)
-    return res.json(filtered)
-    
-  } catch (error) {
-    console.error('[GET /contracts/professor] erro:', error)
-    return res.status(500).json({ error: error.message })
-  }
-})
 
-// Debug: Ver TODOS os contratos (sem filtro)
-app.get('/contracts-debug/all', async (req, res) => {
-  try {
-    const { data, error } = await supabase.from('contracts').select('*')
+    // Filtrar no banco apenas os contratos destes alunos
+    const { data, error } = await supabase.from('contracts').select('*').in('aluno_email', alunosEmails).is('deleted_at', null)
     if (error) throw error
-    console.log('[DEBUG] Total de contratos no banco:', data?.length || 0)
-    if (data && data.length > 0) {
-      console.log('[DEBUG] Primeiro contrato:', JSON.stringify(data[0], null, 2))
-    }
-    res.json(data || [])
+
+    logger.debug('[GET /contracts/professor] contratos encontrados', { professor, count: (data || []).length })
+    return res.json(data || [])
   } catch (error) {
-    console.error('[DEBUG] erro:', error)
-    res.status(500).json({ error: error.message })
+    next(error)
   }
 })
 
 // Ler contrato por id
-app.get('/contracts/:id', async (req, res) => {
+api.get('/contracts/:id', authenticated, validate({ params: idParams }), async (req, res, next) => {
   try {
     const id = req.params.id
-    if (!id) return res.status(400).json({ error: 'id é obrigatório' })
-    const { data, error } = await supabase.from('contracts').select('*').eq('id', id).maybeSingle()
+    const { data, error } = await supabase.from('contracts').select('*').eq('id', id).is('deleted_at', null).maybeSingle()
     if (error) throw error
-    if (!data) return res.status(404).json({ error: 'Contrato não encontrado' })
+    if (!data) throw new NotFoundError('Contrato não encontrado')
+    if (!(await canAccessContract(req.user, data))) throw new ApiError('Sem permissão para acessar este contrato', 'NOT_OWNER', 403)
     res.json(data)
   } catch (error) {
-    console.error('[GET /contracts/:id] erro:', error)
-    res.status(500).json({ error: 'Erro ao buscar contrato', details: error.message })
+    next(error)
   }
 })
 
 // Baixar/abrir PDF do contrato (se houver file_path ou pdf_path salvo)
-app.get('/contracts/:id/pdf', async (req, res) => {
+api.get('/contracts/:id/pdf', authenticated, validate({ params: idParams }), async (req, res, next) => {
   try {
     const id = req.params.id
-    if (!id) return res.status(400).json({ error: 'id é obrigatório' })
-    const { data, error } = await supabase.from('contracts').select('*').eq('id', id).maybeSingle()
+    const { data, error } = await supabase.from('contracts').select('*').eq('id', id).is('deleted_at', null).maybeSingle()
     if (error) throw error
-    if (!data) return res.status(404).json({ error: 'Contrato não encontrado' })
+    if (!data) throw new NotFoundError('Contrato não encontrado')
+    if (!(await canAccessContract(req.user, data))) throw new ApiError('Sem permissão para acessar este contrato', 'NOT_OWNER', 403)
     const filePath = data.pdf_path || data.file_path || data.signature_path
-    if (!filePath) return res.status(404).json({ error: 'PDF não encontrado para este contrato' })
+    if (!filePath) throw new NotFoundError('PDF não encontrado para este contrato')
     // filePath normalmente é algo como 'uploads/contracts/filename.ext' ou apenas filename
     const filename = filePath.replace(/^uploads\/?/, '')
     const abs = path.join(process.cwd(), 'uploads', filename)
     return res.sendFile(abs)
   } catch (error) {
-    console.error('[GET /contracts/:id/pdf] erro:', error)
-    res.status(500).json({ error: 'Erro ao obter PDF', details: error.message })
+    next(error)
   }
 })
 
 // Deletar contrato (verifica professor via query param)
-app.delete('/contracts/:id', async (req, res) => {
+api.delete('/contracts/:id', allow(ROLES.ADMIN, ROLES.PROFESSOR), validate({ params: idParams }), async (req, res, next) => {
   try {
     const id = req.params.id
-    const professorEmail = (req.query && req.query.professor_email) ? decodeURIComponent(req.query.professor_email).toString().trim().toLowerCase() : null
-    if (!id) return res.status(400).json({ error: 'id é obrigatório' })
     // Buscar contrato
-    const { data: existing, error: fetchErr } = await supabase.from('contracts').select('*').eq('id', id).maybeSingle()
+    const { data: existing, error: fetchErr } = await supabase.from('contracts').select('*').eq('id', id).is('deleted_at', null).maybeSingle()
     if (fetchErr) throw fetchErr
-    if (!existing) return res.status(404).json({ error: 'Contrato não encontrado' })
-    // Autorizar: professorEmail deve bater com criado_por ou professor_email (se fornecido)
-    if (professorEmail && existing.criado_por && existing.criado_por.toString().trim().toLowerCase() !== professorEmail && existing.professor_email && existing.professor_email.toString().trim().toLowerCase() !== professorEmail) {
-      return res.status(403).json({ error: 'Não autorizado para excluir este contrato' })
-    }
-    const { error: deleteErr } = await supabase.from('contracts').delete().eq('id', id)
-    if (deleteErr) throw deleteErr
+    if (!existing) throw new NotFoundError('Contrato não encontrado')
+    // Professor só exclui contratos dele ou dos alunos que criou (ver canAccessContract)
+    if (!(await canAccessContract(req.user, existing))) {
+      throw new ApiError('Não autorizado para excluir este contrato', 'NOT_OWNER', 403)
+    }
+    // Vai para a lixeira (trash.js); o contrato some das rotas comuns e pode ser restaurado por um admin
+    const deleted = await moveToTrash('contratos', id)
+    if (!deleted) throw new NotFoundError('Contrato não encontrado')
+    await recordAudit(req, { acao: 'contract.delete', alvo_tipo: 'contracts', alvo_id: id, antes: existing, depois: deleted })
     res.json({ deleted: true })
   } catch (error) {
-    console.error('[DELETE /contracts/:id] erro:', error)
-    res.status(500).json({ error: 'Erro ao deletar contrato', details: error.message })
+    next(error)
+  }
+})
+
+// Bootstrap do primeiro admin: exige o segredo ADMIN_BOOTSTRAP_SECRET (header X-Bootstrap-Secret)
+// e se desativa para sempre assim que existir qualquer usuário admin.
+// O segredo é conferido antes: sem ele a resposta não diz se já existe admin.
+api.post('/setup-admin', publicRoute, validate({ body: { email: v.email(), senha: newPassword(), nome: v.string().optional() } }), async (req, res, next) => {
+  try {
+    checkBootstrapSecret(req.headers['x-bootstrap-secret'])
+    if (await adminExists()) {
+      return res.status(410).json({ error: 'Já existe um administrador. O bootstrap está desativado.', code: 'BOOTSTRAP_COMPLETED' })
+    }
+
+    const { email, senha, nome } = req.body
+    const admin = await bootstrapFirstAdmin({ email, senha, nome })
+
+    logger.info('[POST /setup-admin] primeiro admin criado', { id: admin.id, email: admin.email })
+    await recordAudit(req, { acao: 'admin.bootstrap', alvo_tipo: 'users', alvo_id: admin.id, depois: admin })
+    res.status(201).json({ message: 'Admin criado com sucesso', data: serializeUser(admin, USER_VIEWS.SELF) })
+  } catch (error) {
+    next(error)
   }
 })
 
-// Rota para criar admin
-app.post('/setup-admin', async (req, res) => {
+// Token de sessão assinado: o frontend deve enviá-lo em Authorization: Bearer <token>
+function sessionResponse(user) {
+  const { token, expiresAt } = signToken(user)
+  return { ...serializeUser(user, USER_VIEWS.SELF), token, token_expires_at: expiresAt }
+}
+
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60
+const TWO_FACTOR_ENROLL_TTL_SECONDS = 15 * 60
+
+// Rota de login
+// O email do login não é convertido para minúsculas: contas antigas podem ter sido gravadas com outra grafia
+api.post('/login', publicRoute, validate({ body: { email: v.email({ lowercase: false }), senha: v.string({ trim: false }) } }), guardLogin, async (req, res, next) => {
   try {
-    console.log('1. Iniciando criação do admin...');
+    const { email, senha } = req.body;
+
+    // Não usar .single() porque pode haver duplicatas no banco.
+    // Buscar todas as correspondências e usar a primeira (mais segura: deduplicar no DB).
     
-    // Primeiro, verifica se a tabela existe
-    const { data: tableCheck, error: tableError } = await supabase
-      .from('users')
-      .select('count')
-      .limit(1);
+    let data, error;
+    try {
+      const startTime = Date.now();
+      const result = await Promise.race([
+        supabase
+          .from('users')
+          .select('*')
+          .eq('email', email)
+          .is('deleted_at', null),
+        new Promise((_, reject) => 
+          setTimeout(() => reject(new Error('Query timeout - Supabase demorando demais')), 10000)
+        )
+      ]);
+      data = result.data;
+      error = result.error;
+      const duration = Date.now() - startTime;
+      logger.debug('[Login] consulta do usuário concluída', { email, duration_ms: duration });
+    } catch (timeoutErr) {
+      logger.error('[Login] timeout ao consultar o banco', { error: timeoutErr.message });
+      throw new ServiceUnavailableError('Timeout ao conectar com banco de dados', 'DATABASE_TIMEOUT');
+    }
 
-    if (tableError) {
-      console.error('Erro ao verificar tabela:', tableError);
-      throw new Error('Erro ao verificar tabela: ' + tableError.message);
+    if (error) {
+      throw error;
     }
-    console.log('2. Tabela users verificada com sucesso');
 
-    // Verifica se o admin já existe
-    const { data: existingAdmin, error: searchError } = await supabase
-      .from('users')
-      .select('*')
-      .eq('email', 'mils@admin.com')
-      .maybeSingle();
+    // Se houver múltiplos usuários, a senha é verificada em cada um e o primeiro que conferir é usado
+    const rows = Array.isArray(data) ? data : (data ? [data] : []);
+    if (rows.length > 1) {
+      logger.warn('[Login] múltiplos usuários com o mesmo email; usando o primeiro cuja senha confere (corrija com GET /admin/users/duplicates e POST /admin/users/merge)', { email, count: rows.length });
+    }
 
-    console.log('3. Busca por admin existente:', { existingAdmin, searchError });
+    const user = await authenticateUser(supabase, rows, senha, '[Login]');
+    if (!user) {
+      logger.info('[Login] credenciais inválidas', { email });
+      recordLoginFailure(req.loginAttempt);
+      throw new ApiError('Credenciais inválidas', 'INVALID_CREDENTIALS', 401);
+    }
+    recordLoginSuccess(req.loginAttempt);
 
-    if (existingAdmin) {
-      console.log('4. Admin já existe:', existingAdmin);
-      return res.json({ message: 'Admin já existe', data: existingAdmin });
+    // Segundo fator: com 2FA ativo o login vira uma troca em duas etapas (ver /login/2fa)
+    if (TWO_FACTOR_ROLES.includes(user.tipo)) {
+      if (await isTwoFactorEnabled(user.id)) {
+        const { token: challengeToken, expiresAt } = signPurposeToken(user, '2fa-login', TWO_FACTOR_CHALLENGE_TTL_SECONDS);
+        logger.info('[Login] senha ok, aguardando segundo fator', { user_id: user.id });
+        return res.json({ requires_2fa: true, challenge_token: challengeToken, challenge_expires_at: expiresAt });
+      }
+      if (await isTwoFactorRequired(user)) {
+        const { token: enrollmentToken, expiresAt } = signPurposeToken(user, '2fa-enroll', TWO_FACTOR_ENROLL_TTL_SECONDS);
+        logger.info('[Login] 2FA obrigatório e não cadastrado', { user_id: user.id });
+        return res.json({ requires_2fa_enrollment: true, enrollment_token: enrollmentToken, enrollment_expires_at: expiresAt });
+      }
     }
+    
+    logger.info('[Login] autenticação bem sucedida', { user_id: user.id, email: user.email, tipo: user.tipo });
 
-    // Não envie `id` nem `created_at` — deixe o banco preencher defaults.
-    const adminData = {
-      email: 'mils@admin.com',
-      senha: 'mils123',
-      nome: 'Administrador',
-      tipo: 'admin'
-    };
+    res.json(sessionResponse(user));
+  } catch (error) {
+    next(error)
+  }
+})
 
-    console.log('5. Tentando inserir admin:', adminData);
-    
-    // Tenta inserir o admin
-    const { data: insertedData, error: insertError } = await supabase
-      .from('users')
-      .insert([adminData])
+// --- Autenticação em dois fatores (TOTP) ---
+// Segunda etapa do login: troca o challenge_token + código TOTP (ou código de recuperação) pela sessão
+const verifyLoginChallenge = (req, res, next) => {
+  try {
+    req.challenge = verifyPurposeToken(req.body && req.body.challenge_token, '2fa-login')
+    return next()
+  } catch (e) {
+    return res.status(401).json({ error: 'Desafio de login inválido ou expirado. Faça login novamente.', code: e.code || 'TOKEN_INVALID' })
+  }
+}
+
+const secondFactorBody = { codigo: v.string().optional(), recovery_code: v.string().optional() }
+const missingSecondFactor = () => new ValidationError([{ campo: 'body.codigo', erro: 'informe codigo ou recovery_code' }])
+
+api.post('/login/2fa', publicRoute, validate({ body: { challenge_token: v.string(), ...secondFactorBody } }), verifyLoginChallenge, guardLoginFor(req => req.challenge.email), async (req, res, next) => {
+  try {
+    const { codigo, recovery_code } = req.body
+    if (!codigo && !recovery_code) throw missingSecondFactor()
+
+    const ok = await verifySecondFactor(req.challenge.sub, { codigo, recovery_code })
+    if (!ok) {
+      recordLoginFailure(req.loginAttempt)
+      return res.status(401).json({ error: 'Código inválido', code: 'INVALID_2FA_CODE' })
+    }
+    recordLoginSuccess(req.loginAttempt)
+
+    const { data: user, error } = await supabase.from('users').select('*').eq('id', req.challenge.sub).is('deleted_at', null).maybeSingle()
+    if (error) throw error
+    if (!user) throw new ApiError('Usuário não existe mais', 'SESSION_USER_NOT_FOUND', 401)
+
+    logger.info('[POST /login/2fa] autenticação bem sucedida (2FA)', { user_id: user.id, email: user.email, tipo: user.tipo })
+    res.json(sessionResponse(user))
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Situação do 2FA do usuário logado
+api.get('/auth/2fa/status', allow(ROLES.ADMIN, ROLES.PROFESSOR), async (req, res, next) => {
+  try {
+    const row = await getTwoFactor(req.user.id)
+    res.json({
+      enabled: !!(row && row.enabled),
+      required: await isTwoFactorRequired(req.user),
+      recovery_codes_restantes: row && row.enabled && Array.isArray(row.recovery_codes) ? row.recovery_codes.length : 0
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Iniciar cadastro: gera o segredo e a URI otpauth:// para o app autenticador (QR code)
+api.post('/auth/2fa/setup', allowWithPurpose('2fa-enroll', ROLES.ADMIN, ROLES.PROFESSOR), async (req, res, next) => {
+  try {
+    if (await isTwoFactorEnabled(req.user.id)) {
+      return res.status(409).json({ error: '2FA já está ativo para esta conta', code: '2FA_ALREADY_ENABLED' })
+    }
+    const { secret, otpauth_url } = await startEnrollment(req.user)
+    logger.info('[POST /auth/2fa/setup] cadastro iniciado', { user_id: req.user.id })
+    res.json({ secret, otpauth_url })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Confirmar cadastro com o primeiro código do app; devolve os códigos de recuperação (uma única vez)
+api.post('/auth/2fa/confirm', allowWithPurpose('2fa-enroll', ROLES.ADMIN, ROLES.PROFESSOR), validate({ body: { codigo: v.string() } }), async (req, res, next) => {
+  try {
+    const { codigo } = req.body
+
+    const recoveryCodes = await confirmEnrollment(req.user.id, codigo)
+    if (!recoveryCodes) return res.status(400).json({ error: 'Código inválido ou cadastro não iniciado', code: 'INVALID_2FA_CODE' })
+
+    logger.info('[POST /auth/2fa/confirm] 2FA ativado', { user_id: req.user.id })
+    await recordAudit(req, { acao: '2fa.enable', alvo_tipo: 'users', alvo_id: req.user.id })
+
+    // Cadastro obrigatório feito durante o login: já entrega a sessão
+    if (req.user.purpose === '2fa-enroll') {
+      const { data: user, error } = await supabase.from('users').select('*').eq('id', req.user.id).is('deleted_at', null).maybeSingle()
+      if (error) throw error
+      if (!user) throw new ApiError('Usuário não existe mais', 'SESSION_USER_NOT_FOUND', 401)
+      return res.json({ enabled: true, recovery_codes: recoveryCodes, session: sessionResponse(user) })
+    }
+    res.json({ enabled: true, recovery_codes: recoveryCodes })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Gerar novos códigos de recuperação (invalida os anteriores)
+api.post('/auth/2fa/recovery-codes', allow(ROLES.ADMIN, ROLES.PROFESSOR), validate({ body: { codigo: v.string() } }), async (req, res, next) => {
+  try {
+    const { codigo } = req.body
+    if (!(await verifySecondFactor(req.user.id, { codigo }))) {
+      return res.status(400).json({ error: 'Código inválido', code: 'INVALID_2FA_CODE' })
+    }
+    res.json({ recovery_codes: await regenerateRecoveryCodes(req.user.id) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Desativar 2FA (exige senha + código). Admins não podem desativar quando o 2FA é obrigatório.
+api.post('/auth/2fa/disable', allow(ROLES.ADMIN, ROLES.PROFESSOR), validate({ body: { senha: v.string({ trim: false }), ...secondFactorBody } }), async (req, res, next) => {
+  try {
+    const { senha, codigo, recovery_code } = req.body
+    if (!codigo && !recovery_code) throw missingSecondFactor()
+    if (await isTwoFactorRequired(req.user)) {
+      return res.status(403).json({ error: '2FA é obrigatório para administradores', code: '2FA_REQUIRED' })
+    }
+
+    const { data: user, error } = await supabase.from('users').select('id,senha').eq('id', req.user.id).is('deleted_at', null).maybeSingle()
+    if (error) throw error
+    if (!user || !(await verifyPassword(senha, user.senha)).ok) {
+      return res.status(400).json({ error: 'Senha incorreta', code: 'WRONG_PASSWORD' })
+    }
+    if (!(await verifySecondFactor(req.user.id, { codigo, recovery_code }))) {
+      return res.status(400).json({ error: 'Código inválido', code: 'INVALID_2FA_CODE' })
+    }
+
+    await disableTwoFactor(req.user.id)
+    await recordAudit(req, { acao: '2fa.disable', alvo_tipo: 'users', alvo_id: req.user.id })
+    logger.info('[POST /auth/2fa/disable] 2FA desativado', { user_id: req.user.id })
+    res.json({ enabled: false })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// --- Recuperação e troca de senha ---
+// Tokens de redefinição ficam na tabela password_resets (só o hash SHA-256 é salvo)
+const passwordResetTtlMinutes = () => parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60
+const frontendUrl = () => (process.env.FRONTEND_URL || siteUrl).replace(/\/$/, '')
+
+// Solicitar redefinição: sempre responde igual, exista ou não o email (evita enumeração de contas)
+api.post('/auth/forgot', publicRoute, validate({ body: { email: v.email() } }), async (req, res, next) => {
+  const genericResponse = { message: 'Se o email estiver cadastrado, enviaremos as instruções para redefinir a senha.' }
+  try {
+    const { email } = req.body
+
+    const { data: rows, error } = await supabase.from('users').select('id,email,nome').eq('email', email).is('deleted_at', null)
+    if (error) throw error
+    const user = (rows || [])[0]
+    if (!user) {
+      logger.info('[POST /auth/forgot] email não cadastrado, nada enviado')
+      return res.json(genericResponse)
+    }
+
+    // Daqui em diante só acontece para email cadastrado: uma falha (gravar o token, enviar o email) fica no log e a
+    // resposta continua a genérica, senão o erro revelaria quais emails têm conta
+    try {
+      const { token, tokenHash } = generateOpaqueToken()
+      const expiresAt = new Date(Date.now() + passwordResetTtlMinutes() * 60 * 1000).toISOString()
+      const { error: insertErr } = await supabase.from('password_resets').insert([{
+        user_id: user.id,
+        email: user.email,
+        token_hash: tokenHash,
+        expires_at: expiresAt,
+        criado_em: new Date().toISOString()
+      }])
+      if (insertErr) throw insertErr
+
+      const link = `${frontendUrl()}/redefinir-senha?token=${encodeURIComponent(token)}`
+      await sendMail({
+        to: user.email,
+        subject: 'Redefinição de senha',
+        text: `Olá${user.nome ? ' ' + user.nome : ''},\n\nRecebemos um pedido para redefinir sua senha. Acesse o link abaixo (válido por ${passwordResetTtlMinutes()} minutos):\n\n${link}\n\nSe você não fez este pedido, ignore este email.`
+      })
+      logger.info('[POST /auth/forgot] token de redefinição enviado', { user_id: user.id })
+    } catch (sendErr) {
+      logger.error('[POST /auth/forgot] falha ao enviar o token de redefinição', { user_id: user.id, code: sendErr && sendErr.code, error: sendErr && sendErr.message })
+    }
+    res.json(genericResponse)
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Redefinir senha com o token recebido por email (uso único, expira)
+api.post('/auth/reset', publicRoute, validate({ body: { token: v.string(), nova_senha: newPassword() } }), async (req, res, next) => {
+  try {
+    const { token, nova_senha } = req.body
+
+    const { data: reset, error } = await supabase.from('password_resets').select('*').eq('token_hash', hashOpaqueToken(token)).maybeSingle()
+    if (error) throw error
+    if (!reset || reset.used_at || new Date(reset.expires_at).getTime() <= Date.now()) {
+      return res.status(400).json({ error: 'Token inválido ou expirado', code: 'RESET_TOKEN_INVALID' })
+    }
+
+    // Marcar como usado antes de trocar a senha; o filtro used_at IS NULL impede reuso concorrente
+    const usedAt = new Date().toISOString()
+    const { data: claimed, error: claimErr } = await supabase.from('password_resets')
+      .update({ used_at: usedAt })
+      .eq('id', reset.id)
+      .is('used_at', null)
       .select()
-      .maybeSingle();
-    
-    if (insertError) {
-      console.error('6. Erro ao inserir admin:', insertError);
-      throw new Error('Erro ao inserir admin: ' + insertError.message);
+    if (claimErr) throw claimErr
+    if (!claimed || claimed.length === 0) {
+      return res.status(400).json({ error: 'Token inválido ou expirado', code: 'RESET_TOKEN_INVALID' })
     }
 
-    if (!insertedData) {
-      throw new Error('Admin não foi inserido por razão desconhecida');
+    // Conta que foi para a lixeira depois do pedido: o token não vale mais
+    const { data: updatedUsers, error: updateErr } = await supabase.from('users').update({ senha: await hashPassword(nova_senha) }).eq('id', reset.user_id).is('deleted_at', null).select('id')
+    if (updateErr) throw updateErr
+    if (!updatedUsers || updatedUsers.length === 0) {
+      return res.status(400).json({ error: 'Token inválido ou expirado', code: 'RESET_TOKEN_INVALID' })
     }
 
-    console.log('7. Admin criado com sucesso:', insertedData);
-    res.json({ 
-      message: 'Admin criado com sucesso', 
-      data: insertedData,
-      adminData: adminData // incluindo os dados que tentamos inserir
-    });
+    // Invalidar outros pedidos pendentes do mesmo usuário
+    await supabase.from('password_resets').update({ used_at: usedAt }).eq('user_id', reset.user_id).is('used_at', null)
+
+    logger.info('[POST /auth/reset] senha redefinida', { user_id: reset.user_id })
+    res.json({ success: true, message: 'Senha redefinida com sucesso' })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// --- Convites de cadastro ---
+// Criados por POST /alunos (ou /api/professor/create-student) com { nome, email, convite: true }
+async function sendInviteEmail(invite, token) {
+  const link = `${frontendUrl()}/convite?token=${encodeURIComponent(token)}`
+  await sendMail({
+    to: invite.email,
+    subject: 'Convite para acessar sua conta',
+    text: `Olá${invite.nome ? ' ' + invite.nome : ''},\n\nVocê foi convidado${invite.professor_email ? ' por ' + invite.professor_email : ''} para acessar a plataforma. Defina sua senha pelo link abaixo (válido por ${inviteTtlHours()} horas):\n\n${link}\n\nSe você não esperava este convite, ignore este email.`
+  })
+}
+
+// Listar convites (professor: só os próprios). Filtro opcional: ?status=pendente|aceito|revogado|expirado
+api.get('/convites', allow(ROLES.ADMIN, ROLES.PROFESSOR), validate({ query: { status: v.oneOf(INVITE_STATUSES).optional() } }), async (req, res, next) => {
+  try {
+    res.json(await listInvites(req.user, { status: req.query.status }))
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Reenviar convite: gera um token novo (o anterior deixa de valer) e renova a validade
+api.post('/convites/:id/reenviar', allow(ROLES.ADMIN, ROLES.PROFESSOR), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const id = req.params.id
+    const current = await getManagedInvite(req.user, id)
+    const { invite, token } = await resendInvite(current)
+    await sendInviteEmail(invite, token)
+    logger.info('[POST /convites/:id/reenviar] convite reenviado', { invite_id: id })
+    res.json(serializeInvite(invite))
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Revogar convite pendente (remove também o usuário que nunca definiu senha)
+api.delete('/convites/:id', allow(ROLES.ADMIN, ROLES.PROFESSOR), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const id = req.params.id
+    const current = await getManagedInvite(req.user, id)
+    const revoked = await revokeInvite(current)
+    await recordAudit(req, { acao: 'convite.revoke', alvo_tipo: 'convites', alvo_id: id, antes: serializeInvite(current), depois: serializeInvite(revoked) })
+    res.json({ success: true, convite: serializeInvite(revoked) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Dados do convite para a tela de aceite (sem exigir login). O :id aqui é o token do link do convite; o nome do
+// parâmetro é o mesmo de DELETE /convites/:id porque o OpenAPI não aceita o mesmo caminho com nomes diferentes.
+api.get('/convites/:id', publicRoute, validate({ params: { id: v.string() } }), async (req, res, next) => {
+  try {
+    const invite = await findInviteByToken(req.params.id)
+    res.json({ nome: invite.nome, email: invite.email, professor_email: invite.professor_email, expires_at: invite.expires_at })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Aceitar convite: o aluno define a senha e já recebe a sessão
+api.post('/convites/:token/aceitar', publicRoute, validate({ params: { token: v.string() }, body: { senha: newPassword() } }), async (req, res, next) => {
+  try {
+    const { senha } = req.body
+
+    const user = await acceptInvite(req.params.token, senha)
+    logger.info('[POST /convites/:token/aceitar] convite aceito', { user_id: user.id })
+    res.json(sessionResponse(user))
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Trocar a senha do usuário logado (exige a senha atual)
+api.post('/auth/change-password', authenticated, validate({ body: { senha_atual: v.string({ trim: false }), nova_senha: newPassword() } }), async (req, res, next) => {
+  try {
+    const { senha_atual, nova_senha } = req.body
+
+    const { data: user, error } = await supabase.from('users').select('id,senha').eq('id', req.user.id).is('deleted_at', null).maybeSingle()
+    if (error) throw error
+    if (!user) throw new NotFoundError('Usuário não encontrado')
+
+    const { ok } = await verifyPassword(senha_atual, user.senha)
+    if (!ok) return res.status(400).json({ error: 'Senha atual incorreta', code: 'WRONG_PASSWORD' })
+
+    const { error: updateErr } = await supabase.from('users').update({ senha: await hashPassword(nova_senha) }).eq('id', user.id)
+    if (updateErr) throw updateErr
+
+    logger.info('[POST /auth/change-password] senha alterada', { user_id: user.id })
+    res.json({ success: true, message: 'Senha alterada com sucesso' })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// --- Admin: bloqueios de login ---
+// Listar emails/IPs com falhas de login registradas
+api.get('/admin/login-lockouts', allow(ROLES.ADMIN), async (req, res, next) => {
+  try {
+    res.json(listLoginLockouts())
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Liberar um email e/ou IP (?email=...&ip=...)
+api.delete('/admin/login-lockouts', allow(ROLES.ADMIN), validate({ query: { email: v.email().optional(), ip: v.string().optional() } }), async (req, res, next) => {
+  try {
+    const { email, ip } = req.query
+    if (!email && !ip) throw new ValidationError([{ campo: 'query.email', erro: 'informe email e/ou ip' }])
+    const removed = clearLoginLockout({ email, ip })
+    logger.info('[DELETE /admin/login-lockouts] bloqueio liberado', { admin: req.user.email, email, ip, removed })
+    await recordAudit(req, { acao: 'login_lockout.clear', alvo_tipo: 'login_lockouts', alvo_id: email || ip, depois: { email: email || null, ip: ip || null, removed } })
+    res.json({ cleared: removed })
   } catch (error) {
-    console.error('X. Erro no setup-admin:', error);
-    res.status(500).json({ 
-      error: 'Erro ao criar admin', 
-      details: error.message,
-      stack: error.stack,
-      timestamp: new Date().toISOString()
-    });
+    next(error)
   }
 })
 
-// Rota de login
-app.post('/login', async (req, res) => {
+// --- Admin: Caminhos descontinuados ---
+// Quantas vezes cada alias antigo (fora de /v1) foi chamado desde que o processo subiu (ver legacyRoutes.js)
+api.get('/admin/legacy-usage', allow(ROLES.ADMIN), (req, res) => {
+  res.json(listLegacyUsage())
+})
+
+// --- Admin: Lixeira ---
+// Itens excluídos (DELETE de alunos, contratos, consultorias, mensagens e produtos) ainda dentro da retenção (ver trash.js)
+api.get('/admin/lixeira', allow(ROLES.ADMIN), validate({
+  query: { tipo: v.oneOf(Object.keys(TRASH_TYPES)).optional(), limit: v.integer({ min: 1, max: MAX_PAGE_SIZE }).default(50) }
+}), async (req, res, next) => {
   try {
-    console.log('[Login] Recebendo requisição:', { 
-      body: req.body,
-      headers: {
-        'content-type': req.headers['content-type'],
-        'origin': req.headers['origin']
-      }
-    });
+    const itens = await listTrash(req.query)
+    res.json(itens.map(item => item.tipo === 'alunos' ? { ...item, dados: serializeUserFor(req.user, item.dados) } : item))
+  } catch (error) {
+    next(error)
+  }
+})
 
-    const { email, senha } = req.body;
+api.post('/admin/lixeira/:tipo/:id/restaurar', allow(ROLES.ADMIN), validate({ params: { tipo: v.oneOf(Object.keys(TRASH_TYPES)), id: v.id() } }), async (req, res, next) => {
+  try {
+    const { tipo, id } = req.params
+    const { antes, depois } = await restoreFromTrash(tipo, id)
+    if (tipo === 'produtos') invalidateTag(PRODUTOS_CACHE_TAG)
+    const { table, audit } = TRASH_TYPES[tipo]
+    await recordAudit(req, { acao: `${audit}.restore`, alvo_tipo: table, alvo_id: id, antes, depois })
+    res.json({ tipo, id: depois.id, dados: tipo === 'alunos' ? serializeUserFor(req.user, depois) : depois })
+  } catch (error) {
+    next(error)
+  }
+})
 
-    if (!email || !senha) {
-      console.log('[Login] Dados incompletos:', { email: !!email, senha: !!senha });
-      return res.status(400).json({ error: 'Email e senha são obrigatórios' });
-    }
+// Relatório de migração de senhas: quantas contas ainda guardam senha em texto puro (contas na lixeira não entram:
+// não fazem login, então nunca seriam convertidas)
+api.get('/admin/passwords/status', allow(ROLES.ADMIN), async (req, res, next) => {
+  try {
+    const { data, error } = await supabase.from('users').select('id,email,tipo,senha').is('deleted_at', null)
+    if (error) throw error
 
-    console.log('[Login] Buscando usuário:', email);
-    // Não usar .single() porque pode haver duplicatas no banco.
-    // Buscar todas as correspondências e usar a primeira (mais segura: deduplicar no DB).
-    
-    let data, error;
-    try {
-      const startTime = Date.now();
-      const result = await Promise.race([
-        supabase
-          .from('users')
-          .select('*')
-          .eq('email', email)
-          .eq('senha', senha),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Query timeout - Supabase demorando demais')), 10000)
-        )
-      ]);
-      data = result.data;
-      error = result.error;
-      const duration = Date.now() - startTime;
-      console.log(`[Login] Query concluída em ${duration}ms`);
-    } catch (timeoutErr) {
-      console.error('[Login] Timeout ao consultar Supabase:', timeoutErr.message);
-      return res.status(500).json({ 
-        error: 'Timeout ao conectar com banco de dados',
-        details: timeoutErr.message,
-        timestamp: new Date().toISOString()
-      });
-    }
+    const rows = data || []
+    const pendentes = rows.filter(u => u.senha && !isPasswordHash(u.senha))
+    res.json({
+      total: rows.length,
+      migrados: rows.filter(u => isPasswordHash(u.senha)).length,
+      pendentes: pendentes.length,
+      sem_senha: rows.filter(u => !u.senha).length,
+      pendentes_por_tipo: pendentes.reduce((acc, u) => {
+        const tipo = u.tipo || 'desconhecido'
+        acc[tipo] = (acc[tipo] || 0) + 1
+        return acc
+      }, {})
+    })
+  } catch (error) {
+    next(error)
+  }
+})
 
-    if (error) {
-      console.error('[Login] Erro do Supabase:', { 
-        code: error.code,
-        message: error.message,
-        details: error.details
-      });
-      throw error;
-    }
+// --- Admin: Schema do banco ---
+// Versão aplicada (schema_migrations), migrações pendentes e drift (tabelas/colunas ausentes, migrações alteradas)
+api.get('/admin/schema', allow(ROLES.ADMIN), async (req, res, next) => {
+  try {
+    res.json({ backend: dataBackend, ...(await getSchemaStatus(supabase, dialectFor(dataBackend))) })
+  } catch (error) {
+    next(error)
+  }
+})
 
-    console.log('[Login] supabase retornou (raw):', { rows: Array.isArray(data) ? data.length : (data ? 1 : 0), sample: Array.isArray(data) && data.length ? data[0] : data });
+// --- Admin: Contas duplicadas ---
+// Grupos de usuários que compartilham o mesmo email (comparação sem espaços e sem diferenciar maiúsculas)
+api.get('/admin/users/duplicates', allow(ROLES.ADMIN), async (req, res, next) => {
+  try {
+    const groups = await findDuplicateUsers()
+    res.json({ total_grupos: groups.length, grupos: groups })
+  } catch (error) {
+    next(error)
+  }
+})
 
-    if (!data || (Array.isArray(data) && data.length === 0)) {
-      console.log('[Login] Credenciais inválidas para:', email);
-      return res.status(401).json({ error: 'Credenciais inválidas' });
-    }
+// Funde duplicatas em uma conta: { sobrevivente_id, duplicados_ids?, dry_run? }
+// Sem duplicados_ids, todas as outras linhas com o mesmo email são fundidas. dry_run só conta as referências.
+api.post('/admin/users/merge', allow(ROLES.ADMIN), validate({
+  body: { sobrevivente_id: v.id(), duplicados_ids: v.array(v.id()).optional(), dry_run: v.boolean().default(false) }
+}), async (req, res, next) => {
+  try {
+    const { sobrevivente_id: survivorId, duplicados_ids, dry_run } = req.body
 
-    // Se houver múltiplos usuários, escolha o primeiro e logue um aviso para limpeza posterior
-    let user = Array.isArray(data) ? data[0] : data;
-    if (Array.isArray(data) && data.length > 1) {
-      console.warn('[Login] Atenção: múltiplos usuários encontrados para o mesmo email. Usando o primeiro. Recomenda-se remover duplicatas no DB. Count=', data.length);
+    const report = await mergeUsers({ survivorId, duplicateIds: duplicados_ids, dryRun: dry_run })
+    if (!report.dry_run) {
+      await recordAudit(req, { acao: 'user.merge', alvo_tipo: 'users', alvo_id: survivorId, antes: report.removidos, depois: report })
     }
-    
-    console.log('[Login] Autenticação bem sucedida:', { 
-      id: user.id, 
-      email: user.email, 
-      tipo: user.tipo,
-      timestamp: new Date().toISOString()
-    });
-    res.json(user);
+    logger.info('[POST /admin/users/merge] contas mescladas', { survivorId, removidos: report.removidos.length, dry_run: report.dry_run })
+    res.json(report)
   } catch (error) {
-    console.error('[Login] Erro não tratado:', {
-      message: error.message,
-      stack: error.stack,
-      timestamp: new Date().toISOString()
-    });
-    res.status(500).json({ 
-      error: 'Erro ao realizar login', 
-      details: error.message,
-      stack: error.stack
-    });
+    next(error)
   }
 })
 
 // Teste inicial de conexão com Supabase
 const testSupabase = async () => {
   try {
-    console.log('Testando conexão com Supabase...')
-    const { data, error } = await supabase.from('users').select('count')
-    
-    if (error) {
-      console.error('Erro específico:', error)
-      throw error
-    }
-    
-    console.log('Conexão com Supabase estabelecida com sucesso!')
-    console.log('Resultado do teste:', data)
+    logger.info('Testando conexão com o banco', { backend: dataBackend })
+    const { error } = await supabase.from('users').select('count')
+    if (error) throw error
+
+    logger.info('Conexão com o banco estabelecida', { backend: dataBackend })
     return true
   } catch (error) {
-    console.error('Erro ao conectar com Supabase:', error)
+    logger.error('Erro ao conectar com o banco', { backend: dataBackend, error })
     throw error
   }
 }
 
 // Rota para renovar contrato do professor com admin
-app.post('/admin-contracts/renovar', async (req, res) => {
+api.post('/admin-contracts/renovar', allow(ROLES.ADMIN), validate({ body: { professor_email: v.email(), contract_end: v.isoDate() } }), async (req, res, next) => {
   try {
+    // contract_end já chega em ISO 8601 completo (YYYY-MM-DD vira meia-noite UTC)
     const { professor_email, contract_end } = req.body;
+    const normalizedDate = contract_end;
     
-    if (!professor_email || !contract_end) {
-      return res.status(400).json({ error: 'professor_email e contract_end são obrigatórios' });
-    }
-    
-    // Normalizar a data para formato ISO 8601 completo (YYYY-MM-DD)
-    let normalizedDate = contract_end;
-    if (typeof contract_end === 'string' && contract_end.length === 10) {
-      // Se é apenas YYYY-MM-DD, adicionar time zone UTC
-      normalizedDate = contract_end + 'T00:00:00Z';
-    }
-    
-    console.log('[Admin Contracts] Renovando contrato:', { professor_email, contract_end, normalizedDate });
+    logger.info('[Admin Contracts] renovando contrato', { professor_email, contract_end });
+
+    // Estado anterior para o log de auditoria; sem ele o registro sairia com antes: null, então a leitura precisa dar certo
+    const { data: antes, error: antesError } = await supabase
+      .from('admin_contracts')
+      .select('*')
+      .eq('professor_email', professor_email.toLowerCase());
+    if (antesError) throw antesError;
     
     // Atualizar tabela admin_contracts
     const { data: updated, error: updateError } = await supabase
@@ -881,14 +1125,14 @@ app.post('/admin-contracts/renovar', async (req, res) => {
       .select();
     
     if (updateError) {
-      console.error('[Admin Contracts] Erro ao atualizar:', updateError);
+      logger.warn('[Admin Contracts] erro ao atualizar', { error: updateError });
       // Se não encontrar na tabela admin_contracts, criar um novo registro
       if (updateError.message.includes('No rows found') || updated.length === 0) {
         const { data: inserted, error: insertError } = await supabase
           .from('admin_contracts')
           .insert([{
             professor_email: professor_email.toLowerCase(),
-            admin_email: 'mils@admin.com',
+            admin_email: req.user.email,
             contract_start: new Date().toISOString(),
             contract_end: normalizedDate,
             status: 'active'
@@ -899,7 +1143,8 @@ app.post('/admin-contracts/renovar', async (req, res) => {
           throw insertError;
         }
         
-        console.log('[Admin Contracts] Contrato criado com sucesso:', inserted);
+        logger.info('[Admin Contracts] contrato criado', { professor_email });
+        await recordAudit(req, { acao: 'admin_contract.renew', alvo_tipo: 'admin_contracts', alvo_id: professor_email.toLowerCase(), antes: antes || null, depois: inserted });
         return res.json({ message: 'Contrato criado com sucesso', data: inserted });
       }
       if (updateError) throw updateError;
@@ -910,29 +1155,28 @@ app.post('/admin-contracts/renovar', async (req, res) => {
       .from('users')
       .update({ contract_end: normalizedDate })
       .eq('email', professor_email.toLowerCase())
+      .is('deleted_at', null)
       .select();
     
-    console.log('[Admin Contracts] Contrato renovado com sucesso:', updated);
+    logger.info('[Admin Contracts] contrato renovado', { professor_email, rows: (updated || []).length });
+    await recordAudit(req, { acao: 'admin_contract.renew', alvo_tipo: 'admin_contracts', alvo_id: professor_email.toLowerCase(), antes: antes || null, depois: updated });
     return res.json({ message: 'Contrato renovado com sucesso', data: updated });
     
   } catch (error) {
-    console.error('[Admin Contracts] Erro:', error);
-    return res.status(500).json({ error: error.message });
+    next(error)
   }
 });
 
 // Rota para obter contratos do admin
-app.get('/admin-contracts', async (req, res) => {
+api.get('/admin-contracts', allow(ROLES.ADMIN), async (req, res, next) => {
   try {
-    console.log('[Admin Contracts] Buscando contratos...');
-    
     const { data: contracts, error } = await supabase
       .from('admin_contracts')
       .select('id, professor_email, contract_end, contract_start, status')
       .order('contract_end', { ascending: false });
     
     if (error) {
-      console.warn('[Admin Contracts] Erro ao buscar contratos (tabela pode não existir):', error.message);
+      logger.warn('[Admin Contracts] erro ao buscar contratos (tabela pode não existir)', { error: error.message });
       // Retornar array vazio se a tabela não existir
       return res.json([]);
     }
@@ -944,68 +1188,70 @@ app.get('/admin-contracts', async (req, res) => {
       contract_start: c.contract_start ? new Date(c.contract_start).toISOString().split('T')[0] : null
     }));
     
-    console.log('[Admin Contracts] Contratos encontrados:', normalized.length);
     return res.json(normalized || []);
     
   } catch (error) {
-    console.error('[Admin Contracts] Erro geral:', error);
-    return res.status(500).json({ error: error.message });
+    next(error)
   }
 });
 
-// Inicia o servidor (sempre, pois o app.listen funciona com ES modules)
-app.listen(port, async () => {
-  try {
-    console.log(`Servidor iniciando na porta ${port}...`)
-    await testSupabase()
-    console.log('Servidor pronto para receber requisições')
-  } catch (error) {
-    console.error('Erro fatal ao iniciar servidor:', error)
-    process.exit(1)
-  }
-})
+// Inicia o servidor (o app.listen funciona com ES modules). Os testes (NODE_ENV=test) importam o app sem abrir a porta.
+if (process.env.NODE_ENV !== 'test') {
+  app.listen(port, async () => {
+    try {
+      logger.info('Servidor iniciando', { port: Number(port) })
+      await testSupabase()
+      scheduleTrashPurge()
+      logger.info('Servidor pronto para receber requisições')
+    } catch (error) {
+      logger.error('Erro fatal ao iniciar servidor', error)
+      process.exit(1)
+    }
+  })
+}
+
+// Body de POST /alunos; apoia múltiplos nomes de campo: criado_por, criadoPor, criado_by e contract_end, contractEnd
+const createAlunoBody = {
+  nome: v.string(),
+  email: v.email(),
+  senha: v.string({ trim: false }).optional(),
+  tipo: v.oneOf(Object.values(ROLES)).default(ROLES.ALUNO),
+  contract_end: v.isoDate().optional(),
+  contractEnd: v.isoDate().optional(),
+  criado_por: v.email().optional(),
+  criadoPor: v.email().optional(),
+  criado_by: v.email().optional(),
+  convite: v.boolean().default(false)
+}
 
 // Helper: cria um aluno (reutilizável por múltiplos endpoints)
-async function handleCreateAluno(req, res) {
-  try {
-    // apoiar múltiplos nomes de campo: criado_por, criadoPor, criado_by
-    const body = req.body || {}
-    let nome = body.nome
-    let email = body.email
-    let senha = body.senha
-    const tipo = body.tipo || 'aluno'
+async function handleCreateAluno(req, res, next) {
+  try {
+    const body = req.body
+    const { nome, email, senha } = body
+    // Só um admin escolhe o tipo da conta; professores sempre cadastram alunos
+    const tipo = req.user.tipo === ROLES.ADMIN ? body.tipo : ROLES.ALUNO
     const contract_end = body.contract_end || body.contractEnd || null
-    let criado_por = body.criado_por || body.criadoPor || body.criado_by || null
+    // Professor é sempre o dono dos alunos que cadastra; só um admin indica outro professor
+    const criado_por = req.user.tipo === ROLES.PROFESSOR ? req.user.email : (body.criado_por || body.criadoPor || body.criado_by || null)
 
-    if (!nome || !email || !senha) return res.status(400).json({ error: 'nome, email e senha são obrigatórios' })
+    // Modo convite: o aluno define a própria senha pelo link enviado por email
+    if (body.convite) {
+      return handleInviteAluno(req, res, next, { nome, email, contract_end, criado_por })
+    }
 
-    // Normalizar campos
-    nome = nome.toString().trim()
-    email = email.toString().trim().toLowerCase()
-    senha = senha.toString()
-    if (criado_por) criado_por = criado_por.toString().trim().toLowerCase()
+    if (!senha) throw new ValidationError([{ campo: 'body.senha', erro: 'é obrigatório (ou envie convite: true)' }])
 
-    const payload = { nome, email, senha, tipo, criado_por: criado_por || null }
+    const payload = { nome, email, senha: await hashPassword(senha), tipo, criado_por: criado_por || null }
     if (contract_end) payload.contract_end = contract_end
 
-    console.log('[POST /alunos] payload (normalized):', payload)
-
-    const { data, error, status, statusText } = await supabase.from('users').insert([payload]).select().maybeSingle()
-    console.log('[POST /alunos] supabase response:', { status, statusText, error, inserted: data })
+    logger.debug('[POST /alunos] payload', payload)
 
-    if (error) {
-      console.error('[POST /alunos] erro ao inserir (detalhes):', error)
-      // detectar conflito de unicidade (email já existe)
-      if (error.code === '23505' || (error.details && error.details.toLowerCase().includes('already exists'))) {
-        return res.status(409).json({ error: 'Email já cadastrado', details: error.message })
-      }
-      return res.status(500).json({ error: 'Erro ao inserir usuário', details: error.message, code: error.code, hint: error.details })
-    }
+    const { data, error } = await supabase.from('users').insert([payload]).select().maybeSingle()
 
-    if (!data) {
-      console.warn('[POST /alunos] atenção: supabase retornou sem dados inseridos e sem erro explícito')
-      return res.status(500).json({ error: 'Inserção não retornou dados' })
-    }
+    if (isUniqueViolation(error)) throw new ConflictError('Email já cadastrado', 'EMAIL_TAKEN')
+    if (error) throw error
+    if (!data) throw new Error('Inserção não retornou dados')
 
     // Se for aluno, também criar registro na tabela alunos para perfil e rede social
     if (tipo === 'aluno') {
@@ -1020,106 +1266,99 @@ async function handleCreateAluno(req, res) {
           })
         
         if (alunoError) {
-          console.warn('[POST /alunos] aviso ao inserir na tabela alunos:', alunoError)
+          logger.warn('[POST /alunos] aviso ao inserir na tabela alunos', { error: alunoError })
           // Não falhar a criação, apenas avisar
         } else {
-          console.log('[POST /alunos] aluno criado também na tabela alunos')
+          logger.debug('[POST /alunos] aluno criado também na tabela alunos')
         }
       } catch (alunoErr) {
-        console.warn('[POST /alunos] erro ao criar aluno na tabela alunos:', alunoErr)
+        logger.warn('[POST /alunos] erro ao criar aluno na tabela alunos', { error: alunoErr })
       }
     }
 
-    return res.json(data)
+    return res.json(serializeUserFor(req.user, data))
   } catch (error) {
-    console.error('[POST /alunos] erro não tratado:', error)
-    return res.status(500).json({ error: 'Erro interno ao criar aluno', details: error.message })
+    next(error)
   }
 }
 
-// Rota principal (compatibilidade com frontend)
-app.post('/alunos', async (req, res) => {
-  return handleCreateAluno(req, res)
-})
+// Cria o aluno pendente e envia o convite. Professores sempre convidam em nome próprio.
+async function handleInviteAluno(req, res, next, { nome, email, contract_end, criado_por }) {
+  try {
+    const professorEmail = req.user.tipo === ROLES.PROFESSOR ? req.user.email : criado_por
+    const { invite, user, token } = await createInvite({ nome, email, professorEmail, contractEnd: contract_end })
+    await sendInviteEmail(invite, token)
+    logger.info('[POST /alunos] convite criado', { invite_id: invite.id, user_id: user.id })
+    return res.status(201).json({ convite: serializeInvite(invite), user: serializeUserFor(req.user, user) })
+  } catch (error) {
+    next(error)
+  }
+}
 
-// Rota compatível com frontend React/Next (algumas versões usam esse caminho)
-app.post('/api/professor/create-student', async (req, res) => {
-  return handleCreateAluno(req, res)
-})
+const createAlunoRoute = [allow(ROLES.ADMIN, ROLES.PROFESSOR), validate({ body: createAlunoBody }), handleCreateAluno]
+api.post('/alunos', ...createAlunoRoute)
+
+// Caminho usado por versões antigas do frontend React/Next
+legacyRoute(app, 'post', '/api/professor/create-student', createAlunoRoute, { successor: `${API_PREFIX}/alunos` })
 
 // Listar apenas professores (compatibilidade com dashboard)
-app.get('/professores', async (req, res) => {
+api.get('/professores', allow(ROLES.ADMIN), validate({ query: listQuery(PROFESSORES_LIST) }), async (req, res, next) => {
   try {
-    const { data, error } = await supabase.from('users').select('*').eq('tipo', 'professor')
-    if (error) throw error
-    res.json(data || [])
+    const page = await fetchPage(PROFESSORES_LIST, req.query, q => q.eq('tipo', ROLES.PROFESSOR))
+    sendPage(req, res, page, rows => serializeUsersFor(req.user, rows))
   } catch (error) {
-    console.error('[GET /professores] erro:', error)
-    res.status(500).json({ error: 'Erro ao buscar professores', details: error.message })
+    next(error)
   }
 })
 
 // Listar alunos (compatibilidade com frontend que chama /alunos)
-app.get('/alunos', async (req, res) => {
+api.get('/alunos', allow(ROLES.ADMIN, ROLES.PROFESSOR), validate({ query: listQuery(ALUNOS_LIST) }), async (req, res, next) => {
   try {
-    // retornamos apenas usuários com tipo 'aluno'
-    const { data, error } = await supabase.from('users').select('*').eq('tipo', 'aluno')
-    if (error) {
-      console.error('[GET /alunos] erro do supabase:', error)
-      throw error
-    }
-    res.json(data || [])
+    // retornamos apenas usuários com tipo 'aluno' — professores veem só os alunos que criaram
+    const page = await fetchPage(ALUNOS_LIST, req.query, q => scopeUsersQuery(q.eq('tipo', ROLES.ALUNO), req.user))
+    sendPage(req, res, page, rows => serializeUsersFor(req.user, rows))
   } catch (error) {
-    console.error('[GET /alunos] erro:', error)
-    res.status(500).json({ error: 'Erro ao buscar alunos', details: error.message })
+    next(error)
   }
 })
 
-// Buscar aluno por id (compatibilidade com frontend que pede /alunos/:id)
-app.get('/alunos/:id', async (req, res) => {
+// Sessão atual: retorna o usuário do token (precisa vir antes de /alunos/:id para não ser capturada como id)
+api.get('/alunos/session', publicRoute, optionalAuth, async (req, res, next) => {
   try {
-    let id = req.params.id
-    if (!id) return res.status(400).json({ error: 'id é obrigatório' })
-    
-    // Sanitizar: remover qualquer coisa após ":" se existir
-    id = String(id).split(':')[0].trim()
-    id = parseInt(id, 10)
-    if (!id || isNaN(id)) return res.status(400).json({ error: 'id inválido' })
-    
-    const { data, error } = await supabase.from('users').select('*').eq('id', id).maybeSingle()
-    if (error) {
-      console.error('[GET /alunos/:id] erro do supabase:', error)
-      throw error
-    }
-    if (!data) return res.status(404).json({ error: 'Aluno não encontrado' })
-    res.json(data)
+    // Sem token retornamos objeto vazio para indicar "sem sessão" (compatível com o frontend antigo)
+    if (!req.user) return res.json({})
+
+    const { data, error } = await supabase.from('users').select('*').eq('id', req.user.id).is('deleted_at', null).maybeSingle()
+    if (error) throw error
+    if (!data) return res.status(401).json({ error: 'Usuário da sessão não existe mais', code: 'SESSION_USER_NOT_FOUND' })
+
+    res.json(serializeUser(data, USER_VIEWS.SELF))
   } catch (error) {
-    console.error('[GET /alunos/:id] erro:', error)
-    res.status(500).json({ error: 'Erro ao buscar aluno', details: error.message })
+    next(error)
   }
 })
 
-// Rota simples para compatibilidade com tentativa de sessão do frontend
-app.get('/alunos/session', async (req, res) => {
+// Buscar aluno por id (compatibilidade com frontend que pede /alunos/:id)
+api.get('/alunos/:id', authenticated, validate({ params: idParams }), requireOwnership(req => ({ id: req.params.id })), async (req, res, next) => {
   try {
-    // Este endpoint é opcional no frontend — retornamos objeto vazio para indicar "sem sessão".
-    res.json({})
+    const id = req.params.id
+    const { data, error } = await supabase.from('users').select('*').eq('id', id).is('deleted_at', null).maybeSingle()
+    if (error) throw error
+    if (!data) throw new NotFoundError('Aluno não encontrado')
+    res.json(serializeUserFor(req.user, data))
   } catch (error) {
-    console.error('[GET /alunos/session] erro:', error)
-    res.status(500).json({ error: 'Erro ao verificar sessão', details: error.message })
+    next(error)
   }
 })
 
 // Renovar/atualizar contrato de um aluno (compatível com /alunos/:id/contract)
-app.patch('/alunos/:id/contract', async (req, res) => {
+api.patch('/alunos/:id/contract', allow(ROLES.ADMIN, ROLES.PROFESSOR), validate({
+  params: idParams,
+  body: { contract_end: v.isoDate(), professor_email: v.email().optional() }
+}), requireOwnership(req => ({ id: req.params.id }), { allowSelf: false }), async (req, res, next) => {
   try {
     const id = req.params.id
-    const { contract_end } = req.body || {}
-    if (!contract_end) return res.status(400).json({ error: 'contract_end é obrigatório' })
-
-    // normalize to ISO if possible
-    let iso = contract_end
-    try { iso = new Date(contract_end).toISOString() } catch (e) { /* keep raw */ }
+    const { contract_end: iso } = req.body
 
     // determine blocked flag
     let blocked = false
@@ -1128,11 +1367,16 @@ app.patch('/alunos/:id/contract', async (req, res) => {
       if (!isNaN(end.getTime()) && end <= new Date()) blocked = true
     } catch (e) {}
 
-  // Update the user, then fetch the full user record so we have reliable fields to notify (email, tipo, criado_por)
-  const { error: updateError } = await supabase.from('users').update({ contract_end: iso, blocked: blocked ? 1 : 0 }).eq('id', id)
-  if (updateError) throw updateError
-  const { data: user, error: userFetchError } = await supabase.from('users').select('id,email,tipo,criado_por,contract_end,blocked').eq('id', id).maybeSingle()
-  if (userFetchError) throw userFetchError
+    // Snapshot before the change for the audit log
+    const { data: before, error: beforeError } = await supabase.from('users').select('id,email,tipo,criado_por,contract_end,blocked').eq('id', id).is('deleted_at', null).maybeSingle()
+    if (beforeError) throw beforeError
+
+    // Update the user, then fetch the full user record so we have reliable fields to notify (email, tipo, criado_por)
+    const { error: updateError } = await supabase.from('users').update({ contract_end: iso, blocked: blocked ? 1 : 0 }).eq('id', id).is('deleted_at', null)
+    if (updateError) throw updateError
+    const { data: user, error: userFetchError } = await supabase.from('users').select('id,email,tipo,criado_por,contract_end,blocked').eq('id', id).is('deleted_at', null).maybeSingle()
+    if (userFetchError) throw userFetchError
+    await recordAudit(req, { acao: 'user.contract_update', alvo_tipo: 'users', alvo_id: id, antes: before, depois: user })
     // Insert a system message notifying the user about contract status change
     try {
       if (user && user.email) {
@@ -1144,7 +1388,7 @@ app.patch('/alunos/:id/contract', async (req, res) => {
           await supabase.from('mensagens').insert([{ de: 'sistema', para: user.email, mensagem: `Seu contrato foi atualizado até ${iso}. Acesse sua conta para mais detalhes.`, data: Date.now().toString() }])
         }
       }
-    } catch (e) { console.error('Erro ao inserir mensagem sobre contrato:', e) }
+    } catch (e) { logger.error('[PATCH /alunos/:id/contract] erro ao inserir mensagem sobre contrato', e) }
 
     // Additionally notify the professor (admin -> professor flow)
     try {
@@ -1168,268 +1412,221 @@ app.patch('/alunos/:id/contract', async (req, res) => {
           ? `O contrato do aluno ${user.email} expirou. Por favor, verifique e tome as providências necessárias.`
           : `O contrato do aluno ${user.email} foi renovado até ${iso}.`;
         await supabase.from('mensagens').insert([{ de: 'sistema', para: professorEmail, mensagem: texto, data: new Date().toISOString() }])
-        console.log('[PATCH /alunos/:id/contract] notificação enviada ao professor:', professorEmail)
+        logger.info('[PATCH /alunos/:id/contract] notificação enviada ao professor', { professor_email: professorEmail })
       } else if (!professorEmail) {
-        console.log('[PATCH /alunos/:id/contract] nenhum professor encontrado para notificar (nenhum professor_email em body nem criado_por no usuário)')
+        logger.debug('[PATCH /alunos/:id/contract] nenhum professor encontrado para notificar (nenhum professor_email em body nem criado_por no usuário)')
       } else {
-        console.log('[PATCH /alunos/:id/contract] professor email igual ao usuário atualizado, evitando duplicata:', professorEmail)
+        logger.debug('[PATCH /alunos/:id/contract] professor email igual ao usuário atualizado, evitando duplicata', { professor_email: professorEmail })
       }
     } catch (e) {
-      console.error('Erro ao inserir mensagem para o professor sobre contrato:', e)
+      logger.error('[PATCH /alunos/:id/contract] erro ao inserir mensagem para o professor', e)
     }
 
     res.json({ id, contract_end: iso, blocked: blocked ? 1 : 0 })
   } catch (error) {
-    console.error('[PATCH /alunos/:id/contract] erro:', error)
-    res.status(500).json({ error: 'Erro ao atualizar contrato', details: error.message })
+    next(error)
   }
 })
 
 // Deletar aluno/professor
-app.delete('/alunos/:id', async (req, res) => {
+api.delete('/alunos/:id', allow(ROLES.ADMIN, ROLES.PROFESSOR), validate({ params: idParams }), requireOwnership(req => ({ id: req.params.id }), { allowSelf: false }), async (req, res, next) => {
   try {
     const id = req.params.id
-    const { data, error } = await supabase.from('users').delete().eq('id', id)
-    if (error) throw error
+    const { data: existing, error: fetchErr } = await supabase.from('users').select('*').eq('id', id).is('deleted_at', null).maybeSingle()
+    if (fetchErr) throw fetchErr
+    if (!existing) throw new NotFoundError('Usuário não encontrado')
+    // Vai para a lixeira: login, sessão e listagens deixam de enxergar o usuário até ele ser restaurado
+    const deleted = await moveToTrash('alunos', id)
+    if (!deleted) throw new NotFoundError('Usuário não encontrado')
+    await recordAudit(req, { acao: 'user.delete', alvo_tipo: 'users', alvo_id: id, antes: existing, depois: deleted })
     res.json({ deleted: true })
   } catch (error) {
-    console.error('[DELETE /alunos/:id] erro:', error)
-    res.status(500).json({ error: 'Erro ao deletar usuário', details: error.message })
+    next(error)
   }
 })
 
 // Mensagens: listar e enviar
-app.get('/mensagens', async (req, res) => {
-  try {
-    const { para, de } = req.query || {}
-    let query = supabase.from('mensagens').select('*')
-    if (para) query = query.eq('para', para)
-    if (de) query = query.eq('de', de)
-    const { data, error } = await query
-    if (error) throw error
-    console.log('[GET /mensagens] retornando dados:', data)
-    res.json(data || [])
-  } catch (error) {
-    console.error('[GET /mensagens] erro:', error)
-    res.status(500).json({ error: 'Erro ao buscar mensagens', details: error.message })
-  }
-})
-
-app.get('/mensagens/para/:email', async (req, res) => {
+const mensagensRoute = [authenticated, validate({ query: listQuery(MENSAGENS_LIST) }), async (req, res, next) => {
   try {
-    const email = req.params.email
-    const { data, error } = await supabase.from('mensagens').select('*').eq('para', email).order('data', { ascending: false })
-    if (error) throw error
-    res.json(data || [])
+    // Admin vê todas; os demais, só as mensagens que enviaram ou receberam
+    const scope = req.user.tipo === ROLES.ADMIN ? {} : { or: anyColumnEquals(['de', 'para'], req.user.email) }
+    const page = await fetchPage(MENSAGENS_LIST, req.query, undefined, scope)
+    logger.debug('[GET /mensagens] mensagens encontradas', { count: page.data.length, total: page.total })
+    sendPage(req, res, page)
   } catch (error) {
-    console.error('[GET /mensagens/para/:email] erro:', error)
-    res.status(500).json({ error: 'Erro ao buscar mensagens para o destinatário', details: error.message })
+    next(error)
   }
+}]
+api.get('/mensagens', ...mensagensRoute)
+
+// Forma antiga de GET /mensagens?para=: o email vem no caminho e a ordem padrão é a mais recente primeiro
+legacyRoute(app, 'get', '/mensagens/para/:email', mensagensRoute, {
+  successor: `${API_PREFIX}/mensagens`,
+  adapt: [validate({ params: { email: v.email() } }), (req, res, next) => {
+    req.query.para = req.params.email
+    if (!req.query.sort) req.query.sort = '-data'
+    next()
+  }]
 })
 
-app.post('/mensagens', async (req, res) => {
+// 'de' não é validado como email: mensagens automáticas usam o remetente 'sistema'
+api.post('/mensagens', authenticated, validate({ body: { para: v.email(), mensagem: v.string() } }), idempotent, async (req, res, next) => {
   try {
-    const { de, para, mensagem } = req.body || {}
-    if (!de || !para || !mensagem) return res.status(400).json({ error: 'de, para e mensagem são obrigatórios' })
+    // O remetente é sempre o usuário do token; um 'de' no body é ignorado
+    const de = req.user.email
+    const { para, mensagem } = req.body
     // NÃO enviar 'data' - deixar o banco usar DEFAULT NOW()
     const payload = { de, para, mensagem }
-    console.log('[POST /mensagens] payload:', payload)
-
-    const { data: inserted, error, status, statusText } = await supabase.from('mensagens').insert([payload]).select().maybeSingle()
-    console.log('[POST /mensagens] supabase response:', { status, statusText, error, inserted })
-
-    if (error) {
-      console.error('[POST /mensagens] erro ao inserir (detalhes):', error)
-      // return the supabase error details to help debugging (safe for dev only)
-      return res.status(500).json({ error: 'Erro ao salvar mensagem', details: error.message, code: error.code, hint: error.details })
-    }
+    const { data: inserted, error } = await supabase.from('mensagens').insert([payload]).select().maybeSingle()
+    if (error) throw error
+    logger.debug('[POST /mensagens] mensagem enviada', { id: inserted && inserted.id, de, para })
 
     res.json(inserted)
   } catch (error) {
-    console.error('[POST /mensagens] erro não tratado:', error)
-    res.status(500).json({ error: 'Erro interno ao enviar mensagem', details: error.message })
+    next(error)
   }
 })
 
 // Deletar uma mensagem
-app.delete('/mensagens/:id', async (req, res) => {
+api.delete('/mensagens/:id', authenticated, validate({ params: idParams }), async (req, res, next) => {
   try {
     const { id } = req.params
-    if (!id) return res.status(400).json({ error: 'id é obrigatório' })
-    
-    console.log('[DELETE /mensagens/:id] deletando mensagem:', id)
-    const { data: deleted, error } = await supabase.from('mensagens').delete().eq('id', id)
-    
-    if (error) {
-      console.error('[DELETE /mensagens/:id] erro ao deletar:', error)
-      return res.status(500).json({ error: 'Erro ao deletar mensagem', details: error.message })
+
+    const { data: existing, error: fetchErr } = await supabase.from('mensagens').select('*').eq('id', id).is('deleted_at', null).maybeSingle()
+    if (fetchErr) throw fetchErr
+    if (!existing) throw new NotFoundError('Mensagem não encontrada')
+    // Só quem enviou ou recebeu a mensagem (ou um admin) pode excluí-la
+    const participantes = [existing.de, existing.para].map(email => String(email || '').trim().toLowerCase())
+    if (req.user.tipo !== ROLES.ADMIN && !participantes.includes(req.user.email)) {
+      throw new ApiError('Sem permissão para excluir esta mensagem', 'NOT_OWNER', 403)
     }
-    
+
+    const deleted = await moveToTrash('mensagens', id)
+    if (!deleted) throw new NotFoundError('Mensagem não encontrada')
+
+    await recordAudit(req, { acao: 'mensagem.delete', alvo_tipo: 'mensagens', alvo_id: id, antes: existing, depois: deleted })
     res.json({ deleted: true })
   } catch (error) {
-    console.error('[DELETE /mensagens/:id] erro não tratado:', error)
-    res.status(500).json({ error: 'Erro ao deletar mensagem', details: error.message })
+    next(error)
   }
 })
 
 // --- Consultorias (Avaliações/biopedância) ---
-// Inserir uma nova consultoria
-app.post('/consultorias', async (req, res) => {
+// Inserir uma nova consultoria. Professores só registram para os próprios alunos; criado_por é sempre quem registra.
+api.post('/consultorias', allow(ROLES.ADMIN, ROLES.PROFESSOR), validate({
+  body: { aluno_id: v.id().optional(), client_id: v.id().optional(), tipo: v.string().optional(), dados: v.object().optional() }
+}), requireOwnership(req => ({ id: req.body.aluno_id || req.body.client_id })), async (req, res, next) => {
   try {
-    const { aluno_id, tipo, dados, criado_por } = req.body || {}
-    const client_id = aluno_id || req.body.client_id || null
-    if (!client_id) return res.status(400).json({ error: 'aluno_id (client_id) é obrigatório' })
+    const { aluno_id, tipo, dados } = req.body
+    const client_id = aluno_id || req.body.client_id
 
     const payload = {
-      client_id: parseInt(client_id, 10),
+      client_id,
       tipo: tipo || 'consultoria',
       dados: dados || {},
-      criado_por: criado_por || null,
+      criado_por: req.user.email,
       data: new Date().toISOString()
     }
 
-    console.log('[POST /consultorias] inserting payload:', { client_id: payload.client_id, tipo: payload.tipo })
-
-    const { data, error, status, statusText } = await supabase.from('consultorias').insert([payload]).select()
-    console.log('[POST /consultorias] supabase response:', { status, statusText, error, inserted: data })
+    const { data, error } = await supabase.from('consultorias').insert([payload]).select()
     if (error) throw error
+    logger.debug('[POST /consultorias] consultoria registrada', { client_id: payload.client_id, tipo: payload.tipo })
     res.json(data || [])
   } catch (error) {
-    console.error('[POST /consultorias] erro:', error)
-    res.status(500).json({ error: 'Erro ao salvar consultoria', details: error.message })
+    next(error)
   }
 })
 
-// Listar consultorias por client id
-app.get('/consultorias/:clientId', async (req, res) => {
+// Listar consultorias por client id (o :id é o id do aluno; mesmo nome de parâmetro de DELETE /consultorias/:id)
+const consultoriasRoute = [authenticated, validate({ params: { id: v.id() }, query: listQuery(CONSULTORIAS_LIST) }), requireOwnership(req => ({ id: req.params.id })), async (req, res, next) => {
   try {
-    let clientId = req.params.clientId
-    if (!clientId) return res.status(400).json({ error: 'clientId inválido' })
-    
-    // Sanitizar: remover qualquer coisa após ":" se existir
-    clientId = String(clientId).split(':')[0].trim()
-    clientId = parseInt(clientId, 10)
-    if (!clientId || isNaN(clientId)) return res.status(400).json({ error: 'clientId inválido' })
-    
-    console.log('[GET /consultorias/:clientId] buscando consultorias para clientId:', clientId)
-    
-    const { data, error } = await supabase.from('consultorias').select('*').eq('client_id', clientId).order('data', { ascending: false })
-    
-    if (error) {
-      console.error('[GET /consultorias/:clientId] supabase error:', {
-        message: error.message,
-        code: error.code,
-        details: error.details,
-        hint: error.hint,
-        status: error.status
-      })
-      
-      // Se for erro de tabela não encontrada, retornar array vazio ao invés de erro
-      if (error.code === '42P01' || error.message?.includes('does not exist')) {
-        console.warn('[GET /consultorias/:clientId] Tabela consultorias não existe ainda')
-        return res.json([])
-      }
-      
-      return res.status(500).json({ 
-        error: 'Erro ao buscar consultorias', 
-        details: error.message,
-        code: error.code
-      })
-    }
-    
-    console.log('[GET /consultorias/:clientId] retornando', data?.length || 0, 'consultorias')
-    res.json(data || [])
+    const clientId = req.params.id
+    sendPage(req, res, await fetchPage(CONSULTORIAS_LIST, req.query, q => q.eq('client_id', clientId)))
   } catch (error) {
-    console.error('[GET /consultorias/:clientId] erro inesperado:', error)
-    res.status(500).json({ error: 'Erro inesperado ao buscar consultorias', message: error.message })
+    // Se for erro de tabela não encontrada, retornar array vazio ao invés de erro
+    if (isMissingTable(error)) {
+      logger.warn('[GET /consultorias/:id] tabela consultorias não existe ainda')
+      return res.json([])
+    }
+    next(error)
   }
-})
+}]
+api.get('/consultorias/:id', ...consultoriasRoute)
 
-// Listar consultorias por email do aluno (resolve id do usuário e consulta consultorias)
-app.get('/consultorias/email/:email', async (req, res) => {
-  try {
-    const email = decodeURIComponent(req.params.email || '')
-    if (!email) return res.status(400).json({ error: 'email inválido' })
-    const { data: user, error: userErr } = await supabase.from('users').select('id,email').eq('email', email).maybeSingle()
-    if (userErr) throw userErr
-    if (!user || !user.id) return res.json([])
-    const { data, error } = await supabase.from('consultorias').select('*').eq('client_id', user.id).order('data', { ascending: false })
-    if (error) throw error
-    res.json(data || [])
-  } catch (error) {
-    console.error('[GET /consultorias/email/:email] erro:', error)
-    res.status(500).json({ error: 'Erro ao buscar consultorias por email', details: error.message })
-  }
+// Forma antiga por email do aluno: resolve o id do usuário (email desconhecido continua respondendo []).
+legacyRoute(app, 'get', '/consultorias/email/:email', consultoriasRoute, {
+  successor: `${API_PREFIX}/consultorias/{id}`,
+  adapt: [validate({ params: { email: v.email() } }), requireOwnership(req => ({ email: req.params.email })), async (req, res, next) => {
+    try {
+      const { data: user, error } = await supabase.from('users').select('id,email').eq('email', req.params.email).is('deleted_at', null).maybeSingle()
+      if (error) throw error
+      if (!user || !user.id) return res.json([])
+      req.params.id = user.id
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }]
 })
 
 // Deletar consultoria por id
-app.delete('/consultorias/:id', async (req, res) => {
+api.delete('/consultorias/:id', allow(ROLES.ADMIN, ROLES.PROFESSOR), validate({ params: idParams }), async (req, res, next) => {
   try {
     const id = req.params.id
-    if (!id) return res.status(400).json({ error: 'id é obrigatório' })
-    const { data: existing, error: fetchErr } = await supabase.from('consultorias').select('id').eq('id', id).maybeSingle()
+    const { data: existing, error: fetchErr } = await supabase.from('consultorias').select('*').eq('id', id).is('deleted_at', null).maybeSingle()
     if (fetchErr) throw fetchErr
-    if (!existing) return res.status(404).json({ error: 'Consultoria não encontrada' })
-    const { error: deleteErr } = await supabase.from('consultorias').delete().eq('id', id)
-    if (deleteErr) throw deleteErr
+    if (!existing) throw new NotFoundError('Consultoria não encontrada')
+    // Professor só exclui consultorias dos próprios alunos
+    if (!canAccessUser(req.user, await findTargetUser({ id: existing.client_id }))) {
+      return res.status(403).json({ error: 'Sem permissão para acessar dados deste aluno', code: 'NOT_OWNER' })
+    }
+    const deleted = await moveToTrash('consultorias', id)
+    if (!deleted) throw new NotFoundError('Consultoria não encontrada')
+    await recordAudit(req, { acao: 'consultoria.delete', alvo_tipo: 'consultorias', alvo_id: id, antes: existing, depois: deleted })
     res.json({ deleted: true })
   } catch (error) {
-    console.error('[DELETE /consultorias/:id] erro:', error)
-    res.status(500).json({ error: 'Erro ao deletar consultoria', details: error.message })
+    next(error)
   }
 })
 
 // Atualizar/Salvar foto do aluno (recebe base64 no body: { foto: 'data:image/...' })
-app.put('/alunos/foto/:id', async (req, res) => {
+api.put('/alunos/foto/:id', authenticated, validate({ params: idParams, body: { foto: v.string() } }), requireOwnership(req => ({ id: req.params.id })), async (req, res, next) => {
   try {
-    let id = req.params.id
-    const { foto } = req.body || {}
-    if (!id) return res.status(400).json({ error: 'id é obrigatório' })
-    
-    // Sanitizar: remover qualquer coisa após ":" se existir
-    id = String(id).split(':')[0].trim()
-    id = parseInt(id, 10)
-    if (!id || isNaN(id)) return res.status(400).json({ error: 'id inválido' })
-    
-    if (!foto) return res.status(400).json({ error: 'campo foto é obrigatório' })
-
-    console.log('[PUT /alunos/foto/:id] salvando foto para aluno id=', id)
+    const id = req.params.id
+    const { foto } = req.body
 
     // Atualiza a coluna 'foto' na tabela users
     const { data, error } = await supabase.from('users').update({ foto }).eq('id', id).select().maybeSingle()
-    console.log('[PUT /alunos/foto/:id] supabase response:', { error, updated: data })
     if (error) throw error
-    if (!data) return res.status(404).json({ error: 'Aluno não encontrado para atualizar foto' })
-    res.json({ success: true, data })
+    if (!data) throw new NotFoundError('Aluno não encontrado para atualizar foto')
+    res.json({ success: true, data: serializeUserFor(req.user, data) })
   } catch (error) {
-    console.error('[PUT /alunos/foto/:id] erro:', error)
-    res.status(500).json({ error: 'Erro ao salvar foto', details: error.message })
+    next(error)
   }
 })
 
 // --- Admin: Feature Flags ---
 // GET configuração global
-app.get('/admin/settings/:chave', async (req, res) => {
+api.get('/admin/settings/:chave', allow(ROLES.ADMIN), validate({ params: { chave: v.string({ max: 100 }) } }), async (req, res, next) => {
   try {
     const chave = req.params.chave
     const { data, error } = await supabase.from('settings').select('*').eq('chave', chave).maybeSingle()
     if (error) throw error
-    if (!data) return res.status(404).json({ error: 'Configuração não encontrada' })
+    if (!data) throw new NotFoundError('Configuração não encontrada')
     res.json(data)
   } catch (error) {
-    console.error('[GET /admin/settings/:chave] erro:', error)
-    res.status(500).json({ error: 'Erro ao buscar configuração', details: error.message })
+    next(error)
   }
 })
 
 // POST/PATCH atualizar configuração global
-app.post('/admin/settings/:chave', async (req, res) => {
+api.post('/admin/settings/:chave', allow(ROLES.ADMIN), validate({ params: { chave: v.string({ max: 100 }) }, body: { valor: v.any() } }), async (req, res, next) => {
   try {
     const chave = req.params.chave
-    const { valor } = req.body || {}
-    if (valor === undefined || valor === null) return res.status(400).json({ error: 'valor é obrigatório' })
+    const { valor } = req.body
 
-    console.log('[POST /admin/settings/:chave] atualizando', chave, 'para', valor)
+    const { data: antes, error: antesError } = await supabase.from('settings').select('*').eq('chave', chave).maybeSingle()
+    if (antesError) throw antesError
 
     // Tentar upsert (atualizar se existe, criar se não)
     const { data, error } = await supabase.from('settings')
@@ -1438,22 +1635,45 @@ app.post('/admin/settings/:chave', async (req, res) => {
       .maybeSingle()
 
     if (error) throw error
-    console.log('[POST /admin/settings/:chave] sucesso:', data)
+    logger.info('[POST /admin/settings/:chave] configuração atualizada', { chave, valor })
+    await recordAudit(req, { acao: 'setting.update', alvo_tipo: 'settings', alvo_id: chave, antes: antes || null, depois: data })
     res.json({ success: true, data })
   } catch (error) {
-    console.error('[POST /admin/settings/:chave] erro:', error)
-    res.status(500).json({ error: 'Erro ao atualizar configuração', details: error.message })
+    next(error)
+  }
+})
+
+// --- Admin: Auditoria ---
+// Consultar o log de auditoria (filtros: acao, ator_email, alvo_tipo, alvo_id, desde, ate; paginação: page, limit)
+api.get('/admin/audit', allow(ROLES.ADMIN), validate({
+  query: {
+    acao: v.string().optional(),
+    ator_email: v.email().optional(),
+    alvo_tipo: v.string().optional(),
+    alvo_id: v.string().optional(),
+    desde: v.isoDate().optional(),
+    ate: v.isoDate().optional(),
+    page: v.integer({ min: 1 }).optional(),
+    limit: v.integer({ min: 1 }).optional()
+  }
+}), async (req, res, next) => {
+  try {
+    const result = await queryAudit(req.query)
+    res.json(result)
+  } catch (error) {
+    next(error)
   }
 })
 
 // --- REDE SOCIAL: Posts, Curtidas, Comentários ---
 
 // POST: Criar novo post
-app.post('/posts', upload.single('imagem'), async (req, res) => {
+api.post('/posts', authenticated, uploadSingle('imagem'), validate({ body: { conteudo: v.string().optional(), imagem_url: v.url().optional() } }), idempotent, async (req, res, next) => {
   try {
     const { conteudo } = req.body
-    const autorEmail = req.body.autor_email || localStorage?.getItem?.('aluno_email') || req.headers['x-user-email']
-    const autorNome = req.body.autor_nome || 'Anônimo'
+    // Autor sempre vem do token; autor_email/autor_nome do body são ignorados
+    const autorEmail = req.user.email
+    const autorNome = req.user.nome || 'Anônimo'
 
     // Se houver arquivo de imagem, salvar
     let imagemUrl = null
@@ -1464,40 +1684,48 @@ app.post('/posts', upload.single('imagem'), async (req, res) => {
     }
 
     // Validar: precisa de conteúdo OU imagem
-    if ((!conteudo || !conteudo.trim()) && !imagemUrl) {
-      return res.status(400).json({ error: 'Post precisa ter texto ou imagem' })
+    if (!conteudo && !imagemUrl) {
+      throw new ValidationError([{ campo: 'body.conteudo', erro: 'post precisa ter texto ou imagem' }])
     }
 
     if (!autorEmail) {
-      return res.status(400).json({ error: 'Email do autor não fornecido' })
+      throw new ApiError('Token sem email do autor', 'TOKEN_INVALID', 401)
     }
 
     const { data, error } = await supabase.from('posts').insert([{
       autor_email: autorEmail.toLowerCase().trim(),
       autor_nome: autorNome,
-      conteudo: conteudo?.trim() || '',
+      conteudo: conteudo || '',
       imagem_url: imagemUrl,
       criado_em: new Date().toISOString()
     }]).select().single()
 
-    if (error) {
-      console.error('[POST /posts] erro ao criar post:', error)
-      return res.status(500).json({ error: 'Erro ao criar post', details: error.message })
-    }
+    if (error) throw error
 
-    console.log('[POST /posts] Post criado:', data.id)
+    logger.info('[POST /posts] post criado', { post_id: data.id })
     res.json({ success: true, data })
   } catch (error) {
-    console.error('[POST /posts] erro:', error)
-    res.status(500).json({ error: 'Erro ao criar post', details: error.message })
+    next(error)
+  }
+})
+
+// GET: Listar posts (feed paginado por cursor; padrão: mais recentes primeiro).
+// Cada item traz curtidas_count, comentarios_count, comentarios_preview e curtido_por_mim (ver feed.js)
+api.get('/posts/feed', authenticated, validate({ query: listQuery(POSTS_LIST) }), async (req, res, next) => {
+  try {
+    const page = await fetchPage(POSTS_LIST, req.query)
+    page.data = await buildFeedItems(page.data, req.user.email)
+    sendPage(req, res, page)
+  } catch (error) {
+    next(error)
   }
 })
 
-// GET: Listar posts (feed - paginado)
-app.get('/posts/feed/:limit/:offset', async (req, res) => {
+// Formato antigo do feed, com limit/offset no caminho (mantido para clientes existentes; prefira GET /v1/posts/feed)
+legacyRoute(app, 'get', '/posts/feed/:limit/:offset', [authenticated, validate({ params: { limit: v.integer({ min: 1 }), offset: v.integer({ min: 0 }) } }), async (req, res, next) => {
   try {
-    const limit = Math.min(parseInt(req.params.limit) || 20, 100)
-    const offset = Math.max(parseInt(req.params.offset) || 0, 0)
+    const limit = Math.min(req.params.limit, 100)
+    const offset = req.params.offset
 
     // Buscar posts com ordenação decrescente (mais recentes primeiro)
     const { data: posts, error } = await supabase
@@ -1507,44 +1735,20 @@ app.get('/posts/feed/:limit/:offset', async (req, res) => {
       .range(offset, offset + limit - 1)
 
     if (error) throw error
-
-    // Para cada post, contar curtidas e comentários
-    const enriched = await Promise.all((posts || []).map(async (post) => {
-      const { count: curtidas } = await supabase
-        .from('curtidas')
-        .select('*', { count: 'exact', head: true })
-        .eq('post_id', post.id)
-
-      const { data: comentarios } = await supabase
-        .from('comentarios')
-        .select('*')
-        .eq('post_id', post.id)
-        .order('criado_em', { ascending: false })
-        .limit(3)
-
-      return {
-        ...post,
-        curtidas_count: curtidas || 0,
-        comentarios_count: comentarios?.length || 0,
-        comentarios_preview: comentarios || []
-      }
-    }))
-
-    res.json(enriched)
+    res.json(await buildFeedItems(posts, req.user.email))
   } catch (error) {
-    console.error('[GET /posts/feed] erro:', error)
-    res.status(500).json({ error: 'Erro ao carregar posts', details: error.message })
+    next(error)
   }
-})
+}], { successor: `${API_PREFIX}/posts/feed` })
 
 // POST: Curtir/descurtir post
-app.post('/posts/:id/curtir', async (req, res) => {
+api.post('/posts/:id/curtir', authenticated, validate({ params: idParams }), async (req, res, next) => {
   try {
     const postId = req.params.id
-    const usuarioEmail = req.body.usuario_email || req.headers['x-user-email']
+    const usuarioEmail = req.user.email
 
     if (!usuarioEmail) {
-      return res.status(400).json({ error: 'Email do usuário não fornecido' })
+      throw new ApiError('Token sem email do usuário', 'TOKEN_INVALID', 401)
     }
 
     // Verificar se já existe curtida
@@ -1564,8 +1768,9 @@ app.post('/posts/:id/curtir', async (req, res) => {
         .eq('usuario_email', usuarioEmail.toLowerCase())
 
       if (error) throw error
-      console.log('[POST /posts/:id/curtir] Descurtida:', postId, usuarioEmail)
-      return res.json({ success: true, curtido: false })
+      logger.debug('[POST /posts/:id/curtir] curtida removida', { post_id: postId, email: usuarioEmail })
+      const counters = await refreshPostCounters(postId)
+      return res.json({ success: true, curtido: false, curtidas_count: counters ? counters.curtidas_count : null })
     } else {
       // Adicionar curtida
       const { error } = await supabase
@@ -1577,50 +1782,46 @@ app.post('/posts/:id/curtir', async (req, res) => {
         }])
 
       if (error) throw error
-      console.log('[POST /posts/:id/curtir] Curtida adicionada:', postId, usuarioEmail)
-      return res.json({ success: true, curtido: true })
+      logger.debug('[POST /posts/:id/curtir] curtida adicionada', { post_id: postId, email: usuarioEmail })
+      const counters = await refreshPostCounters(postId)
+      return res.json({ success: true, curtido: true, curtidas_count: counters ? counters.curtidas_count : null })
     }
   } catch (error) {
-    console.error('[POST /posts/:id/curtir] erro:', error)
-    res.status(500).json({ error: 'Erro ao curtir post', details: error.message })
+    next(error)
   }
 })
 
 // POST: Adicionar comentário
-app.post('/posts/:id/comentar', async (req, res) => {
+api.post('/posts/:id/comentar', authenticated, validate({ params: idParams, body: { texto: v.string() } }), async (req, res, next) => {
   try {
     const postId = req.params.id
     const { texto } = req.body
-    const usuarioEmail = req.body.usuario_email || req.headers['x-user-email']
-    const usuarioNome = req.body.usuario_nome || 'Anônimo'
-
-    if (!texto || !texto.trim()) {
-      return res.status(400).json({ error: 'Texto do comentário é obrigatório' })
-    }
+    const usuarioEmail = req.user.email
+    const usuarioNome = req.user.nome || 'Anônimo'
 
     if (!usuarioEmail) {
-      return res.status(400).json({ error: 'Email do usuário não fornecido' })
+      throw new ApiError('Token sem email do usuário', 'TOKEN_INVALID', 401)
     }
 
     const { data, error } = await supabase.from('comentarios').insert([{
       post_id: postId,
       usuario_email: usuarioEmail.toLowerCase(),
       usuario_nome: usuarioNome,
-      texto: texto.trim(),
+      texto,
       criado_em: new Date().toISOString()
     }]).select().single()
 
     if (error) throw error
-    console.log('[POST /posts/:id/comentar] Comentário adicionado:', postId)
-    res.json({ success: true, data })
+    logger.debug('[POST /posts/:id/comentar] comentário adicionado', { post_id: postId })
+    const counters = await refreshPostCounters(postId)
+    res.json({ success: true, data, comentarios_count: counters ? counters.comentarios_count : null })
   } catch (error) {
-    console.error('[POST /posts/:id/comentar] erro:', error)
-    res.status(500).json({ error: 'Erro ao comentar', details: error.message })
+    next(error)
   }
 })
 
 // GET: Verificar se usuário curtiu um post
-app.get('/posts/:id/curtido-por/:usuario_email', async (req, res) => {
+api.get('/posts/:id/curtido-por/:usuario_email', authenticated, validate({ params: { id: v.id(), usuario_email: v.email() } }), async (req, res, next) => {
   try {
     const postId = req.params.id
     const usuarioEmail = req.params.usuario_email
@@ -1634,15 +1835,19 @@ app.get('/posts/:id/curtido-por/:usuario_email', async (req, res) => {
 
     res.json({ curtido: !!data })
   } catch (error) {
-    console.error('[GET /posts/:id/curtido-por] erro:', error)
-    res.status(500).json({ error: 'Erro ao verificar curtida', details: error.message })
+    next(error)
   }
 })
 
+// Perfil (tabela alunos) em que a rota age: o do próprio token para alunos; professor/admin informam email no body e
+// passam pela checagem de dono
+const actingProfile = requireOwnership(req => ({ email: req.user.tipo === ROLES.ALUNO ? req.user.email : req.body.email }))
+const actingProfileEmail = (req) => (req.user.tipo === ROLES.ALUNO ? req.user.email : req.body.email)
+
 // Endpoint: Carregar Perfil do Aluno
-app.get('/aluno/perfil/:email', async (req, res) => {
+api.get('/aluno/perfil/:email', authenticated, validate({ params: { email: v.email() } }), requireOwnership(req => ({ email: req.params.email })), async (req, res, next) => {
   try {
-    const email = req.params.email.toLowerCase()
+    const email = req.params.email
     
     const { data, error } = await supabase
       .from('alunos')
@@ -1658,21 +1863,15 @@ app.get('/aluno/perfil/:email', async (req, res) => {
     
     res.json(data)
   } catch (error) {
-    console.error('[GET /aluno/perfil/:email] erro:', error)
-    res.status(500).json({ error: 'Erro ao carregar perfil', details: error.message })
+    next(error)
   }
 })
 
 // Endpoint: Verificar/Criar Aluno no Login
-app.post('/aluno/verify-or-create', async (req, res) => {
+api.post('/aluno/verify-or-create', authenticated, validate({ body: { email: v.email().optional(), nome: v.string().optional() } }), actingProfile, async (req, res, next) => {
   try {
-    const { email, nome } = req.body
-    
-    if (!email) {
-      return res.status(400).json({ error: 'Email é obrigatório' })
-    }
-    
-    const emailLower = email.toLowerCase()
+    const emailLower = actingProfileEmail(req)
+    const { nome } = req.body
     
     // Verificar se aluno já existe
     const { data: existing, error: selectError } = await supabase
@@ -1705,77 +1904,67 @@ app.post('/aluno/verify-or-create', async (req, res) => {
     
     res.json({ created: true, aluno: newAluno })
   } catch (error) {
-    console.error('[POST /aluno/verify-or-create] erro:', error)
-    res.status(500).json({ error: 'Erro ao verificar/criar aluno', details: error.message })
+    next(error)
   }
 })
 
 // Endpoint: Extrair metadados do Mercado Livre (título e imagem)
-app.post('/produtos/extract-ml', async (req, res) => {
+api.post('/produtos/extract-ml', allow(ROLES.ADMIN), validate({ body: { url: v.url() } }), async (req, res, next) => {
   try {
     const { url } = req.body;
-    if (!url) return res.status(400).json({ error: 'URL é obrigatória' });
-
-    // Usar fetch para buscar o HTML da página
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
-
-    if (!response.ok) {
-      return res.status(400).json({ error: 'Não conseguiu acessar o link' });
-    }
-
-    const html = await response.text();
-
-    // Extrair título (og:title)
-    const tituloMatch = html.match(/<meta property="og:title" content="([^"]+)"/);
-    const titulo = tituloMatch ? tituloMatch[1].split(' - ')[0].trim() : 'Produto ML';
-
-    // Extrair imagem (og:image)
-    const imagemMatch = html.match(/<meta property="og:image" content="([^"]+)"/);
-    const imagem = imagemMatch ? imagemMatch[1] : '';
+    const { titulo, imagem_url, imagens } = await fetchMercadoLivreProduct(url);
 
     res.json({ 
       titulo: titulo,
-      imagem_url: imagem,
+      imagem_url: imagem_url,
+      imagens,
       link_mercadolivre: url
     });
   } catch (error) {
-    console.error('[POST /produtos/extract-ml] erro:', error);
-    res.status(500).json({ error: 'Erro ao extrair metadados', details: error.message });
+    next(error)
   }
 });
 
-// Endpoint: Listar produtos da loja
-app.get('/produtos', async (req, res) => {
-  try {
-    const { data, error } = await supabase
-      .from('produtos_loja')
-      .select('*')
-      .eq('ativo', true)
-      .order('ordem', { ascending: true })
+// Catálogo e página pública de produto ficam em cache (cache.js) com a tag 'produtos',
+// invalidada por qualquer escrita em /produtos
+const PRODUTOS_CACHE_TAG = 'produtos'
+const PRODUTOS_CACHE_TTL_SECONDS = 60
+const PRODUTO_PAGE_CACHE_TTL_SECONDS = 600
 
-    if (error) throw error
+// Galeria do Mercado Livre gravada no produto. Falha na extração não impede salvar o produto:
+// imagens fica null e a página pública tenta de novo depois.
+async function extractProdutoImagens(link) {
+  try {
+    return (await fetchMercadoLivreProduct(link)).imagens
+  } catch (e) {
+    logger.warn('[Produtos] não foi possível extrair imagens do Mercado Livre', { link, error: e.message })
+    return null
+  }
+}
 
-    res.json(data || [])
+// Endpoint: Listar produtos da loja
+api.get('/produtos', publicRoute, validate({ query: listQuery(PRODUTOS_LIST) }), async (req, res, next) => {
+  try {
+    const { cursor, sort, q } = req.query
+    const key = `produtos:${JSON.stringify([pageLimit(req.query), cursor || null, sort, q || null])}`
+    const cachedPage = await cached(key, { ttlSeconds: PRODUTOS_CACHE_TTL_SECONDS, tags: [PRODUTOS_CACHE_TAG] }, async () => {
+      const page = await fetchPage(PRODUTOS_LIST, req.query, q => q.eq('ativo', true))
+      return { page, etag: etagFor(page) }
+    })
+    res.set('Cache-Control', `public, max-age=${PRODUTOS_CACHE_TTL_SECONDS}`)
+    res.set('ETag', cachedPage.etag)
+    sendPage(req, res, cachedPage.page)
   } catch (error) {
-    console.error('[GET /produtos] erro:', error)
-    res.status(500).json({ error: 'Erro ao listar produtos', details: error.message })
+    next(error)
   }
 })
 
 // Endpoint: Criar produto
-app.post('/produtos', async (req, res) => {
+api.post('/produtos', allow(ROLES.ADMIN), validate({ body: { titulo: v.string({ max: 200 }), imagem_url: v.url(), link_mercadolivre: v.url() } }), async (req, res, next) => {
   try {
     const { titulo, imagem_url, link_mercadolivre } = req.body
 
-    if (!titulo || !imagem_url || !link_mercadolivre) {
-      return res.status(400).json({ error: 'Título, imagem e link são obrigatórios' })
-    }
-
-    // Pegar o maior 'ordem' e adicionar 1
+    // Pegar o maior 'ordem' e adicionar 1 (inclui a lixeira: um produto restaurado volta com a ordem que tinha)
     const { data: ultimoProduto } = await supabase
       .from('produtos_loja')
       .select('ordem')
@@ -1788,9 +1977,10 @@ app.post('/produtos', async (req, res) => {
     const { data, error } = await supabase
       .from('produtos_loja')
       .insert({
-        titulo: titulo.trim(),
+        titulo,
         imagem_url,
         link_mercadolivre,
+        imagens: await extractProdutoImagens(link_mercadolivre),
         ordem: novaOrdem,
         ativo: true,
         criado_em: new Date().toISOString()
@@ -1800,71 +1990,73 @@ app.post('/produtos', async (req, res) => {
 
     if (error) throw error
 
+    invalidateTag(PRODUTOS_CACHE_TAG)
     res.json({ success: true, data })
   } catch (error) {
-    console.error('[POST /produtos] erro:', error)
-    res.status(500).json({ error: 'Erro ao criar produto', details: error.message })
+    next(error)
   }
 })
 
 // Endpoint: Atualizar produto
-app.put('/produtos/:id', async (req, res) => {
+api.put('/produtos/:id', allow(ROLES.ADMIN), validate({
+  params: idParams,
+  body: { titulo: v.string({ max: 200 }).optional(), imagem_url: v.url().optional(), link_mercadolivre: v.url().optional(), ordem: v.integer({ min: 0 }).optional() }
+}), async (req, res, next) => {
   try {
     const { id } = req.params
     const { titulo, imagem_url, link_mercadolivre, ordem } = req.body
 
     const updates = {}
-    if (titulo) updates.titulo = titulo.trim()
+    if (titulo) updates.titulo = titulo
     if (imagem_url) updates.imagem_url = imagem_url
-    if (link_mercadolivre) updates.link_mercadolivre = link_mercadolivre
-    if (ordem !== undefined) updates.ordem = ordem
+    if (link_mercadolivre) {
+      updates.link_mercadolivre = link_mercadolivre
+      updates.imagens = await extractProdutoImagens(link_mercadolivre)
+    }
+    if (ordem !== undefined && ordem !== null && ordem !== '') updates.ordem = ordem
     updates.atualizado_em = new Date().toISOString()
 
     const { data, error } = await supabase
       .from('produtos_loja')
       .update(updates)
       .eq('id', id)
+      .is('deleted_at', null)
       .select()
       .single()
 
     if (error) throw error
 
+    invalidateTag(PRODUTOS_CACHE_TAG)
     res.json({ success: true, data })
   } catch (error) {
-    console.error('[PUT /produtos/:id] erro:', error)
-    res.status(500).json({ error: 'Erro ao atualizar produto', details: error.message })
+    next(error)
   }
 })
 
 // Endpoint: Deletar produto
-app.delete('/produtos/:id', async (req, res) => {
+api.delete('/produtos/:id', allow(ROLES.ADMIN), validate({ params: idParams }), async (req, res, next) => {
   try {
     const { id } = req.params
 
-    const { error } = await supabase
-      .from('produtos_loja')
-      .update({ ativo: false })
-      .eq('id', id)
-
-    if (error) throw error
+    // Lixeira (trash.js): marca deleted_at e mantém ativo: false para quem ainda lê essa coluna
+    const deleted = await moveToTrash('produtos', id)
+    if (!deleted) throw new NotFoundError('Produto não encontrado')
 
+    invalidateTag(PRODUTOS_CACHE_TAG)
+    await recordAudit(req, { acao: 'produto.delete', alvo_tipo: 'produtos_loja', alvo_id: id, depois: deleted })
     res.json({ success: true, message: 'Produto deletado' })
   } catch (error) {
-    console.error('[DELETE /produtos/:id] erro:', error)
-    res.status(500).json({ error: 'Erro ao deletar produto', details: error.message })
+    next(error)
   }
 })
 
 // Endpoint: Salvar ou atualizar perfil do aluno
-app.post('/aluno/perfil', async (req, res) => {
+api.post('/aluno/perfil', authenticated, validate({
+  body: { email: v.email().optional(), nome: v.string(), data_aniversario: v.isoDate({ time: false }).optional(), bio: v.string().optional(), foto_url: v.string().optional() }
+}), actingProfile, async (req, res, next) => {
   try {
-    const { email, nome, data_aniversario, bio, foto_url } = req.body
-    
-    if (!email || !nome) {
-      return res.status(400).json({ error: 'Email e nome são obrigatórios' })
-    }
-    
-    const emailLower = email.toLowerCase()
+    const emailLower = actingProfileEmail(req)
+    const { nome, data_aniversario, bio, foto_url } = req.body
     
     // Verificar se aluno existe
     const { data: existing } = await supabase
@@ -1905,21 +2097,30 @@ app.post('/aluno/perfil', async (req, res) => {
       res.json({ success: true, message: 'Perfil criado' })
     }
   } catch (error) {
-    console.error('[POST /aluno/perfil] erro:', error)
-    res.status(500).json({ error: 'Erro ao salvar perfil', details: error.message })
+    next(error)
   }
 })
 
 // Endpoint: Página com Open Graph para compartilhamento em redes sociais
-app.get('/produto/:id', async (req, res) => {
+api.get('/produto/:id', publicRoute, validate({ params: idParams }), async (req, res) => {
   try {
     const { id } = req.params;
+    const cacheKey = `produto-page:${id}`;
+
+    const cachedPage = getCached(cacheKey);
+    if (cachedPage) {
+      res.set('Cache-Control', `public, max-age=${PRODUTO_PAGE_CACHE_TTL_SECONDS}`);
+      res.set('ETag', cachedPage.etag);
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.send(cachedPage.html);
+    }
     
     // Buscar produto do banco
     const { data, error } = await supabase
       .from('produtos_loja')
       .select('*')
       .eq('id', id)
+      .is('deleted_at', null)
       .single();
 
     if (error || !data) {
@@ -1942,51 +2143,20 @@ app.get('/produto/:id', async (req, res) => {
     // Extrair nome da aplicação do título ou usar padrão
     const appName = 'Banco de Dados - Fitness';
     
-    // Garantir que a imagem existe, se não, tentar extrair do link ML
-    let imagemUrl = data.imagem_url;
-    if (!imagemUrl && data.link_mercadolivre) {
-      try {
-        const mlResponse = await fetch(data.link_mercadolivre, {
-          headers: { 'User-Agent': 'Mozilla/5.0' }
-        });
-        const mlHtml = await mlResponse.text();
-        const imgMatch = mlHtml.match(/<meta property="og:image" content="([^"]+)"/);
-        if (imgMatch) {
-          imagemUrl = imgMatch[1];
-        }
-      } catch (err) {
-        console.error('Erro ao extrair imagem do ML:', err);
+    // Imagens do Mercado Livre gravadas no produto (POST/PUT /produtos). Produtos antigos, ainda sem a coluna
+    // preenchida, buscam a página uma única vez aqui e guardam o resultado.
+    let imagens = Array.isArray(data.imagens) ? data.imagens : null;
+    if (!imagens && data.link_mercadolivre) {
+      imagens = await extractProdutoImagens(data.link_mercadolivre);
+      if (imagens) {
+        const { error: saveError } = await supabase.from('produtos_loja').update({ imagens }).eq('id', data.id);
+        if (saveError) logger.warn('[GET /produto/:id] não foi possível gravar as imagens do produto', { id: data.id, error: saveError.message });
+        else invalidateTag(PRODUTOS_CACHE_TAG);
       }
     }
+    imagens = imagens || [];
+    const imagemUrl = data.imagem_url || imagens[0] || null;
 
-    // Tentar extrair múltiplas imagens do ML (até 5)
-    let imagens = [];
-    if (data.link_mercadolivre) {
-      try {
-        const mlResponse = await fetch(data.link_mercadolivre, {
-          headers: { 'User-Agent': 'Mozilla/5.0' }
-        });
-        const mlHtml = await mlResponse.text();
-        
-        // Procurar por múltiplas imagens
-        const imgRegex = /<meta property="og:image" content="([^"]+)"|<img[^>]*src="([^"]*\.(?:jpg|jpeg|png|webp))"[^>]*>/gi;
-        let match;
-        const urlsEncontradas = new Set();
-        
-        while ((match = imgRegex.exec(mlHtml)) !== null) {
-          const url = match[1] || match[2];
-          if (url && url.includes('http') && !url.includes('placeholder')) {
-            urlsEncontradas.add(url);
-            if (urlsEncontradas.size >= 5) break;
-          }
-        }
-        
-        imagens = Array.from(urlsEncontradas).slice(0, 5);
-      } catch (err) {
-        console.error('Erro ao extrair múltiplas imagens:', err);
-      }
-    }
-    
     // Se não encontrou múltiplas, usar a principal
     if (imagens.length === 0 && imagemUrl) {
       imagens = [imagemUrl];
@@ -2314,10 +2484,14 @@ app.get('/produto/:id', async (req, res) => {
       </html>
     `;
 
+    const page = { html, etag: etagFor(html) };
+    setCached(cacheKey, page, { ttlSeconds: PRODUTO_PAGE_CACHE_TTL_SECONDS, tags: [PRODUTOS_CACHE_TAG] });
+    res.set('Cache-Control', `public, max-age=${PRODUTO_PAGE_CACHE_TTL_SECONDS}`);
+    res.set('ETag', page.etag);
     res.setHeader('Content-Type', 'text/html; charset=utf-8');
     res.send(html);
   } catch (error) {
-    console.error('[GET /produto/:id] erro:', error);
+    logger.error('[GET /produto/:id] erro', error);
     res.status(500).send(`
       <!DOCTYPE html>
       <html>
@@ -2333,6 +2507,28 @@ app.get('/produto/:id', async (req, res) => {
   }
 });
 
+// Documentação: OpenAPI gerado da tabela de rotas (openapi.js + routeDocs.js) e a página que o apresenta.
+// O documento é montado no primeiro acesso, quando todas as rotas já foram registradas.
+let openApiDocument = null
+app.get('/openapi.json', publicRoute, (req, res) => {
+  if (!openApiDocument) openApiDocument = buildOpenApiDocument(app)
+  res.json(openApiDocument)
+})
+
+app.get('/docs', publicRoute, (req, res) => {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8')
+  res.send(renderDocsPage())
+})
+
+// Rotas inexistentes e erros lançados pelos handlers respondem no envelope { error, code } (ver errors.js)
+app.use(notFoundHandler)
+app.use(errorHandler)
+
+// Toda rota precisa declarar sua política de acesso; falha na inicialização se alguma foi esquecida
+assertRoutePolicies(app)
+// ...e uma entrada em routeDocs.js (resumo e resposta para /openapi.json)
+assertRouteDocs(app)
+
 // Exportar app para Vercel serverless
 export default app
 
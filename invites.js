@@ -0,0 +1,183 @@
+import { supabase } from './supabaseClient.js'
+import { ApiError, isUniqueViolation } from './errors.js'
+import { logger } from './logger.js'
+import { ROLES } from './policies.js'
+import { hashPassword, generateOpaqueToken, hashOpaqueToken } from './passwords.js'
+
+// Convites de cadastro: o professor informa nome e email, o aluno define a própria senha.
+// O usuário é criado pendente (senha nula, não consegue logar) e o convite fica na tabela convites:
+//   id, user_id, email, nome, professor_email, token_hash, expires_at, enviado_em, accepted_at, revoked_at, criado_em
+// Só o hash SHA-256 do token é salvo; cada reenvio gera um token novo e invalida o anterior.
+
+export class InviteError extends ApiError {
+  constructor(message, code, status) {
+    super(message, code, status)
+    this.name = 'InviteError'
+  }
+}
+
+export const INVITE_STATUSES = ['pendente', 'aceito', 'revogado', 'expirado']
+
+export const inviteTtlHours = () => parseInt(process.env.INVITE_TTL_HOURS, 10) || 72
+
+const expiresAtFromNow = () => new Date(Date.now() + inviteTtlHours() * 60 * 60 * 1000).toISOString()
+
+export function inviteStatus(invite) {
+  if (invite.accepted_at) return 'aceito'
+  if (invite.revoked_at) return 'revogado'
+  if (new Date(invite.expires_at).getTime() <= Date.now()) return 'expirado'
+  return 'pendente'
+}
+
+// Convite sem o hash do token, com o status calculado
+export function serializeInvite(invite) {
+  if (!invite) return invite
+  const { token_hash, ...rest } = invite
+  return { ...rest, status: inviteStatus(invite) }
+}
+
+// Cria o usuário pendente, o registro em alunos e o convite. Retorna { invite, user, token }.
+export async function createInvite({ nome, email, professorEmail, contractEnd }) {
+  const normalizedEmail = email ? String(email).trim().toLowerCase() : ''
+  const normalizedNome = nome ? String(nome).trim() : ''
+  if (!normalizedNome || !normalizedEmail) throw new InviteError('nome e email são obrigatórios', 'VALIDATION_ERROR', 400)
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) throw new InviteError('email inválido', 'VALIDATION_ERROR', 400)
+
+  // Conta ativa com o mesmo email: 409 antes de criar o usuário pendente. O índice único em lower(email) (migração 0013)
+  // cobre a corrida entre dois convites e as contas antigas gravadas com outra grafia.
+  const { data: existing, error: existingErr } = await supabase.from('users').select('id').eq('email', normalizedEmail).is('deleted_at', null).limit(1)
+  if (existingErr) throw existingErr
+  if (existing && existing.length) throw new InviteError('Email já cadastrado', 'EMAIL_TAKEN', 409)
+
+  const payload = { nome: normalizedNome, email: normalizedEmail, senha: null, tipo: ROLES.ALUNO, criado_por: professorEmail || null }
+  if (contractEnd) payload.contract_end = contractEnd
+
+  const { data: user, error } = await supabase.from('users').insert([payload]).select().maybeSingle()
+  if (error) {
+    if (isUniqueViolation(error)) throw new InviteError('Email já cadastrado', 'EMAIL_TAKEN', 409)
+    throw error
+  }
+  if (!user) throw new Error('Inserção não retornou dados')
+
+  const { error: alunoError } = await supabase.from('alunos').insert({
+    email: normalizedEmail,
+    nome: normalizedNome,
+    professor_email: professorEmail || null,
+    criado_em: new Date()
+  })
+  if (alunoError) logger.warn('[Convites] aviso ao inserir na tabela alunos', { error: alunoError })
+
+  const { token, tokenHash } = generateOpaqueToken()
+  const now = new Date().toISOString()
+  const { data: invite, error: inviteErr } = await supabase.from('convites').insert([{
+    user_id: user.id,
+    email: normalizedEmail,
+    nome: normalizedNome,
+    professor_email: professorEmail || null,
+    token_hash: tokenHash,
+    expires_at: expiresAtFromNow(),
+    enviado_em: now,
+    criado_em: now
+  }]).select().maybeSingle()
+  if (inviteErr) {
+    // Sem convite o usuário pendente ficaria órfão
+    await supabase.from('users').delete().eq('id', user.id)
+    await supabase.from('alunos').delete().eq('email', normalizedEmail)
+    throw inviteErr
+  }
+
+  return { invite, user, token }
+}
+
+// Lista convites; professores só veem os próprios
+export async function listInvites(requester, { status } = {}) {
+  let query = supabase.from('convites').select('*').order('criado_em', { ascending: false })
+  if (requester.tipo !== ROLES.ADMIN) query = query.eq('professor_email', requester.email)
+  const { data, error } = await query
+  if (error) throw error
+  const invites = (data || []).map(serializeInvite)
+  return status ? invites.filter(i => i.status === status) : invites
+}
+
+// Busca um convite por id verificando se o requester pode gerenciá-lo
+export async function getManagedInvite(requester, id) {
+  const { data, error } = await supabase.from('convites').select('*').eq('id', id).maybeSingle()
+  if (error) throw error
+  if (!data) throw new InviteError('Convite não encontrado', 'NOT_FOUND', 404)
+  if (requester.tipo !== ROLES.ADMIN && data.professor_email !== requester.email) {
+    throw new InviteError('Convite de outro professor', 'NOT_OWNER', 403)
+  }
+  return data
+}
+
+// Gera um token novo e renova a validade. Retorna { invite, token }.
+export async function resendInvite(invite) {
+  if (invite.accepted_at) throw new InviteError('Convite já aceito', 'INVITE_ACCEPTED', 409)
+  if (invite.revoked_at) throw new InviteError('Convite revogado', 'INVITE_REVOKED', 409)
+
+  const { token, tokenHash } = generateOpaqueToken()
+  const { data, error } = await supabase.from('convites')
+    .update({ token_hash: tokenHash, expires_at: expiresAtFromNow(), enviado_em: new Date().toISOString() })
+    .eq('id', invite.id)
+    .is('accepted_at', null)
+    .select()
+    .maybeSingle()
+  if (error) throw error
+  if (!data) throw new InviteError('Convite já aceito', 'INVITE_ACCEPTED', 409)
+  return { invite: data, token }
+}
+
+// Revoga o convite e remove o usuário pendente (que nunca definiu senha)
+export async function revokeInvite(invite) {
+  if (invite.accepted_at) throw new InviteError('Convite já aceito', 'INVITE_ACCEPTED', 409)
+  if (invite.revoked_at) return invite
+
+  const { data, error } = await supabase.from('convites')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', invite.id)
+    .is('accepted_at', null)
+    .select()
+    .maybeSingle()
+  if (error) throw error
+  if (!data) throw new InviteError('Convite já aceito', 'INVITE_ACCEPTED', 409)
+
+  const { error: userErr } = await supabase.from('users').delete().eq('id', invite.user_id).is('senha', null)
+  if (userErr) logger.warn('[Convites] não foi possível remover usuário pendente', { error: userErr.message })
+  const { error: alunoErr } = await supabase.from('alunos').delete().eq('email', invite.email)
+  if (alunoErr) logger.warn('[Convites] não foi possível remover registro em alunos', { error: alunoErr.message })
+  return data
+}
+
+// Convite válido (pendente e dentro da validade) para o token, ou erro INVITE_INVALID
+export async function findInviteByToken(token) {
+  if (!token) throw new InviteError('Convite inválido ou expirado', 'INVITE_INVALID', 400)
+  const { data, error } = await supabase.from('convites').select('*').eq('token_hash', hashOpaqueToken(token)).maybeSingle()
+  if (error) throw error
+  if (!data || inviteStatus(data) !== 'pendente') throw new InviteError('Convite inválido ou expirado', 'INVITE_INVALID', 400)
+  return data
+}
+
+// Consome o convite e grava a senha escolhida pelo aluno. Retorna a linha do usuário.
+export async function acceptInvite(token, senha) {
+  const invite = await findInviteByToken(token)
+
+  // O filtro accepted_at IS NULL impede que o mesmo token seja usado duas vezes em paralelo
+  const { data: claimed, error: claimErr } = await supabase.from('convites')
+    .update({ accepted_at: new Date().toISOString() })
+    .eq('id', invite.id)
+    .is('accepted_at', null)
+    .is('revoked_at', null)
+    .select()
+  if (claimErr) throw claimErr
+  if (!claimed || claimed.length === 0) throw new InviteError('Convite inválido ou expirado', 'INVITE_INVALID', 400)
+
+  const { data: user, error } = await supabase.from('users')
+    .update({ senha: await hashPassword(senha) })
+    .eq('id', invite.user_id)
+    .is('deleted_at', null)
+    .select()
+    .maybeSingle()
+  if (error) throw error
+  if (!user) throw new InviteError('Usuário do convite não existe mais', 'INVITE_INVALID', 400)
+  return user
+}
@@ -0,0 +1,63 @@
+import { logger } from './logger.js'
+import { unversionedPageSize } from './pagination.js'
+
+// Caminhos antigos mantidos por compatibilidade, fora de /v1. Cada um é um adaptador para a rota canônica:
+// reaproveita a cadeia dela (política, validação, handler) e, se preciso, traduz o pedido antes (adapt).
+//   const createAlunoRoute = [allow(ROLES.ADMIN), validate({ body }), handler]
+//   api.post('/alunos', ...createAlunoRoute)
+//   legacyRoute(app, 'post', '/api/professor/create-student', createAlunoRoute, { successor: '/v1/alunos' })
+// A resposta leva Deprecation (RFC 9745), Sunset (RFC 8594) e Link rel="successor-version". Cada chamada autenticada
+// é contada (GET /v1/admin/legacy-usage) e logada com legacy_route, para saber quando o caminho pode ser removido.
+// LEGACY_SUNSET=AAAA-MM-DD muda a data de desligamento anunciada. Os contadores são da memória do processo:
+// com várias instâncias, use os logs.
+
+const DEPRECATED_SINCE = '2026-10-18'
+const DEFAULT_SUNSET = '2027-04-30'
+
+const DEPRECATION = Symbol('deprecation')
+const usage = new Map()
+
+function sunsetDate() {
+  const date = new Date(process.env.LEGACY_SUNSET || DEFAULT_SUNSET)
+  return isNaN(date.getTime()) ? new Date(DEFAULT_SUNSET) : date
+}
+
+function deprecation(key, successor) {
+  const since = `@${Math.floor(new Date(DEPRECATED_SINCE).getTime() / 1000)}`
+  const middleware = (req, res, next) => {
+    res.set('Deprecation', since)
+    res.set('Sunset', sunsetDate().toUTCString())
+    res.append('Link', `<${successor}>; rel="successor-version"`)
+
+    const entry = usage.get(key)
+    entry.chamadas++
+    entry.ultima_chamada = new Date().toISOString()
+    logger.info('[Legacy] caminho descontinuado chamado', { legacy_route: key, successor, user_id: req.user && req.user.id })
+    next()
+  }
+  middleware[DEPRECATION] = { successor, since: DEPRECATED_SINCE }
+  return middleware
+}
+
+// Registra o caminho antigo com a cadeia da rota canônica. A política (primeiro handler) continua na frente;
+// adapt são middlewares que rodam antes do restante da cadeia (ex.: mover um parâmetro do caminho para a query).
+// Como os clientes da rota sem /v1, listagens sem limit recebem a página máxima (unversionedPageSize).
+export function legacyRoute(app, method, path, canonical, { successor, adapt = [] }) {
+  const key = `${method.toUpperCase()} ${path}`
+  usage.set(key, { rota: key, sucessor: successor, chamadas: 0, ultima_chamada: null })
+  const [policy, ...rest] = canonical
+  app[method](path, policy, deprecation(key, successor), unversionedPageSize, ...adapt, ...rest)
+}
+
+// { successor, since } se o handler for o marcador de um caminho descontinuado (usado por openapi.js)
+export function getDeprecation(handler) {
+  return (handler && handler[DEPRECATION]) || null
+}
+
+// Uso de cada caminho descontinuado desde que o processo subiu, do mais chamado para o menos
+export function listLegacyUsage() {
+  const sunset = sunsetDate().toISOString().slice(0, 10)
+  return Array.from(usage.values())
+    .map(entry => ({ ...entry, sunset }))
+    .sort((a, b) => b.chamadas - a.chamadas)
+}
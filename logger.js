@@ -0,0 +1,122 @@
+// Log estruturado: uma linha JSON por evento, com nível, horário, request id e campos sensíveis redigidos.
+//   logger.info('[POST /alunos] convite criado', { invite_id: 3, user_id: 7 })
+//   -> {"time":"...","level":"info","msg":"[POST /alunos] convite criado","request_id":"9f1c...","invite_id":3,"user_id":7}
+// O request id vem do header X-Request-Id (quando válido) ou é gerado por requisição; requestLogger devolve no mesmo
+// header e o guarda no contexto assíncrono, então qualquer log feito durante a requisição (handlers, módulos) já sai com ele.
+// LOG_LEVEL=debug|info|warn|error (padrão info). warn/error vão para stderr, o resto para stdout.
+
+import { AsyncLocalStorage } from 'async_hooks'
+import crypto from 'crypto'
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 }
+const REDACTED = '[REDACTED]'
+// Comparação sem maiúsculas/minúsculas e sem _ ou - (ex.: pdf_base64, pdfBase64, x-api-key)
+const SENSITIVE_KEYS = new Set([
+  'senha', 'senhaatual', 'novasenha', 'password', 'pdfbase64', 'signature', 'assinatura', 'foto',
+  'token', 'challengetoken', 'accesstoken', 'refreshtoken', 'authorization', 'cookie', 'xbootstrapsecret',
+  'secret', 'codigo', 'recoverycode', 'recoverycodes', 'apikey', 'xapikey'
+].map((key) => key.toLowerCase()))
+const MAX_STRING = 500
+const MAX_ARRAY = 20
+const MAX_DEPTH = 5
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,128}$/
+
+const context = new AsyncLocalStorage()
+
+function threshold() {
+  const level = String(process.env.LOG_LEVEL || 'info').toLowerCase()
+  return LEVELS[level] || LEVELS.info
+}
+
+const isSensitiveKey = (key) => SENSITIVE_KEYS.has(String(key).toLowerCase().replace(/[_-]/g, ''))
+
+// Cópia segura para log: campos sensíveis viram [REDACTED], strings longas (base64, data URLs) e listas grandes são resumidas
+export function redact(value, depth = 0, seen = new WeakSet()) {
+  if (value === null || value === undefined) return value
+  if (typeof value === 'string') return value.length > MAX_STRING ? `${value.slice(0, 80)}… [${value.length} caracteres]` : value
+  if (typeof value === 'bigint') return value.toString()
+  if (typeof value !== 'object') return value
+  if (value instanceof Date) return value.toISOString()
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`
+  if (seen.has(value)) return '[Circular]'
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? `[Array(${value.length})]` : '[Object]'
+  seen.add(value)
+
+  if (value instanceof Error) {
+    const out = { name: value.name, message: value.message }
+    if (value.code !== undefined) out.code = value.code
+    if (value.status !== undefined) out.status = value.status
+    if (value.stack) out.stack = value.stack
+    return out
+  }
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY).map((item) => redact(item, depth + 1, seen))
+    if (value.length > MAX_ARRAY) items.push(`… +${value.length - MAX_ARRAY} itens`)
+    return items
+  }
+  const out = {}
+  for (const [key, entry] of Object.entries(value)) {
+    out[key] = isSensitiveKey(key) && entry !== undefined && entry !== null ? REDACTED : redact(entry, depth + 1, seen)
+  }
+  return out
+}
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < threshold()) return
+  const store = context.getStore()
+  const entry = { time: new Date().toISOString(), level, msg }
+  if (store && store.requestId) entry.request_id = store.requestId
+  if (fields instanceof Error) entry.error = redact(fields)
+  else if (fields !== undefined && fields !== null && typeof fields === 'object') Object.assign(entry, redact(fields))
+  else if (fields !== undefined) entry.value = redact(fields)
+
+  let line
+  try {
+    line = JSON.stringify(entry)
+  } catch (e) {
+    line = JSON.stringify({ time: entry.time, level, msg, request_id: entry.request_id, log_error: e.message })
+  }
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(line + '\n')
+  else process.stdout.write(line + '\n')
+}
+
+// fields: objeto com os dados do evento (Error é aceito e vira { error: { name, message, code, stack } })
+export const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+}
+
+// Middleware: registre antes das rotas. Define req.id, responde X-Request-Id e grava uma linha de acesso ao final
+// com status e latência (5xx como error, 4xx como warn). O caminho logado é o padrão da rota (/convites/:token),
+// para não levar tokens da URL para o log; rotas inexistentes usam o caminho bruto.
+export function requestLogger(req, res, next) {
+  const incoming = req.get('x-request-id')
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID()
+  req.id = requestId
+  res.setHeader('X-Request-Id', requestId)
+  const startedAt = process.hrtime.bigint()
+
+  res.on('finish', () => {
+    const status = res.statusCode
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info'
+    const fields = {
+      method: req.method,
+      path: req.route ? req.baseUrl + req.route.path : req.path,
+      status,
+      duration_ms: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+      ip: req.ip
+    }
+    if (req.user && req.user.id) fields.user_id = req.user.id
+    const length = res.get('content-length')
+    if (length) fields.bytes = Number(length)
+    context.run({ requestId }, () => write(level, 'request', fields))
+  })
+
+  context.run({ requestId }, next)
+}
+
+// Envolve um middleware que chama next a partir de eventos de stream (ex.: multer), o que perde o contexto assíncrono:
+// o restante da cadeia volta a rodar com o request id da requisição
+export const withRequestContext = (middleware) => (req, res, next) => middleware(req, res, (err) => context.run({ requestId: req.id }, () => next(err)))
@@ -0,0 +1,145 @@
+// Proteção contra força bruta no login: contadores de falhas por email e por IP,
+// espera exponencial entre tentativas e bloqueio temporário após N falhas.
+// Os contadores ficam em memória do processo (reiniciar o servidor zera tudo).
+// Configure no .env:
+// - LOGIN_MAX_FAILURES: falhas por email até bloquear a conta (padrão 5)
+// - LOGIN_MAX_FAILURES_PER_IP: falhas por IP até bloquear o IP (padrão 20)
+// - LOGIN_LOCKOUT_MINUTES: duração do bloqueio (padrão 15)
+// - LOGIN_BACKOFF_BASE_SECONDS / LOGIN_BACKOFF_MAX_SECONDS: espera exponencial (padrão 1s, máx. 60s)
+// - LOGIN_ATTEMPT_WINDOW_MINUTES: falhas mais antigas que isso são esquecidas (padrão 15)
+
+import { logger } from './logger.js'
+
+const MAX_TRACKED_KEYS = 10000
+
+const intEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10)
+  return Number.isFinite(value) && value > 0 ? value : fallback
+}
+
+function settings() {
+  return {
+    email: { maxFailures: intEnv('LOGIN_MAX_FAILURES', 5), freeFailures: 1 },
+    ip: { maxFailures: intEnv('LOGIN_MAX_FAILURES_PER_IP', 20), freeFailures: 5 },
+    lockoutMs: intEnv('LOGIN_LOCKOUT_MINUTES', 15) * 60 * 1000,
+    backoffBaseMs: intEnv('LOGIN_BACKOFF_BASE_SECONDS', 1) * 1000,
+    backoffMaxMs: intEnv('LOGIN_BACKOFF_MAX_SECONDS', 60) * 1000,
+    windowMs: intEnv('LOGIN_ATTEMPT_WINDOW_MINUTES', 15) * 60 * 1000
+  }
+}
+
+// chave -> { kind, value, failures, lastFailureAt, blockedUntil, lockedUntil }
+const attempts = new Map()
+
+const keyFor = (kind, value) => `${kind}:${value}`
+
+function getEntry(kind, value, now = Date.now()) {
+  const entry = attempts.get(keyFor(kind, value))
+  if (!entry) return null
+  const { windowMs } = settings()
+  const locked = entry.lockedUntil && entry.lockedUntil > now
+  if (!locked && now - entry.lastFailureAt > windowMs) {
+    attempts.delete(keyFor(kind, value))
+    return null
+  }
+  return entry
+}
+
+function prune(now = Date.now()) {
+  for (const entry of attempts.values()) getEntry(entry.kind, entry.value, now)
+}
+
+function registerFailure(kind, value, now) {
+  if (!value) return
+  const cfg = settings()
+  const entry = getEntry(kind, value, now) || { kind, value, failures: 0, lastFailureAt: now, blockedUntil: 0, lockedUntil: 0 }
+  entry.failures += 1
+  entry.lastFailureAt = now
+
+  const extra = entry.failures - cfg[kind].freeFailures
+  if (extra > 0) {
+    entry.blockedUntil = now + Math.min(cfg.backoffBaseMs * 2 ** (extra - 1), cfg.backoffMaxMs)
+  }
+  if (entry.failures >= cfg[kind].maxFailures) {
+    entry.lockedUntil = now + cfg.lockoutMs
+    logger.warn(`[LoginThrottle] ${kind} bloqueado por ${Math.round(cfg.lockoutMs / 60000)} min`, { [kind]: value, failures: entry.failures })
+  }
+
+  attempts.set(keyFor(kind, value), entry)
+  if (attempts.size > MAX_TRACKED_KEYS) prune(now)
+}
+
+const normalizeEmail = (email) => (email ? String(email).trim().toLowerCase() : '')
+
+// Verifica se uma tentativa de login pode prosseguir.
+// Retorna { allowed: true } ou { allowed: false, reason: 'locked'|'backoff', scope: 'email'|'ip', retryAfterSeconds }
+export function checkLoginAllowed({ email, ip }, now = Date.now()) {
+  let worst = null
+  for (const [kind, value] of [['email', normalizeEmail(email)], ['ip', ip]]) {
+    const entry = value ? getEntry(kind, value, now) : null
+    if (!entry) continue
+    const until = Math.max(entry.lockedUntil || 0, entry.blockedUntil || 0)
+    if (until > now && (!worst || until > worst.until)) {
+      worst = { until, scope: kind, reason: entry.lockedUntil > now ? 'locked' : 'backoff' }
+    }
+  }
+  if (!worst) return { allowed: true }
+  return { allowed: false, reason: worst.reason, scope: worst.scope, retryAfterSeconds: Math.max(1, Math.ceil((worst.until - now) / 1000)) }
+}
+
+export function recordLoginFailure({ email, ip }, now = Date.now()) {
+  registerFailure('email', normalizeEmail(email), now)
+  registerFailure('ip', ip, now)
+}
+
+// Login bem-sucedido zera o contador do email; o do IP expira sozinho pela janela
+export function recordLoginSuccess({ email }) {
+  attempts.delete(keyFor('email', normalizeEmail(email)))
+}
+
+// Middleware para rotas de login: responde 429 + Retry-After enquanto email/IP estiverem em espera ou bloqueados.
+// Deixa req.loginAttempt = { email, ip } para o handler registrar sucesso/falha.
+// getEmail(req) diz de onde vem o email da tentativa (padrão: req.body.email).
+export const guardLoginFor = (getEmail) => (req, res, next) => {
+  const attempt = { email: normalizeEmail(getEmail(req)), ip: req.ip }
+  const status = checkLoginAllowed(attempt)
+  if (!status.allowed) {
+    res.set('Retry-After', String(status.retryAfterSeconds))
+    logger.warn('[LoginThrottle] tentativa recusada', { email: attempt.email, ip: attempt.ip, reason: status.reason, scope: status.scope })
+    return res.status(429).json({
+      error: status.reason === 'locked'
+        ? 'Muitas tentativas de login. Acesso temporariamente bloqueado.'
+        : 'Muitas tentativas de login. Aguarde antes de tentar novamente.',
+      code: status.reason === 'locked' ? 'LOGIN_LOCKED' : 'LOGIN_BACKOFF',
+      retry_after: status.retryAfterSeconds
+    })
+  }
+  req.loginAttempt = attempt
+  return next()
+}
+
+export const guardLogin = guardLoginFor(req => req.body && req.body.email)
+
+// Lista emails/IPs com falhas registradas (bloqueados primeiro)
+export function listLoginLockouts(now = Date.now()) {
+  prune(now)
+  return Array.from(attempts.values())
+    .map(e => ({
+      tipo: e.kind,
+      valor: e.value,
+      falhas: e.failures,
+      ultima_falha: new Date(e.lastFailureAt).toISOString(),
+      bloqueado: !!(e.lockedUntil && e.lockedUntil > now),
+      bloqueado_ate: e.lockedUntil && e.lockedUntil > now ? new Date(e.lockedUntil).toISOString() : null,
+      aguardar_ate: e.blockedUntil && e.blockedUntil > now ? new Date(e.blockedUntil).toISOString() : null
+    }))
+    .sort((a, b) => Number(b.bloqueado) - Number(a.bloqueado) || b.falhas - a.falhas)
+}
+
+// Remove contadores/bloqueios de um email e/ou IP. Retorna quantas entradas foram removidas.
+export function clearLoginLockout({ email, ip }) {
+  let removed = 0
+  if (email && attempts.delete(keyFor('email', normalizeEmail(email)))) removed++
+  if (ip && attempts.delete(keyFor('ip', ip))) removed++
+  return removed
+}
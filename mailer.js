@@ -0,0 +1,93 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { logger } from './logger.js'
+
+// Envio de emails através de um transporte plugável. Todo transporte expõe:
+//   send({ to, subject, text, html }) => Promise<{ id, transport }>
+// Configure no .env:
+// - MAIL_TRANSPORT: 'smtp' ou 'outbox' (padrão: smtp se SMTP_HOST estiver definido, senão outbox)
+// - MAIL_FROM: remetente (padrão no-reply@localhost)
+// - SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE ('true' para TLS direto na porta 465)
+// - MAIL_OUTBOX_DIR: pasta onde o transporte outbox grava as mensagens (padrão outbox/)
+
+// Transporte SMTP (nodemailer carregado sob demanda para não pesar quando não for usado)
+export function createSmtpTransport({ host, port, secure, user, pass, from }) {
+  let transporterPromise = null
+  const getTransporter = () => {
+    if (!transporterPromise) {
+      transporterPromise = import('nodemailer').then(({ default: nodemailer }) => nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+      }))
+    }
+    return transporterPromise
+  }
+
+  return {
+    name: 'smtp',
+    async send({ to, subject, text, html }) {
+      const transporter = await getTransporter()
+      const info = await transporter.sendMail({ from, to, subject, text, html })
+      return { id: info.messageId, transport: 'smtp' }
+    }
+  }
+}
+
+// Transporte local: grava cada email como JSON em uma pasta (desenvolvimento, demos e testes offline)
+export function createOutboxTransport({ dir, from }) {
+  return {
+    name: 'outbox',
+    dir,
+    async send({ to, subject, text, html }) {
+      await fs.promises.mkdir(dir, { recursive: true })
+      const id = `${Date.now()}_${crypto.randomBytes(4).toString('hex')}`
+      const message = { id, from, to, subject, text, html: html || null, criado_em: new Date().toISOString() }
+      await fs.promises.writeFile(path.join(dir, `${id}.json`), JSON.stringify(message, null, 2))
+      return { id, transport: 'outbox' }
+    }
+  }
+}
+
+function createTransportFromEnv(env = process.env) {
+  const from = env.MAIL_FROM || 'no-reply@localhost'
+  const kind = (env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'outbox')).toLowerCase()
+
+  if (kind === 'smtp') {
+    if (!env.SMTP_HOST) throw new Error('MAIL_TRANSPORT=smtp exige SMTP_HOST configurado')
+    return createSmtpTransport({
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT, 10) || 587,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER || null,
+      pass: env.SMTP_PASS || null,
+      from
+    })
+  }
+  if (kind === 'outbox') {
+    return createOutboxTransport({ dir: env.MAIL_OUTBOX_DIR || 'outbox', from })
+  }
+  throw new Error(`MAIL_TRANSPORT desconhecido: ${kind}`)
+}
+
+// Transporte ativo, criado na primeira utilização (depois do dotenv.config() do index.js)
+let activeTransport = null
+
+export function getMailTransport() {
+  if (!activeTransport) {
+    activeTransport = createTransportFromEnv()
+    logger.info('[Mailer] transporte de email', { transport: activeTransport.name })
+  }
+  return activeTransport
+}
+
+// Permite trocar o transporte em tempo de execução (ex.: testes)
+export function setMailTransport(transport) {
+  activeTransport = transport
+}
+
+export async function sendMail(message) {
+  return getMailTransport().send(message)
+}
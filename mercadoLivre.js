@@ -0,0 +1,43 @@
+import { ApiError } from './errors.js'
+
+// Leitura da página de um produto do Mercado Livre: título, imagem principal (og:image) e galeria,
+// tudo a partir de um único download. As imagens ficam gravadas em produtos_loja.imagens para que
+// a página pública (/produto/:id) não dependa do Mercado Livre a cada acesso.
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+const FETCH_TIMEOUT_MS = 8000
+export const MAX_PRODUCT_IMAGES = 5
+
+export function parseMercadoLivrePage(html) {
+  const tituloMatch = html.match(/<meta property="og:title" content="([^"]+)"/)
+  const imagemMatch = html.match(/<meta property="og:image" content="([^"]+)"/)
+
+  // og:image primeiro, depois as imagens de produto do HTML (sem placeholders)
+  const imgRegex = /<meta property="og:image" content="([^"]+)"|<img[^>]*src="([^"]*\.(?:jpg|jpeg|png|webp))"[^>]*>/gi
+  const urls = new Set()
+  let match
+  while ((match = imgRegex.exec(html)) !== null && urls.size < MAX_PRODUCT_IMAGES) {
+    const url = match[1] || match[2]
+    if (url && url.includes('http') && !url.includes('placeholder')) urls.add(url)
+  }
+
+  return {
+    titulo: tituloMatch ? tituloMatch[1].split(' - ')[0].trim() : 'Produto ML',
+    imagem_url: imagemMatch ? imagemMatch[1] : '',
+    imagens: Array.from(urls)
+  }
+}
+
+// Baixa e interpreta a página; link fora do ar, erro HTTP ou timeout viram 400 LINK_UNREACHABLE
+export async function fetchMercadoLivreProduct(url) {
+  let response
+  try {
+    response = await fetch(url, { headers: { 'User-Agent': USER_AGENT }, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) })
+  } catch (e) {
+    response = null
+  }
+  if (!response || !response.ok) {
+    throw new ApiError('Não conseguiu acessar o link', 'LINK_UNREACHABLE', 400)
+  }
+  return parseMercadoLivrePage(await response.text())
+}
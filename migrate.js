@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+// Aplica as migrações pendentes de migrations/ no banco configurado e registra cada uma em schema_migrations.
+// Uso:
+//   npm run migrate               aplica as pendentes
+//   npm run migrate -- --status   só mostra versão, pendentes e drift
+// Supabase (DATA_BACKEND=supabase): precisa de DATABASE_URL com a connection string do Postgres
+// (Project Settings → Database). SQLite (DATA_BACKEND=sqlite): usa SQLITE_FILE.
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+async function postgresExecutor() {
+  const connectionString = process.env.DATABASE_URL || process.env.SUPABASE_DB_URL
+  if (!connectionString) {
+    console.error('Defina DATABASE_URL (connection string do Postgres do Supabase) para aplicar as migrações.')
+    process.exit(1)
+  }
+  const { default: pg } = await import('pg')
+  const client = new pg.Client({ connectionString, ssl: /localhost|127\.0\.0\.1/.test(connectionString) ? false : { rejectUnauthorized: false } })
+  await client.connect()
+  return {
+    exec: (sql) => client.query(sql),
+    query: async (sql) => (await client.query(sql)).rows,
+    close: () => client.end()
+  }
+}
+
+async function main() {
+  const statusOnly = process.argv.includes('--status')
+  // Importados depois do dotenv.config() para DATA_BACKEND e as credenciais do .env valerem
+  const { supabase, dataBackend } = await import('./supabaseClient.js')
+  const { dialectFor, runMigrations, getSchemaStatus } = await import('./migrations.js')
+  const dialect = dialectFor(dataBackend)
+
+  if (!statusOnly) {
+    if (dialect === 'sqlite') {
+      // O cliente SQLite aplica as pendentes ao abrir o arquivo
+      await supabase.ready()
+    } else {
+      const executor = await postgresExecutor()
+      try {
+        const executed = await runMigrations(executor, dialect)
+        console.log(executed.length ? `Migrações aplicadas: ${executed.join(', ')}` : 'Nenhuma migração pendente.')
+      } finally {
+        await executor.close()
+      }
+    }
+  }
+
+  const status = await getSchemaStatus(supabase, dialect)
+  console.log(JSON.stringify(status, null, 2))
+  if (supabase.close) await supabase.close()
+  if (!status.atualizado) process.exitCode = 1
+}
+
+main().catch((error) => {
+  console.error('Erro ao executar migrações:', error.message || error)
+  process.exit(1)
+})
@@ -0,0 +1,149 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { fileURLToPath } from 'url'
+import { isMissingTable, isMissingColumn } from './errors.js'
+
+// Migrações versionadas do schema. Ficam em migrations/<dialeto>/NNNN_nome.sql:
+// - postgres: aplicadas no Supabase por `npm run migrate` (conexão direta via DATABASE_URL)
+// - sqlite: aplicadas automaticamente quando o backend SQLite abre o arquivo
+// Toda versão existe nos dois dialetos. As aplicadas ficam em schema_migrations (version, name, checksum, applied_at);
+// nunca edite uma migração já aplicada, crie outra com o próximo número.
+
+export const MIGRATIONS_TABLE = 'schema_migrations'
+export const DIALECTS = ['postgres', 'sqlite']
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations')
+const FILE_PATTERN = /^(\d{4})_([\w-]+)\.sql$/
+const NON_COLUMN_WORDS = ['unique', 'primary', 'constraint', 'foreign', 'check']
+
+const TRACKING_TABLE_SQL = {
+  postgres: `create table if not exists ${MIGRATIONS_TABLE} (
+  version text primary key,
+  name text not null,
+  checksum text not null,
+  applied_at timestamptz default now()
+)`,
+  sqlite: `create table if not exists ${MIGRATIONS_TABLE} (
+  version text primary key,
+  name text not null,
+  checksum text not null,
+  applied_at text default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+)`
+}
+
+export const dialectFor = (dataBackend) => (dataBackend === 'sqlite' ? 'sqlite' : 'postgres')
+
+// O checksum ignora diferenças de fim de linha (CRLF/LF)
+const checksumOf = (sql) => crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex')
+
+export function listMigrations(dialect) {
+  if (!DIALECTS.includes(dialect)) throw new Error(`Dialeto de migração desconhecido: ${dialect}`)
+  const dir = path.join(MIGRATIONS_DIR, dialect)
+  return fs.readdirSync(dir)
+    .filter(file => FILE_PATTERN.test(file))
+    .sort()
+    .map(file => {
+      const [, version, name] = FILE_PATTERN.exec(file)
+      const sql = fs.readFileSync(path.join(dir, file), 'utf8')
+      return { version, name, file: path.join('migrations', dialect, file), sql, checksum: checksumOf(sql) }
+    })
+}
+
+// Tabelas e colunas que as migrações do dialeto criam (usado para detectar drift)
+export function expectedSchema(dialect) {
+  const tables = {}
+  for (const { sql } of listMigrations(dialect)) {
+    const text = sql.replace(/--.*$/gm, '')
+    for (const [, table, body] of text.matchAll(/create table if not exists (\w+) \(([\s\S]*?)\n\);/gi)) {
+      const columns = body.split('\n')
+        .map(line => line.trim().split(/\s+/)[0])
+        .filter(word => word && /^\w+$/.test(word) && !NON_COLUMN_WORDS.includes(word.toLowerCase()))
+      tables[table] = [...new Set([...(tables[table] || []), ...columns])]
+    }
+    for (const [, table, column] of text.matchAll(/alter table (\w+) add column (?:if not exists )?(\w+)/gi)) {
+      tables[table] = [...new Set([...(tables[table] || []), column])]
+    }
+  }
+  return tables
+}
+
+const literal = (value) => `'${String(value).replace(/'/g, "''")}'`
+
+// Aplica as migrações pendentes, cada uma na sua transação.
+// executor: { exec(sql) executa um ou mais comandos, query(sql) devolve as linhas }
+export async function runMigrations(executor, dialect, { log = console.log } = {}) {
+  await executor.exec(TRACKING_TABLE_SQL[dialect])
+  const rows = await executor.query(`select version, checksum from ${MIGRATIONS_TABLE}`)
+  const applied = new Map(rows.map(r => [r.version, r.checksum]))
+
+  const executed = []
+  for (const migration of listMigrations(dialect)) {
+    if (applied.has(migration.version)) {
+      if (applied.get(migration.version) !== migration.checksum) {
+        log(`[Migrations] atenção: ${migration.file} foi alterada depois de aplicada (checksum diferente)`)
+      }
+      continue
+    }
+    log(`[Migrations] aplicando ${migration.file}`)
+    await executor.exec('begin')
+    try {
+      await executor.exec(migration.sql)
+      await executor.exec(`insert into ${MIGRATIONS_TABLE} (version, name, checksum) values (${literal(migration.version)}, ${literal(migration.name)}, ${literal(migration.checksum)})`)
+      await executor.exec('commit')
+    } catch (error) {
+      await executor.exec('rollback').catch(() => {})
+      error.message = `${migration.file}: ${error.message}`
+      throw error
+    }
+    executed.push(migration.version)
+  }
+  return executed
+}
+
+// Versão do schema e drift em relação às migrações, consultando pelo cliente de dados (Supabase ou SQLite)
+export async function getSchemaStatus(client, dialect) {
+  const files = listMigrations(dialect)
+  const { data, error } = await client.from(MIGRATIONS_TABLE).select('*').order('version', { ascending: true })
+  if (error && !isMissingTable(error)) throw error
+  const applied = data || []
+  const appliedByVersion = new Map(applied.map(r => [r.version, r]))
+  const fileVersions = new Set(files.map(m => m.version))
+
+  const drift = {
+    tracking_table_missing: !!error,
+    migracoes_alteradas: files.filter(m => appliedByVersion.has(m.version) && appliedByVersion.get(m.version).checksum !== m.checksum).map(m => m.file),
+    migracoes_desconhecidas: applied.filter(r => !fileVersions.has(r.version)).map(r => `${r.version}_${r.name}`),
+    tabelas_ausentes: [],
+    colunas_ausentes: {}
+  }
+
+  for (const [table, columns] of Object.entries(expectedSchema(dialect))) {
+    const { error: tableErr } = await client.from(table).select(columns.join(',')).limit(1)
+    if (!tableErr) continue
+    if (isMissingTable(tableErr)) {
+      drift.tabelas_ausentes.push(table)
+      continue
+    }
+    if (!isMissingColumn(tableErr)) throw tableErr
+    const missing = []
+    for (const column of columns) {
+      const { error: columnErr } = await client.from(table).select(column).limit(1)
+      if (columnErr) missing.push(column)
+    }
+    drift.colunas_ausentes[table] = missing
+  }
+
+  const pending = files.filter(m => !appliedByVersion.has(m.version))
+  const hasDrift = drift.tracking_table_missing || drift.migracoes_alteradas.length > 0 || drift.migracoes_desconhecidas.length > 0 ||
+    drift.tabelas_ausentes.length > 0 || Object.keys(drift.colunas_ausentes).length > 0
+  return {
+    dialect,
+    versao_atual: applied.length ? applied[applied.length - 1].version : null,
+    versao_esperada: files.length ? files[files.length - 1].version : null,
+    atualizado: pending.length === 0 && !hasDrift,
+    aplicadas: applied.map(r => ({ version: r.version, name: r.name, applied_at: r.applied_at })),
+    pendentes: pending.map(m => m.file),
+    drift
+  }
+}
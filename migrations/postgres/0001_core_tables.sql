@@ -0,0 +1,148 @@
+-- Tabelas usadas pelas rotas desde o início do projeto.
+-- Seguro para bancos que já existem: só cria o que falta.
+
+create table if not exists users (
+  id bigint generated by default as identity primary key,
+  nome text,
+  email text,
+  senha text,
+  tipo text default 'aluno',
+  criado_por text,
+  contract_end timestamptz,
+  blocked integer default 0,
+  foto text,
+  created_at timestamptz default now()
+);
+alter table users add column if not exists criado_por text;
+alter table users add column if not exists contract_end timestamptz;
+alter table users add column if not exists blocked integer default 0;
+alter table users add column if not exists foto text;
+create index if not exists users_email_idx on users (email);
+
+create table if not exists alunos (
+  id bigint generated by default as identity primary key,
+  email text unique,
+  nome text,
+  professor_email text,
+  data_aniversario text,
+  bio text,
+  foto_url text,
+  criado_em timestamptz default now(),
+  atualizado_em timestamptz
+);
+
+create table if not exists treinos (
+  id bigint generated by default as identity primary key,
+  aluno_email text,
+  treino text,
+  data timestamptz default now()
+);
+create index if not exists treinos_aluno_email_idx on treinos (aluno_email);
+
+create table if not exists progresso (
+  id bigint generated by default as identity primary key,
+  aluno_email text not null,
+  treino_id text,
+  peso_corporal numeric,
+  loads jsonb,
+  dados jsonb,
+  criado_em timestamptz default now()
+);
+create index if not exists progresso_aluno_email_idx on progresso (aluno_email);
+
+create table if not exists contracts (
+  id bigint generated by default as identity primary key,
+  aluno_email text,
+  professor_email text,
+  arquivo_path text,
+  dados jsonb,
+  data_assinatura timestamptz,
+  created_at timestamptz default now()
+);
+alter table contracts add column if not exists professor_email text;
+alter table contracts add column if not exists dados jsonb;
+alter table contracts add column if not exists data_assinatura timestamptz;
+
+create table if not exists contract_settings (
+  id bigint generated by default as identity primary key,
+  professor_email text not null,
+  aluno_email text not null,
+  professor_name text,
+  professor_cref text,
+  option1_value text,
+  option2_value text,
+  updated_at timestamptz default now()
+);
+-- POST /contract-settings faz upsert com onConflict: 'professor_email,aluno_email'
+create unique index if not exists contract_settings_professor_aluno_key on contract_settings (professor_email, aluno_email);
+
+create table if not exists admin_contracts (
+  id bigint generated by default as identity primary key,
+  professor_email text,
+  admin_email text,
+  contract_start timestamptz,
+  contract_end timestamptz,
+  status text default 'active',
+  created_at timestamptz default now(),
+  updated_at timestamptz
+);
+
+create table if not exists mensagens (
+  id bigint generated by default as identity primary key,
+  de text,
+  para text,
+  mensagem text,
+  data timestamptz default now()
+);
+
+create table if not exists consultorias (
+  id bigint generated by default as identity primary key,
+  client_id bigint,
+  tipo text,
+  dados jsonb,
+  criado_por text,
+  data timestamptz default now()
+);
+
+create table if not exists posts (
+  id bigint generated by default as identity primary key,
+  autor_email text,
+  autor_nome text,
+  conteudo text,
+  imagem_url text,
+  criado_em timestamptz default now()
+);
+
+create table if not exists curtidas (
+  id bigint generated by default as identity primary key,
+  post_id bigint,
+  usuario_email text,
+  criado_em timestamptz default now()
+);
+create unique index if not exists curtidas_post_usuario_key on curtidas (post_id, usuario_email);
+
+create table if not exists comentarios (
+  id bigint generated by default as identity primary key,
+  post_id bigint,
+  usuario_email text,
+  usuario_nome text,
+  texto text,
+  criado_em timestamptz default now()
+);
+
+create table if not exists produtos_loja (
+  id bigint generated by default as identity primary key,
+  titulo text,
+  imagem_url text,
+  link_mercadolivre text,
+  ordem integer default 0,
+  ativo boolean default true,
+  criado_em timestamptz default now(),
+  atualizado_em timestamptz
+);
+
+create table if not exists settings (
+  chave text primary key,
+  valor jsonb,
+  atualizado_em timestamptz default now()
+);
@@ -0,0 +1,11 @@
+-- Tokens de redefinição de senha (POST /auth/forgot e /auth/reset). Só o hash do token é salvo.
+create table if not exists password_resets (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null,
+  email text,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  criado_em timestamptz default now()
+);
+create index if not exists password_resets_user_id_idx on password_resets (user_id);
@@ -0,0 +1,16 @@
+-- Log de auditoria append-only (audit.js)
+create table if not exists audit_log (
+  id bigint generated by default as identity primary key,
+  acao text not null,
+  ator_id text,
+  ator_email text,
+  ator_tipo text,
+  alvo_tipo text,
+  alvo_id text,
+  antes jsonb,
+  depois jsonb,
+  ip text,
+  user_agent text,
+  criado_em timestamptz default now()
+);
+create index if not exists audit_log_criado_em_idx on audit_log (criado_em desc);
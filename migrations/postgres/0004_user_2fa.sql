@@ -0,0 +1,10 @@
+-- Estado do 2FA por usuário (twoFactor.js)
+create table if not exists user_2fa (
+  user_id bigint primary key,
+  secret text,
+  enabled boolean default false,
+  recovery_codes jsonb default '[]'::jsonb,
+  last_step bigint,
+  criado_em timestamptz default now(),
+  confirmado_em timestamptz
+);
@@ -0,0 +1,15 @@
+-- Convites de cadastro de alunos (invites.js)
+create table if not exists convites (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null,
+  email text not null,
+  nome text,
+  professor_email text,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  enviado_em timestamptz,
+  accepted_at timestamptz,
+  revoked_at timestamptz,
+  criado_em timestamptz default now()
+);
+create index if not exists convites_professor_email_idx on convites (professor_email);
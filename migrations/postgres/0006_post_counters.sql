@@ -0,0 +1,7 @@
+-- Contadores do feed mantidos pelas rotas de curtida e comentário (feed.js), preenchidos aqui com a contagem atual
+alter table posts add column if not exists curtidas_count integer not null default 0;
+alter table posts add column if not exists comentarios_count integer not null default 0;
+update posts set
+  curtidas_count = (select count(*) from curtidas where curtidas.post_id = posts.id),
+  comentarios_count = (select count(*) from comentarios where comentarios.post_id = posts.id);
+create index if not exists comentarios_post_id_criado_em_idx on comentarios (post_id, criado_em desc);
@@ -0,0 +1,2 @@
+-- Galeria de imagens do Mercado Livre gravada no produto (POST/PUT /produtos), para a página pública não buscar o link a cada acesso
+alter table produtos_loja add column if not exists imagens jsonb;
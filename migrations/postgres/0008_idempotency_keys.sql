@@ -0,0 +1,15 @@
+-- Respostas guardadas por Idempotency-Key (idempotency.js): uma linha por chave e usuário, até expira_em
+create table if not exists idempotency_keys (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null,
+  chave text not null,
+  rota text not null,
+  payload_hash text not null,
+  status_code integer,
+  resposta jsonb,
+  criado_em timestamptz default now(),
+  concluido_em timestamptz,
+  expira_em timestamptz not null,
+  unique (user_id, chave)
+);
+create index if not exists idempotency_keys_expira_em_idx on idempotency_keys (expira_em);
@@ -0,0 +1,11 @@
+-- Lixeira (trash.js): DELETE marca deleted_at em vez de apagar; a linha some de vez após TRASH_RETENTION_DAYS
+alter table users add column if not exists deleted_at timestamptz;
+alter table contracts add column if not exists deleted_at timestamptz;
+alter table consultorias add column if not exists deleted_at timestamptz;
+alter table mensagens add column if not exists deleted_at timestamptz;
+alter table produtos_loja add column if not exists deleted_at timestamptz;
+create index if not exists users_deleted_at_idx on users (deleted_at);
+create index if not exists contracts_deleted_at_idx on contracts (deleted_at);
+create index if not exists consultorias_deleted_at_idx on consultorias (deleted_at);
+create index if not exists mensagens_deleted_at_idx on mensagens (deleted_at);
+create index if not exists produtos_loja_deleted_at_idx on produtos_loja (deleted_at);
@@ -0,0 +1,134 @@
+-- Fusão de contas duplicadas (userMerge.js, POST /admin/users/merge) numa transação só: aponta para o sobrevivente tudo
+-- que referencia as duplicatas, manda as duplicatas para a lixeira e normaliza o email do sobrevivente. Se qualquer passo
+-- falhar nada muda. O backend SQLite tem a mesma fusão em userMerge.js (mergeUsersSqlite).
+
+-- Reaponta p_table.p_column de p_old para p_target. Com p_key (demais colunas da restrição única; '{}' quando a coluna é
+-- única sozinha), a linha antiga que colidiria com outra já no alvo (ou com outra antiga de ctid menor) é descartada antes
+create or replace function merge_users_repoint(
+  p_table text, p_column text, p_key text[], p_target anyelement, p_old anyarray,
+  out movidas integer, out descartadas integer
+)
+language plpgsql
+as $$
+declare
+  same_key text;
+begin
+  descartadas := 0;
+  if p_key is not null then
+    select coalesce(string_agg(format(' and o.%1$I is not distinct from c.%1$I', k), ''), '') into same_key from unnest(p_key) k;
+    execute format(
+      'delete from %1$I c where c.%2$I = any($2) and exists (select 1 from %1$I o where o.ctid <> c.ctid and (o.%2$I = $1 or (o.%2$I = any($2) and o.ctid < c.ctid))%3$s)',
+      p_table, p_column, same_key
+    ) using p_target, p_old;
+    get diagnostics descartadas = row_count;
+  end if;
+  execute format('update %1$I set %2$I = $1 where %2$I = any($2)', p_table, p_column) using p_target, p_old;
+  get diagnostics movidas = row_count;
+end
+$$;
+
+-- Devolve { email, referencias: { 'tabela.coluna': linhas reapontadas }, descartadas: { 'tabela.coluna': linhas } }.
+-- audit_log, idempotency_keys e admin_bootstrap são histórico e ficam com os ids originais (as duplicatas seguem na lixeira).
+create or replace function merge_users(p_survivor_id bigint, p_duplicate_ids bigint[])
+returns jsonb
+language plpgsql
+as $$
+declare
+  survivor users%rowtype;
+  target_email text;
+  old_emails text[];
+  ref record;
+  result record;
+  referencias jsonb := '{}'::jsonb;
+  descartadas jsonb := '{}'::jsonb;
+begin
+  select * into survivor from users where id = p_survivor_id and deleted_at is null for update;
+  if not found then
+    raise exception 'Usuário sobrevivente % não encontrado', p_survivor_id;
+  end if;
+  target_email := lower(btrim(survivor.email));
+
+  -- As duplicatas podem ter mudado desde a checagem em userMerge.js
+  perform 1 from users where id = any(p_duplicate_ids) for update;
+  if cardinality(p_duplicate_ids) = 0 or exists (
+    select 1 from unnest(p_duplicate_ids) d(id)
+    where d.id = p_survivor_id or not exists (
+      select 1 from users u where u.id = d.id and u.deleted_at is null and lower(btrim(u.email)) = target_email
+    )
+  ) then
+    raise exception 'Duplicatas de % mudaram desde a verificação; confira GET /admin/users/duplicates', target_email;
+  end if;
+
+  select coalesce(array_agg(distinct email), '{}') into old_emails
+  from users where (id = any(p_duplicate_ids) or id = p_survivor_id) and email is not null and email <> target_email;
+
+  -- Mesma lista de userMerge.js (USER_EMAIL_REFERENCES / USER_ID_REFERENCES)
+  for ref in select * from (values
+    ('treinos', 'aluno_email', null::text[]),
+    ('progresso', 'aluno_email', null),
+    ('mensagens', 'de', null),
+    ('mensagens', 'para', null),
+    ('contracts', 'aluno_email', null),
+    ('contracts', 'professor_email', null),
+    ('contract_settings', 'aluno_email', '{professor_email}'),
+    ('contract_settings', 'professor_email', '{aluno_email}'),
+    ('admin_contracts', 'professor_email', null),
+    ('admin_contracts', 'admin_email', null),
+    ('alunos', 'email', '{}'),
+    ('alunos', 'professor_email', null),
+    ('posts', 'autor_email', null),
+    ('curtidas', 'usuario_email', '{post_id}'),
+    ('comentarios', 'usuario_email', null),
+    ('convites', 'email', null),
+    ('convites', 'professor_email', null),
+    ('password_resets', 'email', null),
+    ('consultorias', 'criado_por', null),
+    ('users', 'criado_por', null)
+  ) as r(tabela, coluna, chave) loop
+    select * into result from merge_users_repoint(ref.tabela, ref.coluna, ref.chave, target_email, old_emails);
+    referencias := referencias || jsonb_build_object(ref.tabela || '.' || ref.coluna, result.movidas);
+    if ref.chave is not null then
+      descartadas := descartadas || jsonb_build_object(ref.tabela || '.' || ref.coluna, result.descartadas);
+    end if;
+  end loop;
+
+  for ref in select * from (values
+    ('consultorias', 'client_id', null::text[]),
+    ('convites', 'user_id', null),
+    ('password_resets', 'user_id', null),
+    ('user_2fa', 'user_id', '{}')
+  ) as r(tabela, coluna, chave) loop
+    select * into result from merge_users_repoint(ref.tabela, ref.coluna, ref.chave, p_survivor_id, p_duplicate_ids);
+    referencias := referencias || jsonb_build_object(ref.tabela || '.' || ref.coluna, result.movidas);
+    if ref.chave is not null then
+      descartadas := descartadas || jsonb_build_object(ref.tabela || '.' || ref.coluna, result.descartadas);
+    end if;
+  end loop;
+
+  -- Curtidas descartadas saem do contador dos posts
+  update posts p set curtidas_count = (select count(*) from curtidas c where c.post_id = p.id)
+  where p.id in (select post_id from curtidas where usuario_email = target_email);
+
+  update users set deleted_at = now() where id = any(p_duplicate_ids);
+  -- Só depois da lixeira: o índice único em lower(email) vale para as contas ativas
+  update users set email = target_email where id = p_survivor_id and email is distinct from target_email;
+
+  return jsonb_build_object('email', target_email, 'referencias', referencias, 'descartadas', descartadas);
+end
+$$;
+
+-- Só o backend (service_role) chama; no Supabase as funções novas do schema public também valeriam para anon/authenticated
+revoke execute on function merge_users(bigint, bigint[]) from public;
+revoke execute on function merge_users_repoint(text, text, text[], anyelement, anyarray) from public;
+do $$
+begin
+  if exists (select 1 from pg_roles where rolname = 'anon') then
+    revoke execute on function merge_users(bigint, bigint[]) from anon, authenticated;
+    revoke execute on function merge_users_repoint(text, text, text[], anyelement, anyarray) from anon, authenticated;
+  end if;
+  if exists (select 1 from pg_roles where rolname = 'service_role') then
+    grant execute on function merge_users(bigint, bigint[]) to service_role;
+    grant execute on function merge_users_repoint(text, text, text[], anyelement, anyarray) to service_role;
+  end if;
+end
+$$;
@@ -0,0 +1,5 @@
+-- Prévia de comentários do feed (feed.js): comentários numerados por post, do mais recente para o mais antigo, para a página
+-- buscar só os primeiros de cada post (ordem <= COMMENT_PREVIEW_SIZE) em vez de todos os comentários dos posts
+create or replace view comentarios_recentes as
+select c.*, row_number() over (partition by c.post_id order by c.criado_em desc, c.id desc) as ordem
+from comentarios c;
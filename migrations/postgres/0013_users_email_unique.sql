@@ -0,0 +1,20 @@
+-- Email único por conta ativa, sem diferenciar maiúsculas: índice único em lower(email) para users fora da lixeira.
+-- A migração não funde contas sozinha: se ainda houver duplicatas ativas ela para com a lista dos emails. Resolva com
+-- GET /admin/users/duplicates e POST /admin/users/merge (userMerge.js; a fusão vem da 0011, então já está disponível) e
+-- rode de novo.
+do $$
+declare
+  duplicados text;
+begin
+  select string_agg(email, ', ' order by email) into duplicados
+  from (
+    select lower(email) as email from users
+    where deleted_at is null and email is not null
+    group by lower(email) having count(*) > 1
+  ) d;
+  if duplicados is not null then
+    raise exception 'Contas duplicadas (resolva com GET /admin/users/duplicates e POST /admin/users/merge): %', duplicados;
+  end if;
+end
+$$;
+create unique index if not exists users_email_lower_key on users (lower(email)) where deleted_at is null;
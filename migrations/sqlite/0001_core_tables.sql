@@ -0,0 +1,138 @@
+-- Tabelas usadas pelas rotas desde o início do projeto.
+-- Datas ficam em texto ISO 8601; colunas JSON são serializadas pelo driver e BOOLEAN volta como true/false.
+
+create table if not exists users (
+  id integer primary key autoincrement,
+  nome text,
+  email text,
+  senha text,
+  tipo text default 'aluno',
+  criado_por text,
+  contract_end text,
+  blocked integer default 0,
+  foto text,
+  created_at text default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+create index if not exists users_email_idx on users (email);
+
+create table if not exists alunos (
+  id integer primary key autoincrement,
+  email text unique,
+  nome text,
+  professor_email text,
+  data_aniversario text,
+  bio text,
+  foto_url text,
+  criado_em text default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  atualizado_em text
+);
+
+create table if not exists treinos (
+  id integer primary key autoincrement,
+  aluno_email text,
+  treino text,
+  data text default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table if not exists progresso (
+  id integer primary key autoincrement,
+  aluno_email text,
+  treino_id text,
+  peso_corporal real,
+  loads json,
+  dados json,
+  criado_em text default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table if not exists contracts (
+  id integer primary key autoincrement,
+  aluno_email text,
+  professor_email text,
+  arquivo_path text,
+  dados json,
+  data_assinatura text,
+  created_at text default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table if not exists contract_settings (
+  id integer primary key autoincrement,
+  professor_email text,
+  aluno_email text,
+  professor_name text,
+  professor_cref text,
+  option1_value text,
+  option2_value text,
+  updated_at text default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  unique (professor_email, aluno_email)
+);
+
+create table if not exists admin_contracts (
+  id integer primary key autoincrement,
+  professor_email text,
+  admin_email text,
+  contract_start text,
+  contract_end text,
+  status text default 'active',
+  created_at text default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text
+);
+
+create table if not exists mensagens (
+  id integer primary key autoincrement,
+  de text,
+  para text,
+  mensagem text,
+  data text default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table if not exists consultorias (
+  id integer primary key autoincrement,
+  client_id integer,
+  tipo text,
+  dados json,
+  criado_por text,
+  data text default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table if not exists posts (
+  id integer primary key autoincrement,
+  autor_email text,
+  autor_nome text,
+  conteudo text,
+  imagem_url text,
+  criado_em text default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table if not exists curtidas (
+  id integer primary key autoincrement,
+  post_id integer,
+  usuario_email text,
+  criado_em text default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  unique (post_id, usuario_email)
+);
+
+create table if not exists comentarios (
+  id integer primary key autoincrement,
+  post_id integer,
+  usuario_email text,
+  usuario_nome text,
+  texto text,
+  criado_em text default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table if not exists produtos_loja (
+  id integer primary key autoincrement,
+  titulo text,
+  imagem_url text,
+  link_mercadolivre text,
+  ordem integer default 0,
+  ativo boolean default 1,
+  criado_em text default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  atualizado_em text
+);
+
+create table if not exists settings (
+  chave text primary key,
+  valor json,
+  atualizado_em text default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
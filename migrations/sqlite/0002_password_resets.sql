@@ -0,0 +1,11 @@
+-- Tokens de redefinição de senha (POST /auth/forgot e /auth/reset). Só o hash do token é salvo.
+
+create table if not exists password_resets (
+  id integer primary key autoincrement,
+  user_id integer,
+  email text,
+  token_hash text unique,
+  expires_at text,
+  used_at text,
+  criado_em text default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
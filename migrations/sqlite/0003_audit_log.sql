@@ -0,0 +1,16 @@
+-- Log de auditoria append-only (audit.js)
+
+create table if not exists audit_log (
+  id integer primary key autoincrement,
+  acao text,
+  ator_id text,
+  ator_email text,
+  ator_tipo text,
+  alvo_tipo text,
+  alvo_id text,
+  antes json,
+  depois json,
+  ip text,
+  user_agent text,
+  criado_em text default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
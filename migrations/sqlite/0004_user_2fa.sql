@@ -0,0 +1,11 @@
+-- Estado do 2FA por usuário (twoFactor.js)
+
+create table if not exists user_2fa (
+  user_id integer primary key,
+  secret text,
+  enabled boolean default 0,
+  recovery_codes json,
+  last_step integer,
+  criado_em text default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  confirmado_em text
+);
@@ -0,0 +1,15 @@
+-- Convites de cadastro de alunos (invites.js)
+
+create table if not exists convites (
+  id integer primary key autoincrement,
+  user_id integer,
+  email text,
+  nome text,
+  professor_email text,
+  token_hash text unique,
+  expires_at text,
+  enviado_em text,
+  accepted_at text,
+  revoked_at text,
+  criado_em text default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
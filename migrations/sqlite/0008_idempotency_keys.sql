@@ -0,0 +1,16 @@
+-- Respostas guardadas por Idempotency-Key (idempotency.js): uma linha por chave e usuário, até expira_em
+
+create table if not exists idempotency_keys (
+  id integer primary key autoincrement,
+  user_id integer not null,
+  chave text not null,
+  rota text not null,
+  payload_hash text not null,
+  status_code integer,
+  resposta json,
+  criado_em text default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  concluido_em text,
+  expira_em text not null,
+  unique (user_id, chave)
+);
+create index if not exists idempotency_keys_expira_em_idx on idempotency_keys (expira_em);
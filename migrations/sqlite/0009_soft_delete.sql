@@ -0,0 +1,12 @@
+-- Lixeira (trash.js): DELETE marca deleted_at em vez de apagar; a linha some de vez após TRASH_RETENTION_DAYS
+
+alter table users add column deleted_at text;
+alter table contracts add column deleted_at text;
+alter table consultorias add column deleted_at text;
+alter table mensagens add column deleted_at text;
+alter table produtos_loja add column deleted_at text;
+create index if not exists users_deleted_at_idx on users (deleted_at);
+create index if not exists contracts_deleted_at_idx on contracts (deleted_at);
+create index if not exists consultorias_deleted_at_idx on consultorias (deleted_at);
+create index if not exists mensagens_deleted_at_idx on mensagens (deleted_at);
+create index if not exists produtos_loja_deleted_at_idx on produtos_loja (deleted_at);
@@ -0,0 +1,11 @@
+-- Trava do bootstrap do primeiro admin (adminBootstrap.js): uma linha só (id = 1), então dois bootstraps simultâneos não criam dois admins
+
+create table if not exists admin_bootstrap (
+  id integer primary key check (id = 1),
+  admin_id integer,
+  criado_em text default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+-- Bancos que já têm admin ficam com o bootstrap concluído
+insert or ignore into admin_bootstrap (id, admin_id)
+select 1, (select min(id) from users where tipo = 'admin')
+where exists (select 1 from users where tipo = 'admin');
@@ -0,0 +1,4 @@
+-- Fusão de contas duplicadas (POST /admin/users/merge): no Postgres é a função merge_users. O SQLite não tem funções no
+-- banco, então a mesma fusão está em userMerge.js (mergeUsersSqlite), registrada com defineRpc e executada numa
+-- transação do cliente (sqliteClient.js). Nada a criar no schema.
+select 1;
@@ -0,0 +1,14 @@
+-- Email único por conta ativa, sem diferenciar maiúsculas: índice único em lower(email) para users fora da lixeira.
+-- A migração não funde contas sozinha: se ainda houver duplicatas ativas ela para com a lista dos emails. Resolva com
+-- GET /admin/users/duplicates e POST /admin/users/merge (userMerge.js; a fusão vem da 0011, então já está disponível) e
+-- rode de novo.
+
+-- SQLite não tem raise fora de triggers: o caminho JSON inválido faz a migração falhar com a lista dos emails na mensagem
+select json_extract('{}', 'Contas duplicadas (resolva com GET /admin/users/duplicates e POST /admin/users/merge): ' || group_concat(email, ', '))
+from (
+  select lower(email) as email from users
+  where deleted_at is null and email is not null
+  group by lower(email) having count(*) > 1
+)
+having count(*) > 0;
+create unique index if not exists users_email_lower_key on users (lower(email)) where deleted_at is null;
@@ -0,0 +1,331 @@
+import { describeRoutePolicies } from './policies.js'
+import { getValidationShapes, shapeToJsonSchema } from './validation.js'
+import { ROUTE_DOCS, COMPONENT_SCHEMAS } from './routeDocs.js'
+import { getDeprecation } from './legacyRoutes.js'
+import { isIdempotent } from './idempotency.js'
+
+// Documento OpenAPI 3.1 montado a partir da tabela de rotas do Express, servido em GET /openapi.json (página em GET /docs).
+// De cada rota registrada vêm: caminho e método, política de acesso (segurança e perfis, ver policies.js) e os shapes
+// de validate() (parâmetros, query e body, ver validation.js), o header Idempotency-Key (idempotency.js) e,
+// para caminhos antigos, o sucessor (legacyRoutes.js).
+// Resumo, tag e resposta de sucesso vêm de routeDocs.js.
+// assertRouteDocs(app) recusa subir o servidor se alguma rota não tiver entrada em ROUTE_DOCS.
+
+const API_VERSION = process.env.npm_package_version || '1.0.0'
+
+const errorResponse = (description) => ({ description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Erro' } } } })
+
+const PAGINATION_HEADERS = {
+  'X-Total-Count': { description: 'Total de itens com os mesmos filtros', schema: { type: 'integer' } },
+  'X-Next-Cursor': { description: 'Cursor da próxima página (ausente na última)', schema: { type: 'string' } },
+  Link: { description: '<url>; rel="next" para a próxima página', schema: { type: 'string' } }
+}
+const DEPRECATION_HEADERS = {
+  Deprecation: { description: 'Data da descontinuação (@segundos desde 1970, RFC 9745)', schema: { type: 'string' } },
+  Sunset: { description: 'Data prevista para o caminho deixar de existir (RFC 8594)', schema: { type: 'string' } }
+}
+const IDEMPOTENCY_PARAMETER = {
+  name: 'Idempotency-Key',
+  in: 'header',
+  required: false,
+  description: 'Chave única por operação: repetir com a mesma chave devolve a primeira resposta sem executar de novo',
+  schema: { type: 'string', maxLength: 255 }
+}
+const CACHE_HEADERS = {
+  'Cache-Control': { schema: { type: 'string' } },
+  ETag: { description: 'Repita em If-None-Match para receber 304 se nada mudou', schema: { type: 'string' } }
+}
+
+const docKey = (method, path) => `${method} ${path}`
+
+// /contracts/:id/pdf -> /contracts/{id}/pdf
+const toOpenApiPath = (path) => path.replace(/:([A-Za-z0-9_]+)/g, '{$1}')
+
+// Junta os shapes de todos os validate() da cadeia da rota
+function routeShapes(handlers) {
+  const shapes = {}
+  for (const handler of handlers) {
+    const found = getValidationShapes(handler)
+    if (!found) continue
+    for (const [source, shape] of Object.entries(found)) shapes[source] = { ...shapes[source], ...shape }
+  }
+  return shapes
+}
+
+function parametersFor(path, shapes) {
+  const parameters = []
+  const pathNames = [...path.matchAll(/:([A-Za-z0-9_]+)/g)].map(match => match[1])
+  for (const name of pathNames) {
+    const schema = shapes.params && shapes.params[name]
+    parameters.push({ name, in: 'path', required: true, schema: schema ? schema.toJsonSchema() : { type: 'string' } })
+  }
+  for (const [name, schema] of Object.entries(shapes.query || {})) {
+    parameters.push({ name, in: 'query', required: !schema.isOptional, schema: schema.toJsonSchema() })
+  }
+  return parameters
+}
+
+function requestBodyFor(shapes, doc) {
+  if (!shapes.body && !doc.multipart) return undefined
+  const json = shapes.body ? shapeToJsonSchema(shapes.body) : { type: 'object', properties: {} }
+  const content = { 'application/json': { schema: json } }
+  if (doc.multipart) {
+    content['multipart/form-data'] = {
+      schema: { ...json, properties: { ...json.properties, [doc.multipart]: { type: 'string', format: 'binary' } } }
+    }
+  }
+  return { required: !!(json.required && json.required.length), content }
+}
+
+function securityFor(policy) {
+  if (!policy || policy.kind === 'public') return { security: [], note: 'Rota pública.' }
+  const roles = policy.kind === 'authenticated' ? 'qualquer perfil' : policy.roles.join(', ')
+  const purposes = policy.purposes && policy.purposes.length ? ` Também aceita token de propósito ${policy.purposes.join(', ')}.` : ''
+  return { security: [{ bearerAuth: [] }], note: `Perfis: ${roles}.${purposes}` }
+}
+
+function operationFor(route, doc) {
+  const shapes = routeShapes(route.handlers)
+  const { security, note } = securityFor(route.policy)
+  const deprecation = route.handlers.map(getDeprecation).find(Boolean)
+  const idempotency = route.handlers.some(isIdempotent)
+  const status = String(doc.status || 200)
+  const contentType = doc.contentType || 'application/json'
+
+  const headers = { ...(doc.paginated && PAGINATION_HEADERS), ...(doc.cached && CACHE_HEADERS), ...(deprecation && DEPRECATION_HEADERS),
+    ...(idempotency && { 'Idempotent-Replayed': { description: 'true quando a resposta é a guardada para a Idempotency-Key', schema: { type: 'string' } } }) }
+  const responses = {
+    [status]: {
+      description: 'Sucesso',
+      ...(Object.keys(headers).length && { headers }),
+      content: { [contentType]: { schema: doc.response || {} } }
+    }
+  }
+  for (const [code, extra] of Object.entries(doc.responses || {})) {
+    responses[code] = { description: extra.description, content: { 'application/json': { schema: extra.schema } } }
+  }
+  if (doc.cached) responses['304'] = { description: 'Não modificado (If-None-Match igual ao ETag atual)' }
+  if (shapes.params || shapes.query || shapes.body) responses['400'] = errorResponse('Dados inválidos (VALIDATION_ERROR, lista em campos)')
+  if (idempotency) {
+    responses['409'] = errorResponse('Requisição com a mesma Idempotency-Key ainda em andamento (IDEMPOTENCY_REQUEST_IN_PROGRESS)')
+    responses['422'] = errorResponse('Idempotency-Key já usada com outro conteúdo (IDEMPOTENCY_KEY_REUSED)')
+  }
+  if (route.policy && route.policy.kind !== 'public') {
+    responses['401'] = errorResponse('Token ausente, inválido ou expirado, ou conta excluída (SESSION_USER_NOT_FOUND)')
+    responses['403'] = errorResponse('Perfil sem acesso a esta rota ou a este recurso')
+  }
+  responses['500'] = errorResponse('Erro interno')
+
+  const operation = {
+    tags: [doc.tag],
+    summary: doc.summary,
+    description: [deprecation && `Descontinuado: use ${deprecation.successor}.`, doc.description, note].filter(Boolean).join('\n\n'),
+    operationId: `${route.method.toLowerCase()} ${route.path}`,
+    parameters: [...parametersFor(route.path, shapes), ...(idempotency ? [IDEMPOTENCY_PARAMETER] : [])],
+    security,
+    responses
+  }
+  const requestBody = requestBodyFor(shapes, doc)
+  if (requestBody) operation.requestBody = requestBody
+  if (deprecation) operation.deprecated = true
+  return operation
+}
+
+// Documento completo para as rotas registradas no app (rotas de diagnóstico só aparecem quando montadas)
+export function buildOpenApiDocument(app, { serverUrl } = {}) {
+  const paths = {}
+  const tags = []
+  for (const route of describeRoutePolicies(app)) {
+    const doc = ROUTE_DOCS[docKey(route.method, route.path)]
+    if (!doc) continue
+    const path = toOpenApiPath(route.path)
+    paths[path] = paths[path] || {}
+    paths[path][route.method.toLowerCase()] = operationFor(route, doc)
+    if (!tags.includes(doc.tag)) tags.push(doc.tag)
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'API Banco de Dados - Fitness',
+      version: API_VERSION,
+      description: 'Gerado a partir das rotas registradas no servidor. As rotas da API ficam em /v1 (também respondem sem o prefixo); caminhos marcados como descontinuados indicam o sucessor. Erros seguem o envelope { error, code } (ver schema Erro).'
+    },
+    ...(serverUrl && { servers: [{ url: serverUrl }] }),
+    tags: tags.map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Token devolvido por /login (campo token)' }
+      },
+      schemas: COMPONENT_SCHEMAS
+    }
+  }
+}
+
+// Falha se alguma rota registrada não tiver entrada em ROUTE_DOCS (ou tiver entrada sem tag/resumo/resposta), ou se dois
+// caminhos só diferirem no nome do parâmetro (/convites/:id e /convites/:token viram dois paths iguais no OpenAPI)
+export function assertRouteDocs(app) {
+  const problems = []
+  const pathsByShape = new Map()
+  for (const route of describeRoutePolicies(app)) {
+    const shape = route.path.replace(/:[A-Za-z0-9_]+/g, ':')
+    if (!pathsByShape.has(shape)) pathsByShape.set(shape, new Set())
+    pathsByShape.get(shape).add(route.path)
+    const key = docKey(route.method, route.path)
+    const doc = ROUTE_DOCS[key]
+    if (!doc) problems.push(`${key} (sem entrada)`)
+    else if (!doc.tag || !doc.summary || !doc.response) problems.push(`${key} (faltam tag, summary ou response)`)
+  }
+  for (const paths of pathsByShape.values()) {
+    if (paths.size > 1) problems.push(`${[...paths].join(' e ')} (mesmo caminho com nomes de parâmetro diferentes)`)
+  }
+  if (problems.length > 0) {
+    throw new Error(`Rotas com problema na documentação (routeDocs.js): ${problems.join(', ')}`)
+  }
+}
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c])
+
+// Página de documentação sem dependências externas: lê /openapi.json no navegador, agrupa por tag
+// e permite testar cada rota (token Bearer opcional, guardado só na página)
+export function renderDocsPage({ title = 'API Banco de Dados - Fitness', specUrl = '/openapi.json' } = {}) {
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} · Documentação</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; background: #f5f6f8; color: #1f2933; }
+    header { background: #1f2933; color: #fff; padding: 16px 24px; display: flex; gap: 16px; align-items: center; flex-wrap: wrap; }
+    header h1 { font-size: 18px; margin: 0; flex: 1; }
+    header input { padding: 6px 8px; border-radius: 4px; border: 0; min-width: 260px; }
+    main { max-width: 1100px; margin: 0 auto; padding: 16px 24px 48px; }
+    h2 { margin: 28px 0 8px; font-size: 16px; text-transform: uppercase; letter-spacing: .04em; color: #52606d; }
+    details { background: #fff; border-radius: 6px; margin: 6px 0; box-shadow: 0 1px 2px rgba(0,0,0,.08); }
+    summary { cursor: pointer; padding: 10px 12px; display: flex; gap: 12px; align-items: center; }
+    summary code { font-size: 14px; }
+    .method { font-weight: 700; font-size: 12px; width: 64px; text-align: center; padding: 3px 0; border-radius: 4px; color: #fff; }
+    .get { background: #2f80ed; } .post { background: #27ae60; } .put { background: #f2994a; } .patch { background: #9b51e0; } .delete { background: #eb5757; }
+    .deprecated code { text-decoration: line-through; }
+    .lock { color: #9aa5b1; font-size: 12px; margin-left: auto; }
+    .body { padding: 0 16px 16px; border-top: 1px solid #e4e7eb; }
+    pre { background: #f0f2f5; padding: 10px; border-radius: 4px; overflow: auto; font-size: 12px; max-height: 360px; }
+    table { border-collapse: collapse; width: 100%; font-size: 13px; }
+    td, th { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e4e7eb; vertical-align: top; }
+    .try input, .try textarea { width: 100%; box-sizing: border-box; font-family: monospace; margin: 2px 0 8px; }
+    .try button { padding: 6px 14px; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(title)}</h1>
+    <input id="token" type="password" placeholder="Token (Authorization: Bearer)">
+    <a href="${escapeHtml(specUrl)}" style="color:#9fb3c8">openapi.json</a>
+  </header>
+  <main id="app">Carregando…</main>
+  <script>
+    const specUrl = ${JSON.stringify(specUrl)};
+    const esc = (t) => String(t == null ? '' : t).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    const tokenInput = document.getElementById('token');
+    tokenInput.value = sessionStorage.getItem('docsToken') || '';
+    tokenInput.addEventListener('change', () => sessionStorage.setItem('docsToken', tokenInput.value));
+
+    function resolve(spec, schema) {
+      if (!schema || !schema.$ref) return schema;
+      return spec.components.schemas[schema.$ref.split('/').pop()];
+    }
+    function example(spec, schema, depth = 0) {
+      schema = resolve(spec, schema) || {};
+      if (depth > 4) return null;
+      if (schema.default !== undefined) return schema.default;
+      if (schema.const !== undefined) return schema.const;
+      if (schema.enum) return schema.enum[0];
+      if (schema.allOf) return Object.assign({}, ...schema.allOf.map(s => example(spec, s, depth + 1)));
+      if (schema.anyOf) return example(spec, schema.anyOf[0], depth + 1);
+      if (schema.type === 'object') {
+        const out = {};
+        for (const [k, s] of Object.entries(schema.properties || {})) out[k] = example(spec, s, depth + 1);
+        return out;
+      }
+      if (schema.type === 'array') return [example(spec, schema.items, depth + 1)];
+      if (schema.type === 'integer' || schema.type === 'number') return schema.minimum || 0;
+      if (schema.type === 'boolean') return false;
+      if (schema.format === 'email') return 'usuario@exemplo.com';
+      if (schema.format === 'date-time') return new Date().toISOString();
+      if (schema.format === 'date') return new Date().toISOString().slice(0, 10);
+      return schema.type === 'string' ? '' : null;
+    }
+
+    function renderOperation(spec, path, method, op) {
+      const params = (op.parameters || []).map(p => '<tr><td><code>' + esc(p.name) + '</code></td><td>' + esc(p.in) + (p.required ? ' · obrigatório' : '') + '</td><td><code>' + esc(JSON.stringify(p.schema)) + '</code></td></tr>').join('');
+      const body = op.requestBody && op.requestBody.content['application/json'];
+      const responses = Object.entries(op.responses).map(([code, r]) => {
+        const content = r.content && Object.values(r.content)[0];
+        return '<tr><td>' + esc(code) + '</td><td>' + esc(r.description) + (content && content.schema ? '<pre>' + esc(JSON.stringify(content.schema, null, 2)) + '</pre>' : '') + '</td></tr>';
+      }).join('');
+      const id = (method + path).replace(/[^a-z0-9]/gi, '_');
+      const tryParams = (op.parameters || []).map(p => '<label>' + esc(p.name) + ' (' + esc(p.in) + ')<input data-in="' + esc(p.in) + '" data-name="' + esc(p.name) + '"></label>').join('');
+      return '<details class="' + (op.deprecated ? 'deprecated' : '') + '"><summary><span class="method ' + method + '">' + method.toUpperCase() + '</span><code>' + esc(path) + '</code><span>' + esc(op.summary) + '</span>' +
+        (op.security && op.security.length ? '<span class="lock">🔒</span>' : '') + '</summary><div class="body">' +
+        '<p>' + esc(op.description).replace(/\\n/g, '<br>') + '</p>' +
+        (params ? '<h4>Parâmetros</h4><table>' + params + '</table>' : '') +
+        (body ? '<h4>Body</h4><pre>' + esc(JSON.stringify(body.schema, null, 2)) + '</pre>' : '') +
+        '<h4>Respostas</h4><table>' + responses + '</table>' +
+        '<h4>Testar</h4><form class="try" id="' + id + '">' + tryParams +
+        (body ? '<label>Body (JSON)<textarea rows="6">' + esc(JSON.stringify(example(spec, body.schema), null, 2)) + '</textarea></label>' : '') +
+        '<button type="submit">Enviar</button><pre hidden></pre></form></div></details>';
+    }
+
+    async function send(form, path, method) {
+      let url = path;
+      const query = new URLSearchParams();
+      const headers = {};
+      for (const input of form.querySelectorAll('input')) {
+        if (!input.value) continue;
+        if (input.dataset.in === 'path') url = url.replace('{' + input.dataset.name + '}', encodeURIComponent(input.value));
+        else if (input.dataset.in === 'header') headers[input.dataset.name] = input.value;
+        else query.set(input.dataset.name, input.value);
+      }
+      if (String(query)) url += '?' + query;
+      if (tokenInput.value) headers.Authorization = 'Bearer ' + tokenInput.value;
+      const textarea = form.querySelector('textarea');
+      const init = { method: method.toUpperCase(), headers };
+      if (textarea) { headers['Content-Type'] = 'application/json'; init.body = textarea.value; }
+      const out = form.querySelector('pre');
+      out.hidden = false;
+      try {
+        const res = await fetch(url, init);
+        const text = await res.text();
+        let pretty = text;
+        try { pretty = JSON.stringify(JSON.parse(text), null, 2); } catch (e) {}
+        out.textContent = res.status + ' ' + res.statusText + '\\n\\n' + pretty;
+      } catch (e) {
+        out.textContent = 'Falha: ' + e.message;
+      }
+    }
+
+    fetch(specUrl).then(r => r.json()).then(spec => {
+      const byTag = new Map();
+      for (const [path, methods] of Object.entries(spec.paths)) {
+        for (const [method, op] of Object.entries(methods)) {
+          const tag = (op.tags && op.tags[0]) || 'Outros';
+          if (!byTag.has(tag)) byTag.set(tag, []);
+          byTag.get(tag).push([path, method, op]);
+        }
+      }
+      const app = document.getElementById('app');
+      app.innerHTML = '<p>' + esc(spec.info.description) + ' Versão ' + esc(spec.info.version) + '.</p>' +
+        [...byTag.entries()].map(([tag, ops]) => '<h2>' + esc(tag) + '</h2>' + ops.map(([p, m, op]) => renderOperation(spec, p, m, op)).join('')).join('');
+      for (const [, ops] of byTag) {
+        for (const [path, method] of ops) {
+          const form = document.getElementById((method + path).replace(/[^a-z0-9]/gi, '_'));
+          form.addEventListener('submit', (event) => { event.preventDefault(); send(form, path, method); });
+        }
+      }
+    }).catch(e => { document.getElementById('app').textContent = 'Não foi possível carregar ' + specUrl + ': ' + e.message; });
+  </script>
+</body>
+</html>`
+}
@@ -0,0 +1,91 @@
+import { supabase } from './supabaseClient.js'
+import { ROLES } from './policies.js'
+import { ApiError, NotFoundError } from './errors.js'
+
+// Escopo de dados por dono: professores só enxergam/alteram alunos que criaram (users.criado_por),
+// alunos só enxergam a si mesmos e admins enxergam tudo.
+// Use depois da política de acesso da rota, que já garante req.user:
+//   app.get('/treinos/:aluno_email', authenticated, requireOwnership(req => ({ email: req.params.aluno_email })), handler)
+
+const normalizeEmail = (email) => (email == null ? '' : String(email).trim().toLowerCase())
+
+// Decide se `requester` (req.user) pode acessar os dados do usuário `target` (linha de users).
+// allowSelf=false impede que um professor atue sobre o próprio registro (ex.: renovar o próprio contrato).
+export function canAccessUser(requester, target, { allowSelf = true } = {}) {
+  if (!requester) return false
+  if (requester.tipo === ROLES.ADMIN) return true
+  if (!target) return false
+
+  const requesterEmail = normalizeEmail(requester.email)
+  const isSelf = normalizeEmail(target.email) === requesterEmail || String(target.id) === String(requester.id)
+
+  if (requester.tipo === ROLES.PROFESSOR) {
+    if (isSelf) return allowSelf
+    return !!requesterEmail && normalizeEmail(target.criado_por) === requesterEmail
+  }
+  return isSelf
+}
+
+// Decide se `requester` pode acessar um contrato: admin, o aluno do contrato, o professor do contrato
+// (professor_email) ou o professor que criou o aluno
+export async function canAccessContract(requester, contract) {
+  if (!requester || !contract) return false
+  if (requester.tipo === ROLES.ADMIN) return true
+  const requesterEmail = normalizeEmail(requester.email)
+  if (!requesterEmail) return false
+  if (normalizeEmail(contract.aluno_email) === requesterEmail || normalizeEmail(contract.professor_email) === requesterEmail) return true
+  if (requester.tipo !== ROLES.PROFESSOR) return false
+  return canAccessUser(requester, await findTargetUser({ email: contract.aluno_email }))
+}
+
+// Busca o usuário alvo por { id } ou { email }; usuários na lixeira (deleted_at) contam como inexistentes
+export async function findTargetUser({ id, email } = {}) {
+  let query = supabase.from('users').select('id,email,tipo,criado_por').is('deleted_at', null)
+  if (id !== undefined && id !== null && id !== '') query = query.eq('id', id)
+  else if (email) query = query.eq('email', normalizeEmail(email))
+  else return null
+
+  const { data, error } = await query
+  if (error) throw error
+  return Array.isArray(data) ? (data[0] || null) : (data || null)
+}
+
+// Middleware: resolve o alvo via getTarget(req) e responde 403/404 se o requisitante não for o dono.
+// O usuário alvo fica disponível em req.targetUser (null quando um admin consulta alguém inexistente).
+export function requireOwnership(getTarget, options = {}) {
+  return async (req, res, next) => {
+    try {
+      const ref = getTarget(req) || {}
+      if ((ref.id === undefined || ref.id === null || Number.isNaN(ref.id)) && !ref.email) {
+        return next(new ApiError('Identificador do aluno inválido', 'VALIDATION_ERROR', 400))
+      }
+
+      const target = await findTargetUser(ref)
+      if (!target && req.user?.tipo !== ROLES.ADMIN) {
+        return next(new NotFoundError('Aluno não encontrado'))
+      }
+      if (!canAccessUser(req.user, target, options)) {
+        return res.status(403).json({ error: 'Sem permissão para acessar dados deste aluno', code: 'NOT_OWNER' })
+      }
+
+      req.targetUser = target
+      return next()
+    } catch (error) {
+      return next(error)
+    }
+  }
+}
+
+// Restringe uma query sobre users ao escopo do requisitante (professor: só os alunos dele)
+export function scopeUsersQuery(query, requester) {
+  if (requester?.tipo === ROLES.PROFESSOR) return query.eq('criado_por', normalizeEmail(requester.email))
+  if (requester?.tipo !== ROLES.ADMIN) return query.eq('email', normalizeEmail(requester?.email))
+  return query
+}
+
+// Emails dos alunos criados por um professor
+export async function listOwnedAlunoEmails(professorEmail) {
+  const { data, error } = await supabase.from('users').select('email').eq('criado_por', normalizeEmail(professorEmail)).is('deleted_at', null)
+  if (error) throw error
+  return (data || []).map(a => normalizeEmail(a.email)).filter(Boolean)
+}
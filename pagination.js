@@ -0,0 +1,145 @@
+// Paginação por cursor, filtros e ordenação para as rotas de listagem.
+// Cada listagem descreve o que aceita e a rota valida a query com listQuery(spec):
+//   const MENSAGENS_LIST = { table: 'mensagens', sort: ['data', 'id'], defaultSort: '-data', filters: { para: { schema: v.email() } } }
+//   app.get('/mensagens', authenticated, validate({ query: listQuery(MENSAGENS_LIST) }), async (req, res) => {
+//     sendPage(req, res, await fetchPage(MENSAGENS_LIST, req.query))
+//   })
+// Query aceita: limit (padrão 50, máx. 200), cursor (next_cursor da página anterior), sort (campo ou -campo para
+// decrescente), q (busca nas colunas de spec.search) e os filtros declarados; qualquer outro nome é ignorado.
+// Fora de /v1 (clientes antigos, que não leem os headers) o padrão de limit é o máximo, ver unversionedPageSize.
+// O corpo continua sendo a lista (compatível com o frontend); total e próximo cursor vão nos headers
+// X-Total-Count e X-Next-Cursor (mais Link rel="next"), ver sendPage.
+// Os campos de sort precisam ser não nulos (id, datas com default), pois o cursor compara pelo valor da última linha.
+// spec.softDelete: a tabela tem deleted_at (lixeira, ver trash.js) e a listagem ignora as linhas excluídas.
+
+import { supabase } from './supabaseClient.js'
+import { v } from './validation.js'
+import { ValidationError } from './errors.js'
+
+export const DEFAULT_PAGE_SIZE = 50
+export const MAX_PAGE_SIZE = 200
+
+// Marca na query de uma requisição sem /v1 que chegou sem limit (Symbol: não aparece para a validação nem nos logs)
+const UNVERSIONED_LIMIT = Symbol('unversionedLimit')
+
+// Middleware para as rotas sem /v1 (montagem sem prefixo e aliases antigos): os clientes antigos recebiam a lista
+// inteira e não leem X-Total-Count/X-Next-Cursor, então sem limit na query a página vem com MAX_PAGE_SIZE itens
+export function unversionedPageSize(req, res, next) {
+  if (req.query && req.query.limit === undefined) req.query[UNVERSIONED_LIMIT] = MAX_PAGE_SIZE
+  next()
+}
+
+// Tamanho da página que fetchPage vai usar para a query validada (use em chaves de cache)
+export const pageLimit = (query) => query[UNVERSIONED_LIMIT] || query.limit
+
+// Valor dentro de uma expressão .or() do PostgREST: sempre entre aspas (datas ISO têm ':' e '.')
+const quoteValue = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
+
+// O cursor guarda a ordenação, o valor do campo ordenado e o id da última linha da página (desempate)
+function encodeCursor(sort, row) {
+  const field = sort.replace(/^-/, '')
+  return Buffer.from(JSON.stringify({ s: sort, v: row[field] ?? null, id: row.id })).toString('base64url')
+}
+
+function decodeCursor(cursor, sort) {
+  let position
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+  } catch (e) {
+    position = null
+  }
+  if (!position || typeof position !== 'object' || position.id === undefined || position.id === null) {
+    throw new ValidationError([{ campo: 'query.cursor', erro: 'cursor inválido' }])
+  }
+  if (position.s !== sort) {
+    throw new ValidationError([{ campo: 'query.cursor', erro: `cursor gerado para sort=${position.s}; repita a busca sem cursor para mudar a ordenação` }])
+  }
+  return position
+}
+
+// Shape de validação da query (use em validate({ query: listQuery(spec) })).
+// spec.filters: { nome: { schema, column?, op? } } com op do cliente Supabase (eq, gte, lte, ilike...; padrão eq).
+export function listQuery(spec) {
+  const sortValues = spec.sort.flatMap(field => [field, `-${field}`])
+  const shape = {
+    limit: v.integer({ min: 1, max: MAX_PAGE_SIZE }).default(spec.pageSize || DEFAULT_PAGE_SIZE),
+    cursor: v.string({ max: 1000 }).optional(),
+    sort: v.oneOf(sortValues).default(spec.defaultSort || 'id')
+  }
+  if (spec.search) shape.q = v.string({ max: 100 }).optional()
+  for (const [name, filter] of Object.entries(spec.filters || {})) shape[name] = filter.schema.optional()
+  return shape
+}
+
+// Condição OR "alguma das colunas é igual a value", no formato de .or(); use em fetchPage(..., { or })
+export const anyColumnEquals = (columns, value) => columns.map(column => `${column}.eq.${quoteValue(value)}`).join(',')
+
+// Busca uma página. scope(query) restringe a consulta (ex.: dono, filtro fixo por rota) e vale também para o total.
+// options.or é uma restrição OR da rota (ex.: remetente ou destinatário); não use .or() dentro do scope, pois a busca
+// e o cursor também usam .or() e tudo precisa ir numa expressão só.
+// Ordena pelo campo pedido com desempate por id, então o cursor continua estável mesmo com valores repetidos.
+export async function fetchPage(spec, query, scope = (q) => q, options = {}) {
+  const { cursor, sort } = query
+  const limit = pageLimit(query)
+  const descending = sort.startsWith('-')
+  const field = descending ? sort.slice(1) : sort
+  const op = descending ? 'lt' : 'gt'
+
+  const groups = options.or ? [options.or] : []
+  if (spec.search && query.q) {
+    const pattern = quoteValue(`%${query.q}%`)
+    groups.push(spec.search.map(column => `${column}.ilike.${pattern}`).join(','))
+  }
+
+  const filtered = (q, withCursor) => {
+    q = scope(q)
+    if (spec.softDelete) q = q.is('deleted_at', null)
+    for (const [name, filter] of Object.entries(spec.filters || {})) {
+      const value = query[name]
+      if (value === undefined || value === null || value === '') continue
+      q = q[filter.op || 'eq'](filter.column || name, value)
+    }
+    const logic = [...groups]
+    if (withCursor && cursor) {
+      const position = decodeCursor(cursor, sort)
+      if (field === 'id') q = q[op]('id', position.id)
+      else logic.push(`${field}.${op}.${quoteValue(position.v)},and(${field}.eq.${quoteValue(position.v)},id.${op}.${position.id})`)
+    }
+    // Um único .or(): várias condições OR ficam em and(or(...),or(...))
+    if (logic.length === 1) q = q.or(logic[0])
+    else if (logic.length > 1) q = q.or(`and(${logic.map(group => `or(${group})`).join(',')})`)
+    return q
+  }
+
+  let dataQuery = filtered(supabase.from(spec.table).select(spec.columns || '*'), true)
+    .order(field, { ascending: !descending })
+  if (field !== 'id') dataQuery = dataQuery.order('id', { ascending: !descending })
+  dataQuery = dataQuery.limit(limit + 1)
+  const countQuery = filtered(supabase.from(spec.table).select('*', { count: 'exact', head: true }), false)
+
+  const [{ data, error }, { count, error: countError }] = await Promise.all([dataQuery, countQuery])
+  if (error) throw error
+  if (countError) throw countError
+
+  const rows = data || []
+  const hasMore = rows.length > limit
+  const page = hasMore ? rows.slice(0, limit) : rows
+  return {
+    data: page,
+    total: typeof count === 'number' ? count : null,
+    limit,
+    next_cursor: hasMore ? encodeCursor(sort, page[page.length - 1]) : null
+  }
+}
+
+// Responde a lista da página (opcionalmente serializada) com os metadados nos headers
+export function sendPage(req, res, page, serialize = (rows) => rows) {
+  if (page.total !== null) res.set('X-Total-Count', String(page.total))
+  if (page.next_cursor) {
+    res.set('X-Next-Cursor', page.next_cursor)
+    const params = new URLSearchParams(req.originalUrl.split('?')[1] || '')
+    params.set('cursor', page.next_cursor)
+    res.append('Link', `<${req.baseUrl}${req.path}?${params}>; rel="next"`)
+  }
+  return res.json(serialize(page.data))
+}
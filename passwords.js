@@ -0,0 +1,106 @@
+import crypto from 'crypto'
+import { logger } from './logger.js'
+
+// Hash de senhas com scrypt (KDF nativo do Node, sem dependências extras).
+// Formato armazenado em users.senha: scrypt$N$r$p$<salt base64>$<hash base64>
+// Qualquer valor que não siga esse formato é tratado como senha legada em texto puro.
+
+const SCRYPT_PREFIX = 'scrypt'
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 }
+const KEY_LENGTH = 64
+const SALT_BYTES = 16
+
+const scryptAsync = (senha, salt, keylen, options) => new Promise((resolve, reject) => {
+  crypto.scrypt(senha, salt, keylen, options, (err, derived) => err ? reject(err) : resolve(derived))
+})
+
+export function isPasswordHash(stored) {
+  return typeof stored === 'string' && stored.startsWith(`${SCRYPT_PREFIX}$`) && stored.split('$').length === 6
+}
+
+export async function hashPassword(senha) {
+  if (senha === undefined || senha === null || senha === '') throw new Error('senha é obrigatória para gerar hash')
+  const salt = crypto.randomBytes(SALT_BYTES)
+  const { N, r, p } = SCRYPT_PARAMS
+  const derived = await scryptAsync(String(senha), salt, KEY_LENGTH, { N, r, p })
+  return [SCRYPT_PREFIX, N, r, p, salt.toString('base64'), derived.toString('base64')].join('$')
+}
+
+// Compara em tempo constante; buffers de tamanhos diferentes nunca batem
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a)
+  const bufB = Buffer.from(b)
+  if (bufA.length !== bufB.length) {
+    crypto.timingSafeEqual(bufA, bufA)
+    return false
+  }
+  return crypto.timingSafeEqual(bufA, bufB)
+}
+
+// Verifica a senha informada contra o valor salvo.
+// Retorna { ok, needsRehash }: needsRehash=true quando o valor salvo ainda é texto puro
+// (ou usa parâmetros antigos) e deve ser regravado com hashPassword após o login.
+export async function verifyPassword(senha, stored) {
+  if (senha === undefined || senha === null || stored === undefined || stored === null) return { ok: false, needsRehash: false }
+  const input = String(senha)
+
+  if (!isPasswordHash(stored)) {
+    const ok = safeEqual(input, String(stored))
+    return { ok, needsRehash: ok }
+  }
+
+  const [, N, r, p, saltB64, hashB64] = stored.split('$')
+  const expected = Buffer.from(hashB64, 'base64')
+  const derived = await scryptAsync(input, Buffer.from(saltB64, 'base64'), expected.length, {
+    N: parseInt(N, 10),
+    r: parseInt(r, 10),
+    p: parseInt(p, 10)
+  })
+  const ok = derived.length === expected.length && crypto.timingSafeEqual(derived, expected)
+  const outdated = parseInt(N, 10) !== SCRYPT_PARAMS.N || parseInt(r, 10) !== SCRYPT_PARAMS.r || parseInt(p, 10) !== SCRYPT_PARAMS.p
+  return { ok, needsRehash: ok && outdated }
+}
+
+// Procura, entre as linhas de users com o mesmo email, a primeira cuja senha confere.
+// Se a senha ainda estiver em texto puro (ou com parâmetros antigos), regrava o hash na hora.
+export async function authenticateUser(supabase, rows, senha, logPrefix = '[Auth]') {
+  for (const row of rows || []) {
+    const { ok, needsRehash } = await verifyPassword(senha, row.senha)
+    if (!ok) continue
+
+    if (needsRehash) {
+      try {
+        const senhaHash = await hashPassword(senha)
+        const { error } = await supabase.from('users').update({ senha: senhaHash }).eq('id', row.id)
+        if (error) throw error
+        row.senha = senhaHash
+        logger.info(`${logPrefix} senha legada migrada para hash scrypt`, { user_id: row.id })
+      } catch (e) {
+        // não bloquear o login por falha na migração; tenta de novo no próximo login
+        logger.warn(`${logPrefix} falha ao migrar senha legada`, { user_id: row.id, error: e && e.message })
+      }
+    }
+    return row
+  }
+  return null
+}
+
+export const MIN_PASSWORD_LENGTH = 8
+
+// Regras mínimas para novas senhas (troca e redefinição). Retorna mensagem de erro ou null.
+export function validateNewPassword(senha) {
+  if (typeof senha !== 'string' || senha.length === 0) return 'nova_senha é obrigatória'
+  if (senha.length < MIN_PASSWORD_LENGTH) return `nova_senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres`
+  return null
+}
+
+// Tokens opacos de uso único (redefinição de senha, convites).
+// Só o hash SHA-256 vai para o banco; o token em claro segue apenas no link enviado ao usuário.
+export function hashOpaqueToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex')
+}
+
+export function generateOpaqueToken() {
+  const token = crypto.randomBytes(32).toString('base64url')
+  return { token, tokenHash: hashOpaqueToken(token) }
+}
@@ -0,0 +1,91 @@
+import { requireAuth, requireAuthAllowing } from './auth.js'
+
+// Política de acesso declarativa por rota, baseada em users.tipo.
+// Toda rota registrada no app deve ter uma política como PRIMEIRO handler:
+//   app.get('/users', allow(ROLES.ADMIN), handler)
+//   app.get('/posts/feed/...', authenticated, handler)
+//   app.get('/health', publicRoute, handler)
+// assertRoutePolicies(app) percorre a tabela de rotas e recusa subir o servidor se faltar alguma;
+// test/routePolicies.test.js faz a mesma checagem no npm test.
+
+export const ROLES = Object.freeze({
+  ADMIN: 'admin',
+  PROFESSOR: 'professor',
+  ALUNO: 'aluno'
+})
+
+const POLICY = Symbol('routePolicy')
+
+const forbidden = (res) => res.status(403).json({ error: 'Acesso negado para este perfil', code: 'FORBIDDEN' })
+
+function rolePolicy(roles, purposes) {
+  const unknown = roles.filter(r => !Object.values(ROLES).includes(r))
+  if (roles.length === 0 || unknown.length > 0) {
+    throw new Error(`allow(): perfis inválidos ${JSON.stringify(unknown.length ? unknown : roles)}`)
+  }
+
+  const authenticate = purposes.length > 0 ? requireAuthAllowing(...purposes) : requireAuth
+  const middleware = (req, res, next) => authenticate(req, res, () => {
+    if (!req.user || !roles.includes(req.user.tipo)) return forbidden(res)
+    return next()
+  })
+  middleware[POLICY] = { kind: 'roles', roles, purposes }
+  return middleware
+}
+
+// Exige token de sessão válido e que req.user.tipo esteja entre os perfis informados
+export function allow(...roles) {
+  return rolePolicy(roles, [])
+}
+
+// Como allow(), mas também aceita tokens de propósito único (ex.: '2fa-enroll' no cadastro obrigatório de 2FA)
+export function allowWithPurpose(purposes, ...roles) {
+  return rolePolicy(roles, [].concat(purposes))
+}
+
+// Qualquer usuário com token válido, independente do tipo
+export const authenticated = (req, res, next) => requireAuth(req, res, next)
+authenticated[POLICY] = { kind: 'authenticated', roles: Object.values(ROLES) }
+
+// Rota aberta (login, health check, páginas públicas). Declarada explicitamente para não ser esquecida.
+export const publicRoute = (req, res, next) => next()
+publicRoute[POLICY] = { kind: 'public', roles: [] }
+
+export function getPolicy(handler) {
+  return (handler && handler[POLICY]) || null
+}
+
+// Prefixo de um router montado com app.use('/v1', router): o Express 4 guarda só a regexp (^\/v1\/?(?=\/|$))
+const mountPrefix = (layer) => (layer.regexp.fast_slash ? '' : layer.regexp.source.replace(/^\^/, '').replace('\\/?(?=\\/|$)', '').replace(/\\\//g, '/'))
+
+function collectRoutes(stack, prefix, routes, seen) {
+  for (const layer of stack) {
+    if (layer.route) {
+      const first = layer.route.stack[0]
+      const policy = first ? getPolicy(first.handle) : null
+      for (const method of Object.keys(layer.route.methods)) {
+        routes.push({ method: method.toUpperCase(), path: prefix + layer.route.path, policy, handlers: layer.route.stack.map(l => l.handle) })
+      }
+    } else if (layer.name === 'router' && !seen.has(layer.handle)) {
+      // Um router montado em mais de um prefixo (/v1 e a raiz) entra uma vez só, com o primeiro prefixo
+      seen.add(layer.handle)
+      collectRoutes(layer.handle.stack, prefix + mountPrefix(layer), routes, seen)
+    }
+  }
+  return routes
+}
+
+// Lista [{ method, path, policy, handlers }] de todas as rotas registradas no app, inclusive as de routers montados
+// (path com o prefixo; handlers: a cadeia da rota, em ordem)
+export function describeRoutePolicies(app) {
+  return collectRoutes((app._router && app._router.stack) || [], '', [], new Set())
+}
+
+// Falha se alguma rota não declarar política como primeiro handler
+export function assertRoutePolicies(app) {
+  const missing = describeRoutePolicies(app).filter(r => !r.policy)
+  if (missing.length > 0) {
+    const list = missing.map(r => `${r.method} ${r.path}`).join(', ')
+    throw new Error(`Rotas sem política de acesso (use allow(), authenticated ou publicRoute como primeiro handler): ${list}`)
+  }
+}
@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+// Apaga de vez o que está na lixeira há mais de TRASH_RETENTION_DAYS (ver trash.js).
+// O servidor já faz isso sozinho a cada TRASH_PURGE_INTERVAL_HOURS; use este script onde não há processo contínuo
+// (Vercel, cron do sistema):
+//   npm run purge:trash
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+async function main() {
+  // Importados depois do dotenv.config() para DATA_BACKEND e as credenciais do .env valerem
+  const { supabase } = await import('./supabaseClient.js')
+  const { purgeTrash, trashRetentionDays } = await import('./trash.js')
+
+  if (supabase.ready) await supabase.ready()
+  const removidos = await purgeTrash()
+  console.log(JSON.stringify({ retencao_dias: trashRetentionDays(), removidos }, null, 2))
+  if (supabase.close) await supabase.close()
+}
+
+main().catch((error) => {
+  console.error('Erro ao limpar a lixeira:', error.message || error)
+  process.exit(1)
+})
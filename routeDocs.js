@@ -0,0 +1,229 @@
+// Descrição de cada rota para a documentação OpenAPI (openapi.js), indexada por 'MÉTODO /caminho' com o prefixo do router
+// (/v1 para a API; health, documentação, diagnóstico e caminhos descontinuados ficam sem prefixo).
+// Parâmetros, query e body NÃO são descritos aqui: vêm dos shapes de validate() da própria rota. Aqui fica o que o código
+// não diz sozinho: resumo, grupo (tag) e o formato da resposta de sucesso.
+//   'GET /v1/treinos': { tag: 'Treinos', summary: 'Lista treinos', response: list(ref('Treino')), paginated: true }
+// Campos aceitos: tag, summary, description, response (JSON Schema do corpo), status (padrão 200), contentType
+// (padrão application/json), paginated (headers de pagination.js), multipart (campo de arquivo do multer),
+// cached (Cache-Control/ETag de cache.js) e responses (outras respostas de sucesso: { 201: { description, schema } }).
+// Caminhos registrados com legacyRoute() saem como deprecated, com o sucessor, sem precisar marcar aqui.
+// Rota registrada sem entrada aqui impede o servidor de subir (assertRouteDocs).
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` })
+const list = (item) => ({ type: 'array', items: item })
+const obj = (properties, required) => ({ type: 'object', properties, ...(required && { required }) })
+const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] })
+const str = { type: 'string' }
+const int = { type: 'integer' }
+const num = { type: 'number' }
+const bool = { type: 'boolean' }
+const dateTime = { type: 'string', format: 'date-time' }
+const email = { type: 'string', format: 'email' }
+const anyObject = { type: 'object', additionalProperties: true }
+
+const success = (properties = {}) => obj({ success: { const: true }, ...properties }, ['success'])
+const deleted = obj({ deleted: { const: true } }, ['deleted'])
+
+export const COMPONENT_SCHEMAS = {
+  Erro: obj({
+    error: str,
+    code: str,
+    campos: list(obj({ campo: str, erro: str })),
+    details: str,
+    db_code: str
+  }, ['error', 'code']),
+  Usuario: obj({
+    id: int,
+    nome: str,
+    email,
+    tipo: { enum: ['admin', 'professor', 'aluno'] },
+    foto: nullable(str),
+    criado_por: nullable(str),
+    contract_end: nullable(str),
+    blocked: { anyOf: [bool, int] },
+    created_at: dateTime,
+    status: str
+  }),
+  Sessao: {
+    allOf: [ref('Usuario'), obj({ token: str, token_expires_at: dateTime }, ['token', 'token_expires_at'])]
+  },
+  Treino: obj({ id: int, aluno_email: email, treino: { description: 'Lista de exercícios ou objeto (JSON, às vezes serializado como texto)' }, data: dateTime }),
+  Progresso: obj({ id: int, aluno_email: email, treino_id: str, peso_corporal: nullable(num), loads: {}, dados: nullable(anyObject), criado_em: dateTime }),
+  Contrato: obj({ id: int, aluno_email: email, professor_email: nullable(email), arquivo_path: nullable(str), dados: nullable(anyObject), data_assinatura: nullable(str), created_at: dateTime }),
+  ConfiguracaoContrato: obj({ id: int, professor_email: email, aluno_email: email, professor_name: nullable(str), professor_cref: nullable(str), option1_value: nullable(str), option2_value: nullable(str), updated_at: dateTime }),
+  ContratoAdmin: obj({ id: int, professor_email: email, admin_email: email, contract_start: str, contract_end: str, status: str }),
+  Mensagem: obj({ id: int, de: str, para: email, mensagem: str, data: dateTime }),
+  Consultoria: obj({ id: int, client_id: int, tipo: str, dados: anyObject, criado_por: nullable(email), data: dateTime }),
+  Post: obj({ id: int, autor_email: email, autor_nome: nullable(str), conteudo: nullable(str), imagem_url: nullable(str), curtidas_count: int, comentarios_count: int, criado_em: dateTime }),
+  Comentario: obj({ id: int, post_id: int, usuario_email: email, usuario_nome: nullable(str), texto: str, criado_em: dateTime }),
+  ItemFeed: {
+    allOf: [ref('Post'), obj({ comentarios_preview: list(ref('Comentario')), curtido_por_mim: bool }, ['comentarios_preview', 'curtido_por_mim'])]
+  },
+  PerfilAluno: obj({ email, nome: str, data_aniversario: nullable(str), bio: nullable(str), foto_url: nullable(str), professor_email: nullable(email) }),
+  Produto: obj({ id: int, titulo: str, imagem_url: str, link_mercadolivre: str, imagens: nullable(list(str)), ordem: int, ativo: bool, criado_em: dateTime, atualizado_em: nullable(dateTime) }),
+  Convite: obj({ id: int, user_id: int, email, nome: str, professor_email: nullable(email), expires_at: dateTime, enviado_em: nullable(dateTime), accepted_at: nullable(dateTime), revoked_at: nullable(dateTime), criado_em: dateTime, status: { enum: ['pendente', 'aceito', 'revogado', 'expirado'] } }),
+  ItemLixeira: obj({ tipo: { enum: ['alunos', 'contratos', 'consultorias', 'mensagens', 'produtos'] }, id: int, deleted_at: dateTime, purga_em: nullable(dateTime), dados: { type: 'object', description: 'Linha excluída (usuários na visão de admin)' } }),
+  RegistroAuditoria: obj({ id: int, acao: str, ator_id: nullable(str), ator_email: nullable(str), ator_tipo: nullable(str), alvo_tipo: nullable(str), alvo_id: nullable(str), antes: {}, depois: {}, ip: nullable(str), user_agent: nullable(str), criado_em: dateTime })
+}
+
+const twoFactorLogin = obj({
+  requires_2fa: { const: true }, challenge_token: str, challenge_expires_at: dateTime,
+  requires_2fa_enrollment: { const: true }, enrollment_token: str, enrollment_expires_at: dateTime
+})
+
+export const ROUTE_DOCS = {
+  // Sistema
+  'GET /': { tag: 'Sistema', summary: 'Mensagem de boas-vindas da API', response: obj({ message: str, endpoints: anyObject }) },
+  'GET /health': { tag: 'Sistema', summary: 'Health check simples', response: obj({ status: { const: 'ok' }, timestamp: dateTime }) },
+  'GET /health/deep': {
+    tag: 'Sistema',
+    summary: 'Verificação completa (banco, tabelas e pastas de upload)',
+    description: 'Responde 503 com o mesmo corpo quando o status não é ok.',
+    response: obj({ status: { enum: ['ok', 'degraded', 'down'] }, timestamp: dateTime, duration_ms: int, checks: anyObject })
+  },
+  'GET /openapi.json': { tag: 'Sistema', summary: 'Este documento OpenAPI', response: anyObject },
+  'GET /docs': { tag: 'Sistema', summary: 'Página de documentação interativa', contentType: 'text/html', response: str },
+  'GET /debug/config': { tag: 'Diagnóstico', summary: 'Configuração do ambiente sem segredos (DIAGNOSTICS_ENABLED=true)', response: anyObject },
+  'GET /contracts-debug/all': { tag: 'Diagnóstico', summary: 'Contratos com campos grandes resumidos (DIAGNOSTICS_ENABLED=true)', response: obj({ total: nullable(int), limit: int, offset: int, data: list(anyObject) }) },
+  'POST /test-login': { tag: 'Diagnóstico', summary: 'Testa credenciais sem criar sessão (DIAGNOSTICS_ENABLED=true)', response: success({ user: ref('Usuario'), message: str }) },
+  'GET /treinos-debug': { tag: 'Diagnóstico', summary: 'Ping de diagnóstico (DIAGNOSTICS_ENABLED=true)', response: obj({ ok: bool, time: dateTime }) },
+
+  // Autenticação
+  'POST /v1/setup-admin': {
+    tag: 'Autenticação',
+    summary: 'Cria o primeiro administrador (header X-Bootstrap-Secret)',
+    description: 'O segredo é conferido primeiro (403 BOOTSTRAP_FORBIDDEN); com ele, responde 410 BOOTSTRAP_COMPLETED quando já existe um admin.',
+    status: 201,
+    response: obj({ message: str, data: ref('Usuario') })
+  },
+  'POST /v1/login': {
+    tag: 'Autenticação',
+    summary: 'Login com email e senha',
+    description: 'Devolve a sessão ou, para contas com 2FA, requires_2fa + challenge_token (continuar em /login/2fa) ou requires_2fa_enrollment + enrollment_token.',
+    response: { anyOf: [ref('Sessao'), twoFactorLogin] }
+  },
+  'POST /v1/login/2fa': { tag: 'Autenticação', summary: 'Segunda etapa do login (código TOTP ou de recuperação)', response: ref('Sessao') },
+  'POST /v1/auth/forgot': { tag: 'Autenticação', summary: 'Envia o email de redefinição de senha', description: 'A resposta é a mesma exista ou não a conta, inclusive quando o envio do email falha.', response: obj({ message: str }) },
+  'POST /v1/auth/reset': { tag: 'Autenticação', summary: 'Redefine a senha com o token recebido por email', response: success({ message: str }) },
+  'POST /v1/auth/change-password': { tag: 'Autenticação', summary: 'Troca a senha do usuário logado', response: success({ message: str }) },
+  'GET /v1/auth/2fa/status': { tag: 'Autenticação', summary: 'Situação do 2FA do usuário logado', response: obj({ enabled: bool, required: bool, recovery_codes_restantes: int }) },
+  'POST /v1/auth/2fa/setup': { tag: 'Autenticação', summary: 'Inicia o cadastro do 2FA (segredo e URI otpauth://)', response: obj({ secret: str, otpauth_url: str }) },
+  'POST /v1/auth/2fa/confirm': { tag: 'Autenticação', summary: 'Confirma o cadastro do 2FA e devolve os códigos de recuperação', response: obj({ enabled: { const: true }, recovery_codes: list(str), session: ref('Sessao') }) },
+  'POST /v1/auth/2fa/recovery-codes': { tag: 'Autenticação', summary: 'Gera novos códigos de recuperação', response: obj({ recovery_codes: list(str) }) },
+  'POST /v1/auth/2fa/disable': { tag: 'Autenticação', summary: 'Desativa o 2FA (senha + código)', response: obj({ enabled: { const: false } }) },
+
+  // Convites
+  'GET /v1/convites': { tag: 'Convites', summary: 'Lista convites (professor vê só os próprios)', response: list(ref('Convite')) },
+  'POST /v1/convites/:id/reenviar': { tag: 'Convites', summary: 'Reenvia o convite com um novo link', response: ref('Convite') },
+  'DELETE /v1/convites/:id': { tag: 'Convites', summary: 'Revoga um convite', response: success({ convite: ref('Convite') }) },
+  'GET /v1/convites/:id': { tag: 'Convites', summary: 'Dados públicos de um convite pendente', description: 'O id é o token do link do convite.', response: obj({ nome: str, email, professor_email: nullable(email), expires_at: dateTime }) },
+  'POST /v1/convites/:token/aceitar': { tag: 'Convites', summary: 'Aceita o convite definindo a senha', response: ref('Sessao') },
+
+  // Usuários e alunos
+  'GET /v1/users': { tag: 'Usuários', summary: 'Lista usuários', paginated: true, response: list(ref('Usuario')) },
+  'GET /v1/professores': { tag: 'Usuários', summary: 'Lista professores', paginated: true, response: list(ref('Usuario')) },
+  'GET /v1/alunos': { tag: 'Usuários', summary: 'Lista alunos (professor vê só os próprios)', paginated: true, response: list(ref('Usuario')) },
+  'POST /v1/alunos': {
+    tag: 'Usuários',
+    summary: 'Cria um aluno (ou outro usuário, para admin)',
+    description: 'Com convite: true cria o usuário pendente e envia o convite (201 com { convite, user }). O tipo enviado por um professor é ignorado: ele só cadastra alunos.',
+    response: ref('Usuario'),
+    responses: { 201: { description: 'Convite criado', schema: obj({ convite: ref('Convite'), user: ref('Usuario') }) } }
+  },
+  'POST /api/professor/create-student': { tag: 'Usuários', summary: 'Alias de POST /v1/alunos usado por versões antigas do frontend', response: ref('Usuario') },
+  'GET /v1/alunos/session': { tag: 'Usuários', summary: 'Usuário da sessão atual ({} sem token)', response: { anyOf: [ref('Usuario'), obj({})] } },
+  'GET /v1/alunos/:id': { tag: 'Usuários', summary: 'Dados de um aluno', response: ref('Usuario') },
+  'PATCH /v1/alunos/:id/contract': { tag: 'Usuários', summary: 'Atualiza o fim do contrato do aluno (bloqueia se já venceu)', response: obj({ id: int, contract_end: dateTime, blocked: int }) },
+  'DELETE /v1/alunos/:id': { tag: 'Usuários', summary: 'Move um aluno para a lixeira', description: 'O usuário deixa de fazer login até ser restaurado (ver /v1/admin/lixeira).', response: deleted },
+  'PUT /v1/alunos/foto/:id': { tag: 'Usuários', summary: 'Atualiza a foto do usuário', response: success({ data: ref('Usuario') }) },
+  'GET /v1/aluno/perfil/:email': { tag: 'Usuários', summary: 'Perfil social do aluno (campos vazios se não existir)', description: 'Alunos só leem o próprio perfil; professores, o dos próprios alunos (403 NOT_OWNER).', response: ref('PerfilAluno') },
+  'POST /v1/aluno/perfil': { tag: 'Usuários', summary: 'Cria ou atualiza o perfil social do aluno', description: 'Alunos sempre gravam o próprio perfil (email do token); professores e admins informam email, sujeito à checagem de dono.', response: success({ message: str }) },
+  'POST /v1/aluno/verify-or-create': { tag: 'Usuários', summary: 'Garante o registro do aluno na tabela alunos', description: 'Alunos sempre usam o email do token; professores e admins informam email, sujeito à checagem de dono.', response: obj({ created: bool, aluno: ref('PerfilAluno') }) },
+
+  // Treinos e progresso
+  'GET /v1/treinos': { tag: 'Treinos', summary: 'Lista treinos', description: 'Professores veem só os treinos dos alunos que criaram.', paginated: true, response: list(ref('Treino')) },
+  'GET /v1/treinos/:aluno_email': { tag: 'Treinos', summary: 'Treinos de um aluno', response: list(ref('Treino')) },
+  'POST /v1/treinos': { tag: 'Treinos', summary: 'Cria um treino para o aluno', response: list(ref('Treino')) },
+  'POST /v1/treinos/:id/concluir': { tag: 'Treinos', summary: 'Registra a conclusão de um treino (avisa o professor)', description: 'O aluno é o usuário do token; professor e admin informam aluno_email.', response: list(ref('Progresso')) },
+  'GET /v1/progresso/:email': { tag: 'Treinos', summary: 'Histórico de treinos concluídos e consultorias do aluno', response: list(obj({ criado_em: nullable(dateTime), treino_id: nullable(str), dados: anyObject })) },
+
+  // Contratos
+  'POST /v1/contracts': {
+    tag: 'Contratos',
+    summary: 'Registra um contrato assinado',
+    description: 'O PDF pode vir como arquivo (multipart, campo file) ou em pdf_base64; assinatura em dados.signature é salva como imagem. Um aluno assina o próprio contrato; professor e admin informam aluno_email (professor: só alunos que criou).',
+    multipart: 'file',
+    response: ref('Contrato')
+  },
+  'GET /v1/contracts/professor/:professor_email': { tag: 'Contratos', summary: 'Contratos dos alunos de um professor', response: list(ref('Contrato')) },
+  'GET /v1/contracts/:id': { tag: 'Contratos', summary: 'Dados de um contrato', response: ref('Contrato') },
+  'GET /v1/contracts/:id/pdf': { tag: 'Contratos', summary: 'Arquivo PDF do contrato', contentType: 'application/pdf', response: { type: 'string', format: 'binary' } },
+  'DELETE /v1/contracts/:id': { tag: 'Contratos', summary: 'Move um contrato para a lixeira', response: deleted },
+  'POST /v1/contract-settings': { tag: 'Contratos', summary: 'Salva as configurações de contrato de um aluno', response: list(ref('ConfiguracaoContrato')) },
+  'GET /v1/contract-settings/:professor_email/:aluno_email': { tag: 'Contratos', summary: 'Configurações de contrato ({} se não houver)', response: { anyOf: [ref('ConfiguracaoContrato'), obj({})] } },
+  'POST /v1/admin-contracts/renovar': { tag: 'Contratos', summary: 'Cria ou renova o contrato de um professor com o admin', response: obj({ message: str, data: list(ref('ContratoAdmin')) }) },
+  'GET /v1/admin-contracts': { tag: 'Contratos', summary: 'Contratos dos professores com o admin', response: list(ref('ContratoAdmin')) },
+
+  // Mensagens e consultorias
+  'GET /v1/mensagens': { tag: 'Mensagens', summary: 'Lista mensagens', description: 'Admins veem todas; os demais, só as que enviaram ou receberam.', paginated: true, response: list(ref('Mensagem')) },
+  'GET /mensagens/para/:email': { tag: 'Mensagens', summary: 'Forma antiga de GET /v1/mensagens?para=', paginated: true, response: list(ref('Mensagem')) },
+  'POST /v1/mensagens': { tag: 'Mensagens', summary: 'Envia uma mensagem', description: 'O remetente (de) é o usuário do token.', response: ref('Mensagem') },
+  'DELETE /v1/mensagens/:id': { tag: 'Mensagens', summary: 'Move uma mensagem para a lixeira', response: deleted },
+  'POST /v1/consultorias': { tag: 'Consultorias', summary: 'Registra uma consultoria para o aluno', description: 'Professores só registram para os próprios alunos (403 NOT_OWNER); criado_por é o usuário do token.', response: list(ref('Consultoria')) },
+  'GET /v1/consultorias/:id': { tag: 'Consultorias', summary: 'Consultorias de um aluno pelo id', description: 'O id é o do aluno (users.id), não o da consultoria.', paginated: true, response: list(ref('Consultoria')) },
+  'GET /consultorias/email/:email': { tag: 'Consultorias', summary: 'Consultorias de um aluno pelo email (forma antiga de GET /v1/consultorias/{id})', paginated: true, response: list(ref('Consultoria')) },
+  'DELETE /v1/consultorias/:id': { tag: 'Consultorias', summary: 'Move uma consultoria para a lixeira', description: 'Professores só excluem consultorias dos próprios alunos (403 NOT_OWNER).', response: deleted },
+
+  // Feed
+  'POST /v1/posts': { tag: 'Feed', summary: 'Publica um post (imagem como arquivo no campo imagem ou em imagem_url)', multipart: 'imagem', response: success({ data: ref('Post') }) },
+  'GET /v1/posts/feed': { tag: 'Feed', summary: 'Feed de posts com prévia de comentários', paginated: true, response: list(ref('ItemFeed')) },
+  'GET /posts/feed/:limit/:offset': { tag: 'Feed', summary: 'Feed por offset (clientes antigos; use GET /v1/posts/feed)', response: list(ref('ItemFeed')) },
+  'POST /v1/posts/:id/curtir': { tag: 'Feed', summary: 'Curte ou descurte um post', response: success({ curtido: bool, curtidas_count: nullable(int) }) },
+  'POST /v1/posts/:id/comentar': { tag: 'Feed', summary: 'Comenta um post', response: success({ data: ref('Comentario'), comentarios_count: nullable(int) }) },
+  'GET /v1/posts/:id/curtido-por/:usuario_email': { tag: 'Feed', summary: 'Se o usuário curtiu o post', response: obj({ curtido: bool }) },
+
+  // Loja
+  'GET /v1/produtos': { tag: 'Loja', summary: 'Catálogo de produtos ativos', paginated: true, cached: true, response: list(ref('Produto')) },
+  'POST /v1/produtos': { tag: 'Loja', summary: 'Cadastra um produto', response: success({ data: ref('Produto') }) },
+  'PUT /v1/produtos/:id': { tag: 'Loja', summary: 'Atualiza um produto', response: success({ data: ref('Produto') }) },
+  'DELETE /v1/produtos/:id': { tag: 'Loja', summary: 'Desativa um produto e o move para a lixeira', response: success({ message: str }) },
+  'POST /v1/produtos/extract-ml': { tag: 'Loja', summary: 'Extrai título e imagens de um link do Mercado Livre', response: obj({ titulo: str, imagem_url: str, imagens: list(str), link_mercadolivre: str }) },
+  'GET /v1/produto/:id': { tag: 'Loja', summary: 'Página pública de compartilhamento do produto (Open Graph)', contentType: 'text/html', cached: true, response: str },
+
+  // Administração
+  'GET /v1/admin/settings/:chave': { tag: 'Administração', summary: 'Lê uma configuração', response: nullable(obj({ chave: str, valor: {}, atualizado_em: dateTime })) },
+  'POST /v1/admin/settings/:chave': { tag: 'Administração', summary: 'Grava uma configuração', response: success({ data: obj({ chave: str, valor: {}, atualizado_em: dateTime }) }) },
+  'GET /v1/admin/audit': { tag: 'Administração', summary: 'Consulta o log de auditoria', response: obj({ data: list(ref('RegistroAuditoria')), page: int, limit: int, total: nullable(int) }) },
+  'GET /v1/admin/login-lockouts': {
+    tag: 'Administração',
+    summary: 'Bloqueios de login ativos',
+    response: list(obj({ tipo: { enum: ['email', 'ip'] }, valor: str, falhas: int, ultima_falha: dateTime, bloqueado: bool, bloqueado_ate: nullable(dateTime), aguardar_ate: nullable(dateTime) }))
+  },
+  'GET /v1/admin/legacy-usage': {
+    tag: 'Administração',
+    summary: 'Chamadas aos caminhos descontinuados desde que o servidor subiu',
+    response: list(obj({ rota: str, sucessor: str, chamadas: int, ultima_chamada: nullable(dateTime), sunset: { type: 'string', format: 'date' } }))
+  },
+  'GET /v1/admin/lixeira': {
+    tag: 'Administração',
+    summary: 'Itens excluídos ainda dentro do prazo de retenção',
+    description: 'Do excluído mais recente para o mais antigo. purga_em é quando o item será apagado de vez (TRASH_RETENTION_DAYS).',
+    response: list(ref('ItemLixeira'))
+  },
+  'POST /v1/admin/lixeira/:tipo/:id/restaurar': {
+    tag: 'Administração',
+    summary: 'Restaura um item da lixeira',
+    description: 'Responde 404 se o item não está na lixeira e 409 EMAIL_TAKEN se o email do usuário já foi cadastrado de novo.',
+    response: obj({ tipo: { enum: ['alunos', 'contratos', 'consultorias', 'mensagens', 'produtos'] }, id: int, dados: { type: 'object' } })
+  },
+  'DELETE /v1/admin/login-lockouts': { tag: 'Administração', summary: 'Libera bloqueios de login por email e/ou IP', response: obj({ cleared: int }) },
+  'GET /v1/admin/passwords/status': { tag: 'Administração', summary: 'Quantas senhas ainda não foram migradas para hash', response: obj({ total: int, migrados: int, pendentes: int, sem_senha: int, pendentes_por_tipo: { type: 'object', additionalProperties: int } }) },
+  'GET /v1/admin/schema': { tag: 'Administração', summary: 'Versão do schema, migrações pendentes e drift', response: obj({ backend: str, versao_atual: nullable(str), atualizado: bool, aplicadas: list(anyObject), pendentes: list(str) }) },
+  'GET /v1/admin/users/duplicates': { tag: 'Administração', summary: 'Grupos de contas com o mesmo email', response: obj({ total_grupos: int, grupos: list(anyObject) }) },
+  'POST /v1/admin/users/merge': {
+    tag: 'Administração',
+    summary: 'Funde contas duplicadas em uma',
+    description: 'Tudo numa transação: as duplicatas vão para a lixeira e, se algum passo falhar, nada muda.',
+    response: obj({ email, dry_run: bool, sobrevivente: ref('Usuario'), removidos: list(anyObject), referencias: anyObject, descartadas: anyObject, executado_em: dateTime })
+  }
+}
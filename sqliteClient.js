@@ -0,0 +1,484 @@
+import fs from 'fs'
+import path from 'path'
+import sqlite3 from 'sqlite3'
+import { runMigrations } from './migrations.js'
+import { logger } from './logger.js'
+
+// Driver SQLite com a mesma interface de consulta do cliente Supabase que as rotas usam:
+// from(tabela).select/insert/update/upsert/delete, filtros (eq, neq, gt, gte, lt, lte, like, ilike, in, is, not, match, or),
+// order, limit, range, single, maybeSingle e select('*', { count: 'exact', head: true }).
+// Os erros usam os mesmos códigos do Postgres/PostgREST que as rotas já tratam (23505, 42P01, 42703, 42P10, PGRST116).
+// rpc(nome) só atende as funções registradas com defineRpc; transaction(fn) agrupa várias escritas.
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/
+
+// Colchetes em vez de aspas: com aspas duplas o SQLite trata coluna inexistente como texto literal
+const quote = (name) => {
+  if (!IDENTIFIER.test(name)) throw dbError(`identificador inválido: ${name}`, '42602')
+  return `[${name}]`
+}
+
+function dbError(message, code, details = null) {
+  const error = new Error(message)
+  error.code = code
+  error.details = details
+  error.hint = null
+  return error
+}
+
+// Traduz mensagens do SQLite para os códigos que o código das rotas já conhece
+function translateError(e) {
+  if (e && e.code && !String(e.code).startsWith('SQLITE')) return e
+  const message = (e && e.message) || String(e)
+  if (/UNIQUE constraint failed/i.test(message)) return dbError(`duplicate key value violates unique constraint (${message})`, '23505', message)
+  if (/NOT NULL constraint failed/i.test(message)) return dbError(`null value violates not-null constraint (${message})`, '23502', message)
+  if (/no such table/i.test(message)) return dbError(`relation does not exist (${message})`, '42P01', message)
+  if (/no such column|has no column named/i.test(message)) return dbError(`column does not exist (${message})`, '42703', message)
+  if (/ON CONFLICT clause does not match/i.test(message)) return dbError('there is no unique or exclusion constraint matching the ON CONFLICT specification', '42P10', message)
+  return dbError(message, (e && e.code) || 'SQLITE_ERROR', message)
+}
+
+// Valores JS -> SQLite
+function encodeValue(value) {
+  if (value === undefined) return null
+  if (value instanceof Date) return value.toISOString()
+  if (typeof value === 'boolean') return value ? 1 : 0
+  if (value !== null && typeof value === 'object') return JSON.stringify(value)
+  return value
+}
+
+// Colunas JSON guardam qualquer valor serializado (como jsonb), inclusive strings e números
+const encodeColumn = (meta, column, value) => {
+  if (meta.types[column] === 'JSON') return value === undefined || value === null ? null : JSON.stringify(value)
+  return encodeValue(value)
+}
+
+const LOGIC_OPERATORS = { eq: '=', neq: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=', like: 'LIKE' }
+
+// Separa os termos de uma expressão lógica do PostgREST pelas vírgulas de primeiro nível (fora de aspas e parênteses)
+function splitLogicTerms(expression) {
+  const terms = []
+  let depth = 0
+  let quoted = false
+  let current = ''
+  for (let i = 0; i < expression.length; i++) {
+    const char = expression[i]
+    if (quoted && char === '\\') {
+      current += char + (expression[i + 1] || '')
+      i++
+      continue
+    }
+    if (char === '"') quoted = !quoted
+    else if (!quoted && char === '(') depth++
+    else if (!quoted && char === ')') depth--
+    if (!quoted && depth === 0 && char === ',') {
+      terms.push(current)
+      current = ''
+    } else {
+      current += char
+    }
+  }
+  if (current) terms.push(current)
+  return terms.map(term => term.trim()).filter(Boolean)
+}
+
+const unquoteLogicValue = (raw) => (raw.startsWith('"') && raw.endsWith('"') ? raw.slice(1, -1).replace(/\\(.)/g, '$1') : raw)
+
+// Expressão de .or()/.and() do PostgREST: 'coluna.op.valor,and(coluna.op.valor,...)' -> SQL parametrizado
+function parseLogic(expression, joiner) {
+  const parts = splitLogicTerms(expression).map((term) => {
+    const nested = term.match(/^(and|or)\((.*)\)$/s)
+    if (nested) return parseLogic(nested[2], nested[1] === 'and' ? 'AND' : 'OR')
+    const match = term.match(/^([A-Za-z_][A-Za-z0-9_]*)\.(\w+)\.(.*)$/s)
+    if (!match) throw dbError(`filtro lógico inválido: ${term}`, 'PGRST100')
+    const [, column, op, raw] = match
+    const value = unquoteLogicValue(raw)
+    if (op === 'is') {
+      const literal = { null: 'NULL', true: '1', false: '0' }[value.toLowerCase()]
+      if (!literal) throw dbError(`valor inválido para is: ${value}`, 'PGRST100')
+      return { sql: `${quote(column)} IS ${literal}`, params: [] }
+    }
+    if (op === 'ilike') return { sql: `lower(${quote(column)}) LIKE lower(?)`, params: [value.replace(/\*/g, '%')] }
+    if (!LOGIC_OPERATORS[op]) throw dbError(`operador não suportado em filtro lógico: ${op}`, 'PGRST100')
+    return { sql: `${quote(column)} ${LOGIC_OPERATORS[op]} ?`, params: [op === 'like' ? value.replace(/\*/g, '%') : value] }
+  })
+  return { sql: `(${parts.map(p => p.sql).join(` ${joiner} `)})`, params: parts.flatMap(p => p.params) }
+}
+
+class SqliteQuery {
+  constructor(client, table) {
+    this.client = client
+    this.table = table
+    this.action = 'select'
+    this.columns = '*'
+    this.returning = false
+    this.filters = []
+    this.orders = []
+    this.limitCount = null
+    this.offsetCount = null
+    this.countMode = null
+    this.headOnly = false
+    this.singleMode = null
+    this.values = null
+    this.onConflict = null
+  }
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    if (this.action === 'select') {
+      this.columns = columns
+      this.countMode = count
+      this.headOnly = head
+    } else {
+      this.returning = true
+      this.columns = columns
+    }
+    return this
+  }
+
+  insert(values) {
+    this.action = 'insert'
+    this.values = Array.isArray(values) ? values : [values]
+    return this
+  }
+
+  upsert(values, { onConflict } = {}) {
+    this.action = 'upsert'
+    this.values = Array.isArray(values) ? values : [values]
+    this.onConflict = onConflict || null
+    return this
+  }
+
+  update(values) {
+    this.action = 'update'
+    this.values = values || {}
+    return this
+  }
+
+  delete() {
+    this.action = 'delete'
+    return this
+  }
+
+  eq(column, value) { return this.where(column, '=', value) }
+  neq(column, value) { return this.where(column, '!=', value) }
+  gt(column, value) { return this.where(column, '>', value) }
+  gte(column, value) { return this.where(column, '>=', value) }
+  lt(column, value) { return this.where(column, '<', value) }
+  lte(column, value) { return this.where(column, '<=', value) }
+  like(column, pattern) { return this.where(column, 'LIKE', pattern) }
+
+  ilike(column, pattern) {
+    this.filters.push({ sql: `lower(${quote(column)}) LIKE lower(?)`, params: [pattern] })
+    return this
+  }
+
+  in(column, values) {
+    const list = Array.isArray(values) ? values : []
+    if (!list.length) this.filters.push({ sql: '0', params: [] })
+    else this.filters.push({ sql: `${quote(column)} IN (${list.map(() => '?').join(', ')})`, params: list.map(encodeValue) })
+    return this
+  }
+
+  is(column, value) {
+    if (value === null) this.filters.push({ sql: `${quote(column)} IS NULL`, params: [] })
+    else this.filters.push({ sql: `${quote(column)} IS ?`, params: [encodeValue(value)] })
+    return this
+  }
+
+  // .not('deleted_at', 'is', null) ou .not(coluna, 'eq', valor), como no Supabase
+  not(column, operator, value) {
+    if (operator === 'is' && value === null) this.filters.push({ sql: `${quote(column)} IS NOT NULL`, params: [] })
+    else if (LOGIC_OPERATORS[operator]) this.filters.push({ sql: `NOT (${quote(column)} ${LOGIC_OPERATORS[operator]} ?)`, params: [encodeValue(value)] })
+    else throw dbError(`operador não suportado em not: ${operator}`, 'PGRST100')
+    return this
+  }
+
+  // Mesmo formato do Supabase: .or('nome.ilike."%ana%",and(data.lt."2024-01-01",id.gt.3)')
+  or(expression) {
+    this.filters.push(parseLogic(String(expression), 'OR'))
+    return this
+  }
+
+  match(conditions) {
+    for (const [column, value] of Object.entries(conditions || {})) this.eq(column, value)
+    return this
+  }
+
+  where(column, operator, value) {
+    this.filters.push({ sql: `${quote(column)} ${operator} ?`, params: [encodeValue(value)] })
+    return this
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push(`${quote(column)} ${ascending ? 'ASC' : 'DESC'}`)
+    return this
+  }
+
+  limit(count) {
+    this.limitCount = count
+    return this
+  }
+
+  range(from, to) {
+    this.offsetCount = from
+    this.limitCount = to - from + 1
+    return this
+  }
+
+  single() {
+    this.singleMode = 'single'
+    return this
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe'
+    return this
+  }
+
+  then(resolve, reject) {
+    return this.execute().then(resolve, reject)
+  }
+
+  whereClause() {
+    if (!this.filters.length) return { sql: '', params: [] }
+    return {
+      sql: ` WHERE ${this.filters.map(f => f.sql).join(' AND ')}`,
+      params: this.filters.flatMap(f => f.params)
+    }
+  }
+
+  async execute() {
+    try {
+      await this.client.ready()
+      const { rows, count } = await this.run()
+      const meta = await this.client.tableInfo(this.table)
+      let data = rows === null ? null : rows.map(row => this.project(this.client.decodeRow(meta, row)))
+
+      if (this.singleMode && data !== null) {
+        if (data.length > 1 || (this.singleMode === 'single' && data.length === 0)) {
+          return { data: null, error: dbError('JSON object requested, multiple (or no) rows returned', 'PGRST116', `Results contain ${data.length} rows`), count: null, status: 406, statusText: 'Not Acceptable' }
+        }
+        data = data[0] || null
+      }
+      const status = this.action === 'insert' ? 201 : 200
+      return { data, error: null, count: count === undefined ? null : count, status, statusText: status === 201 ? 'Created' : 'OK' }
+    } catch (e) {
+      const error = translateError(e)
+      return { data: null, error, count: null, status: 400, statusText: 'Bad Request' }
+    }
+  }
+
+  // Colunas pedidas em select('a,b') (depois de insert/update/delete o SQLite devolve todas)
+  project(row) {
+    const columns = String(this.columns || '*').split(',').map(c => c.trim()).filter(Boolean)
+    if (columns.includes('*')) return row
+    const out = {}
+    for (const column of columns) if (column in row) out[column] = row[column]
+    return out
+  }
+
+  async run() {
+    const table = quote(this.table)
+    const where = this.whereClause()
+    const meta = await this.client.tableInfo(this.table)
+
+    if (this.action === 'select') {
+      // select('count') do Supabase devolve [{ count }]
+      if (String(this.columns).trim() === 'count') {
+        const row = await this.client.get(`SELECT COUNT(*) AS count FROM ${table}${where.sql}`, where.params)
+        return { rows: [{ count: row.count }] }
+      }
+      const columns = String(this.columns || '*').split(',').map(c => c.trim()).filter(Boolean)
+      const columnSql = columns.includes('*') ? '*' : columns.map(quote).join(', ')
+
+      let count
+      if (this.countMode) {
+        const row = await this.client.get(`SELECT COUNT(*) AS count FROM ${table}${where.sql}`, where.params)
+        count = row.count
+      }
+      if (this.headOnly) return { rows: null, count }
+
+      let sql = `SELECT ${columnSql} FROM ${table}${where.sql}`
+      if (this.orders.length) sql += ` ORDER BY ${this.orders.join(', ')}`
+      if (this.limitCount !== null) sql += ` LIMIT ${Number(this.limitCount) | 0}`
+      if (this.offsetCount !== null) sql += `${this.limitCount === null ? ' LIMIT -1' : ''} OFFSET ${Number(this.offsetCount) | 0}`
+      return { rows: await this.client.all(sql, where.params), count }
+    }
+
+    if (this.action === 'insert' || this.action === 'upsert') {
+      const inserted = []
+      let conflictSql = ''
+      if (this.action === 'upsert') {
+        const target = this.onConflict
+          ? this.onConflict.split(',').map(c => quote(c.trim()))
+          : meta.primaryKey.map(quote)
+        conflictSql = ` ON CONFLICT (${target.join(', ')}) DO UPDATE SET `
+      }
+      for (const row of this.values) {
+        const columns = Object.keys(row).filter(c => row[c] !== undefined)
+        const params = columns.map(c => encodeColumn(meta, c, row[c]))
+        let sql = columns.length
+          ? `INSERT INTO ${table} (${columns.map(quote).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+          : `INSERT INTO ${table} DEFAULT VALUES`
+        if (conflictSql) sql += conflictSql + columns.map(c => `${quote(c)} = excluded.${quote(c)}`).join(', ')
+        inserted.push(...await this.client.all(`${sql} RETURNING *`, params))
+      }
+      return { rows: this.returning ? inserted : null }
+    }
+
+    if (this.action === 'update') {
+      const columns = Object.keys(this.values).filter(c => this.values[c] !== undefined)
+      if (!columns.length) return { rows: this.returning ? [] : null }
+      const sql = `UPDATE ${table} SET ${columns.map(c => `${quote(c)} = ?`).join(', ')}${where.sql} RETURNING *`
+      const rows = await this.client.all(sql, [...columns.map(c => encodeColumn(meta, c, this.values[c])), ...where.params])
+      return { rows: this.returning ? rows : null }
+    }
+
+    if (this.action === 'delete') {
+      const rows = await this.client.all(`DELETE FROM ${table}${where.sql} RETURNING *`, where.params)
+      return { rows: this.returning ? rows : null }
+    }
+
+    throw dbError(`operação não suportada: ${this.action}`, 'SQLITE_ERROR')
+  }
+}
+
+const storageStub = () => {
+  const unsupported = async () => ({ data: null, error: dbError('Storage não disponível no backend SQLite', 'SQLITE_STORAGE') })
+  return { from: () => ({ upload: unsupported, download: unsupported, remove: unsupported, list: unsupported }) }
+}
+
+// Cria o cliente. O arquivo (e a pasta) são criados e migrados na primeira consulta; ':memory:' também funciona.
+export function createSqliteClient(filename = process.env.SQLITE_FILE || 'data/app.sqlite') {
+  let db = null
+  let readyPromise = null
+  let pendingTransaction = null
+  const tableInfoCache = new Map()
+  const rpcFunctions = new Map()
+
+  const rawCall = (method, sql, params = []) => new Promise((resolve, reject) => {
+    db[method](sql, params, (err, result) => (err ? reject(err) : resolve(result)))
+  })
+
+  // A conexão é uma só: enquanto uma transação está aberta as outras consultas esperam, senão entrariam nela
+  const call = async (method, sql, params = []) => {
+    while (pendingTransaction) await pendingTransaction
+    return rawCall(method, sql, params)
+  }
+
+  const client = {
+    driver: 'sqlite',
+    filename,
+
+    ready() {
+      if (!readyPromise) {
+        readyPromise = (async () => {
+          if (filename !== ':memory:') fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true })
+          db = await new Promise((resolve, reject) => {
+            const conn = new sqlite3.Database(filename, (err) => (err ? reject(err) : resolve(conn)))
+          })
+          const exec = (sql) => new Promise((resolve, reject) => db.exec(sql, (err) => (err ? reject(err) : resolve())))
+          await exec('PRAGMA journal_mode = WAL; PRAGMA busy_timeout = 5000;')
+          // Schema criado/atualizado pelas migrações em migrations/sqlite. Uma migração que falha (ex.: 0013 com emails
+          // duplicados) não derruba o banco: ele segue na versão anterior, como no Supabase quando npm run migrate falha,
+          // GET /admin/schema mostra a pendente e ela roda de novo na próxima abertura do arquivo
+          try {
+            await runMigrations({ exec, query: (sql) => call('all', sql) }, 'sqlite', { log: (msg) => logger.info(msg) })
+          } catch (error) {
+            logger.error('[SQLite] migração não aplicada; o banco segue na versão anterior', { error: error.message })
+          }
+          logger.info('[SQLite] banco pronto', { filename })
+        })()
+        readyPromise.catch(() => { readyPromise = null })
+      }
+      return readyPromise
+    },
+
+    all: (sql, params) => call('all', sql, params),
+    get: (sql, params) => call('get', sql, params),
+    exec: async (sql) => {
+      await client.ready()
+      return new Promise((resolve, reject) => db.exec(sql, (err) => (err ? reject(err) : resolve())))
+    },
+
+    // Tipos declarados de cada coluna (para decodificar JSON/BOOLEAN) e a chave primária
+    async tableInfo(table) {
+      if (!tableInfoCache.has(table)) {
+        const rows = await call('all', `PRAGMA table_info(${quote(table)})`)
+        tableInfoCache.set(table, {
+          types: Object.fromEntries(rows.map(r => [r.name, String(r.type || '').toUpperCase()])),
+          primaryKey: rows.filter(r => r.pk > 0).sort((a, b) => a.pk - b.pk).map(r => r.name)
+        })
+      }
+      return tableInfoCache.get(table)
+    },
+
+    decodeRow(meta, row) {
+      const out = { ...row }
+      for (const [column, value] of Object.entries(out)) {
+        const type = meta.types[column]
+        if (value === null || value === undefined) continue
+        if (type === 'JSON' && typeof value === 'string') {
+          try { out[column] = JSON.parse(value) } catch (e) { /* mantém o texto */ }
+        } else if (type === 'BOOLEAN') {
+          out[column] = !!value
+        }
+      }
+      return out
+    },
+
+    // Roda fn(tx) entre BEGIN e COMMIT (ROLLBACK se fn lançar). tx.all/get consultam e tx.run devolve as linhas alteradas
+    async transaction(fn) {
+      await client.ready()
+      while (pendingTransaction) await pendingTransaction
+      let finish
+      pendingTransaction = new Promise((resolve) => { finish = resolve })
+      const tx = {
+        all: (sql, params) => rawCall('all', sql, params),
+        get: (sql, params) => rawCall('get', sql, params),
+        run: (sql, params = []) => new Promise((resolve, reject) => {
+          db.run(sql, params, function (err) { return err ? reject(err) : resolve(this.changes) })
+        })
+      }
+      try {
+        await rawCall('run', 'BEGIN IMMEDIATE')
+        try {
+          const result = await fn(tx)
+          await rawCall('run', 'COMMIT')
+          return result
+        } catch (error) {
+          await rawCall('run', 'ROLLBACK')
+          throw error
+        }
+      } catch (error) {
+        throw translateError(error)
+      } finally {
+        pendingTransaction = null
+        finish()
+      }
+    },
+
+    from: (table) => new SqliteQuery(client, table),
+    // Funções do banco (no Supabase, criadas pelas migrações em migrations/postgres) reimplementadas para o SQLite
+    // por quem as usa, com defineRpc(nome, fn(tx, args)); cada chamada roda numa transação
+    defineRpc(name, fn) {
+      rpcFunctions.set(name, fn)
+    },
+    async rpc(name, args = {}) {
+      const fn = rpcFunctions.get(name)
+      if (!fn) return { data: null, error: dbError(`rpc ${name} não disponível no backend SQLite`, 'SQLITE_RPC') }
+      try {
+        return { data: await client.transaction((tx) => fn(tx, args)), error: null }
+      } catch (error) {
+        return { data: null, error: translateError(error) }
+      }
+    },
+    storage: storageStub(),
+
+    close() {
+      if (!db) return Promise.resolve()
+      return new Promise((resolve, reject) => db.close((err) => (err ? reject(err) : resolve())))
+    }
+  }
+  return client
+}
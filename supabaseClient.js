@@ -1,9 +1,24 @@
+// Este módulo é avaliado antes do dotenv.config() do index.js, então carrega o .env aqui mesmo
+import 'dotenv/config'
 import { createClient } from '@supabase/supabase-js'
+import { logger } from './logger.js'
 
 // Use environment variables for Supabase configuration.
 // Set these in your PowerShell session or in a .env file and in your hosting provider (Vercel) settings:
 // - SUPABASE_URL
 // - SUPABASE_SERVICE_KEY (use service_role on server side)
+//
+// DATA_BACKEND escolhe o driver de dados:
+// - supabase (padrão): cliente Supabase; sem URL/chave cai no stub que responde erro para tudo
+// - sqlite: arquivo local em SQLITE_FILE (padrão data/app.sqlite), com schema criado automaticamente. O driver é
+//   carregado só nesse caso: o sqlite3 é nativo e sai do deploy no Vercel (prepare-vercel.ps1)
+// Os dois expõem a mesma interface (from(...).select/insert/update/...), então as rotas não mudam.
+
+const DATA_BACKENDS = ['supabase', 'sqlite']
+const dataBackend = (process.env.DATA_BACKEND || 'supabase').trim().toLowerCase()
+if (!DATA_BACKENDS.includes(dataBackend)) {
+  throw new Error(`DATA_BACKEND inválido: "${dataBackend}". Use ${DATA_BACKENDS.join(' ou ')}.`)
+}
 
 const supabaseUrl = process.env.SUPABASE_URL || ''
 const supabaseKey = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_KEY || ''
@@ -21,9 +36,12 @@ const stubChain = {
   maybeSingle: stubResponse,
   single: stubResponse,
   eq: function() { return this },
+  in: function() { return this },
+  is: function() { return this },
   order: function() { return this },
+  limit: function() { return this },
   range: stubResponse,
-  then: () => Promise.resolve(stubResponse()),
+  then: (resolve, reject) => stubResponse().then(resolve, reject),
 }
 
 const supabaseStub = {
@@ -54,8 +72,12 @@ const supabaseStub = {
   },
 }
 
-if (!supabaseUrl || !supabaseKey) {
-  console.warn('Supabase URL or key not set in environment. Set SUPABASE_URL and SUPABASE_SERVICE_KEY before starting the server.')
+if (dataBackend === 'sqlite') {
+  const { createSqliteClient } = await import('./sqliteClient.js')
+  supabase = createSqliteClient()
+  logger.info('[Data] usando backend SQLite', { filename: supabase.filename })
+} else if (!supabaseUrl || !supabaseKey) {
+  logger.warn('Supabase URL or key not set in environment. Set SUPABASE_URL and SUPABASE_SERVICE_KEY before starting the server (or DATA_BACKEND=sqlite for a local database).')
   supabase = supabaseStub
 } else {
   // Try to create a real client; if the URL/key are malformed the constructor can throw — catch and fall back to stub.
@@ -64,12 +86,12 @@ if (!supabaseUrl || !supabaseKey) {
 
     // Warning if using a publishable key (subject to RLS)
     if (supabaseKey && supabaseKey.startsWith('sb_publishable_')) {
-      console.warn('USING PUBLISHABLE SUPABASE KEY: this key is client/publishable and will be subject to RLS. Replace with the service_role key in SUPABASE_SERVICE_KEY for admin/server operations (DO NOT expose the service_role key publicly).')
+      logger.warn('USING PUBLISHABLE SUPABASE KEY: this key is client/publishable and will be subject to RLS. Replace with the service_role key in SUPABASE_SERVICE_KEY for admin/server operations (DO NOT expose the service_role key publicly).')
     }
   } catch (e) {
-    console.error('Failed to create Supabase client:', e && e.message ? e.message : e)
+    logger.error('Failed to create Supabase client', { error: e && e.message ? e.message : e })
     supabase = supabaseStub
   }
 }
 
-export { supabase }
\ No newline at end of file
+export { supabase, dataBackend }
\ No newline at end of file
@@ -0,0 +1,62 @@
+import { loadApp, cleanup } from './support.js'
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { describeRoutePolicies, publicRoute } from '../policies.js'
+import { ROUTE_DOCS } from '../routeDocs.js'
+import { assertRouteDocs, buildOpenApiDocument } from '../openapi.js'
+
+// Toda rota registrada precisa de entrada em ROUTE_DOCS, e o OpenAPI gerado não pode ter dois paths que só diferem no
+// nome do parâmetro (/convites/{id} e /convites/{token})
+
+let app
+
+before(async () => {
+  ({ app } = await loadApp())
+})
+
+after(cleanup)
+
+// Registra uma rota só durante fn e a remove em seguida
+function withRoute(method, path, fn) {
+  app[method](path, publicRoute, (req, res) => res.json({}))
+  try {
+    fn()
+  } finally {
+    app._router.stack.pop()
+  }
+}
+
+test('toda rota registrada no app tem entrada em ROUTE_DOCS', () => {
+  const routes = describeRoutePolicies(app)
+  assert.ok(routes.length > 50, `esperava a tabela de rotas completa, veio ${routes.length}`)
+  const missing = routes.map(r => `${r.method} ${r.path}`).filter(key => !ROUTE_DOCS[key])
+  assert.deepEqual(missing, [])
+  const incomplete = routes.map(r => `${r.method} ${r.path}`).filter(key => {
+    const doc = ROUTE_DOCS[key]
+    return !doc.tag || !doc.summary || !doc.response
+  })
+  assert.deepEqual(incomplete, [])
+  assert.doesNotThrow(() => assertRouteDocs(app))
+})
+
+test('o OpenAPI não tem paths que só diferem no nome do parâmetro', () => {
+  const byShape = new Map()
+  for (const path of Object.keys(buildOpenApiDocument(app).paths)) {
+    const shape = path.replace(/\{[^}]+\}/g, '{}')
+    byShape.set(shape, [...(byShape.get(shape) || []), path])
+  }
+  const collisions = [...byShape.values()].filter(paths => paths.length > 1)
+  assert.deepEqual(collisions, [])
+})
+
+test('uma rota nova sem entrada em ROUTE_DOCS faz a checagem falhar', () => {
+  withRoute('get', '/rota-sem-doc', () => {
+    assert.throws(() => assertRouteDocs(app), /GET \/rota-sem-doc \(sem entrada\)/)
+  })
+})
+
+test('uma rota com outro nome de parâmetro no mesmo caminho faz a checagem falhar', () => {
+  withRoute('put', '/v1/convites/:token', () => {
+    assert.throws(() => assertRouteDocs(app), /\/v1\/convites\/:id e \/v1\/convites\/:token \(mesmo caminho com nomes de parâmetro diferentes\)/)
+  })
+})
@@ -0,0 +1,92 @@
+import { loadApp, cleanup, createUser } from './support.js'
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { ROLES, getPolicy, describeRoutePolicies, assertRoutePolicies } from '../policies.js'
+
+// Percorre a tabela de rotas do app: toda rota precisa de política, e as políticas respondem 401/403 do mesmo jeito
+
+let app
+let aluno
+
+before(async () => {
+  ({ app } = await loadApp())
+  aluno = await createUser({ nome: 'Aluno', email: 'aluno@teste.com', tipo: ROLES.ALUNO })
+})
+
+after(cleanup)
+
+// Executa só a política da rota (primeiro handler) e devolve { status, body } ou { next: true }
+function runPolicy(route, token) {
+  return new Promise((resolve) => {
+    const req = { method: route.method, path: route.path, headers: token ? { authorization: `Bearer ${token}` } : {} }
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this },
+      json(body) { resolve({ status: this.statusCode, body }); return this }
+    }
+    Promise.resolve(route.handlers[0](req, res, () => resolve({ next: true }))).catch(error => resolve({ error }))
+  })
+}
+
+test('toda rota registrada no app declara uma política de acesso', () => {
+  const routes = describeRoutePolicies(app)
+  assert.ok(routes.length > 50, `esperava a tabela de rotas completa, veio ${routes.length}`)
+  const missing = routes.filter(r => !r.policy).map(r => `${r.method} ${r.path}`)
+  assert.deepEqual(missing, [])
+  assert.doesNotThrow(() => assertRoutePolicies(app))
+})
+
+test('rotas não públicas respondem 401 AUTH_REQUIRED sem token', async () => {
+  for (const route of describeRoutePolicies(app).filter(r => r.policy.kind !== 'public')) {
+    const result = await runPolicy(route)
+    assert.equal(result.status, 401, `${route.method} ${route.path}`)
+    assert.equal(result.body.code, 'AUTH_REQUIRED', `${route.method} ${route.path}`)
+  }
+})
+
+test('rotas restritas a outros perfis respondem 403 FORBIDDEN para um aluno', async () => {
+  const restricted = describeRoutePolicies(app).filter(r => r.policy.kind === 'roles' && !r.policy.roles.includes(ROLES.ALUNO))
+  assert.ok(restricted.length > 0)
+  for (const route of restricted) {
+    const result = await runPolicy(route, aluno.token)
+    assert.equal(result.status, 403, `${route.method} ${route.path}`)
+    assert.equal(result.body.code, 'FORBIDDEN', `${route.method} ${route.path}`)
+  }
+})
+
+test('rotas liberadas para o perfil seguem adiante com o token dele', async () => {
+  const open = describeRoutePolicies(app).filter(r => r.policy.kind === 'authenticated')
+  for (const route of open) {
+    assert.deepEqual(await runPolicy(route, aluno.token), { next: true }, `${route.method} ${route.path}`)
+  }
+})
+
+test('a conta é conferida no banco: token de conta na lixeira ou rebaixada não vale mais', async () => {
+  const { supabase } = await loadApp()
+  const adminRoute = describeRoutePolicies(app).find(r => r.policy.kind === 'roles' && r.policy.roles.length === 1 && r.policy.roles[0] === ROLES.ADMIN)
+  const openRoute = describeRoutePolicies(app).find(r => r.policy.kind === 'authenticated')
+
+  const admin = await createUser({ nome: 'Admin', email: 'admin@teste.com', tipo: ROLES.ADMIN })
+  assert.deepEqual(await runPolicy(adminRoute, admin.token), { next: true })
+  await supabase.from('users').update({ tipo: ROLES.PROFESSOR }).eq('id', admin.user.id)
+  const demoted = await runPolicy(adminRoute, admin.token)
+  assert.equal(demoted.status, 403)
+  assert.equal(demoted.body.code, 'FORBIDDEN')
+
+  const removido = await createUser({ nome: 'Removido', email: 'removido@teste.com', tipo: ROLES.ALUNO })
+  assert.deepEqual(await runPolicy(openRoute, removido.token), { next: true })
+  await supabase.from('users').update({ deleted_at: new Date().toISOString() }).eq('id', removido.user.id)
+  const trashed = await runPolicy(openRoute, removido.token)
+  assert.equal(trashed.status, 401)
+  assert.equal(trashed.body.code, 'SESSION_USER_NOT_FOUND')
+})
+
+test('uma rota nova sem política faz a checagem falhar', () => {
+  app.get('/rota-sem-politica', (req, res) => res.json({}))
+  try {
+    assert.throws(() => assertRoutePolicies(app), /GET \/rota-sem-politica/)
+    assert.equal(getPolicy(describeRoutePolicies(app).find(r => r.path === '/rota-sem-politica').handlers[0]), null)
+  } finally {
+    app._router.stack.pop()
+  }
+})
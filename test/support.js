@@ -0,0 +1,47 @@
+// Ambiente dos testes: o app é importado sem abrir a porta (NODE_ENV=test) e cada arquivo de teste
+// usa um banco SQLite temporário. Importe este módulo antes de qualquer outro módulo do projeto.
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { once } from 'events'
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backend-test-'))
+process.env.NODE_ENV = 'test'
+process.env.DATA_BACKEND = 'sqlite'
+process.env.SQLITE_FILE = path.join(dir, 'test.sqlite')
+process.env.AUTH_SECRET = 'segredo-dos-testes'
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error'
+
+let server = null
+
+// Carrega o app (todas as rotas registradas) com o banco de teste pronto
+export async function loadApp() {
+  const { default: app } = await import('../index.js')
+  const { supabase } = await import('../supabaseClient.js')
+  await supabase.ready()
+  return { app, supabase }
+}
+
+// Sobe o app numa porta livre e devolve a URL base
+export async function startServer(app) {
+  server = app.listen(0, '127.0.0.1')
+  await once(server, 'listening')
+  return `http://127.0.0.1:${server.address().port}`
+}
+
+// Fecha o servidor e o banco e apaga o diretório temporário
+export async function cleanup() {
+  if (server) await new Promise(resolve => server.close(resolve))
+  const { supabase } = await import('../supabaseClient.js')
+  if (supabase.close) await supabase.close()
+  fs.rmSync(dir, { recursive: true, force: true })
+}
+
+// Insere um usuário direto no banco e devolve a linha e um token de sessão para ele
+export async function createUser(fields) {
+  const { supabase } = await import('../supabaseClient.js')
+  const { signToken } = await import('../auth.js')
+  const { data, error } = await supabase.from('users').insert([{ senha: 'hash-de-teste', ...fields }]).select().single()
+  if (error) throw error
+  return { user: data, token: signToken(data).token }
+}
@@ -0,0 +1,135 @@
+import { loadApp, startServer, cleanup, createUser } from './support.js'
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { ROLES } from '../policies.js'
+import { SECRET_USER_COLUMNS, USER_VIEWS, serializeUser, serializeUserFor } from '../userSerializer.js'
+
+// Nenhuma visão de users (public, self, admin) devolve senha ou outra coluna secreta, nem colunas que ainda não
+// entraram nas listas de campos do serializer
+
+const SECRET = 'nao-pode-sair'
+
+// Linha com todas as colunas de users, todas as secretas e uma coluna nova que ninguém liberou
+const fullRow = () => ({
+  id: 7,
+  nome: 'Fulano',
+  email: 'fulano@teste.com',
+  tipo: ROLES.ALUNO,
+  foto: null,
+  criado_por: 'prof@teste.com',
+  contract_end: '2030-01-01',
+  blocked: 0,
+  created_at: '2026-01-01T00:00:00.000Z',
+  deleted_at: null,
+  ...Object.fromEntries(SECRET_USER_COLUMNS.map(col => [col, SECRET])),
+  coluna_nova: SECRET
+})
+
+// Procura chaves secretas em qualquer nível do JSON
+function findSecrets(value, at = '$') {
+  if (Array.isArray(value)) return value.flatMap((item, i) => findSecrets(item, `${at}[${i}]`))
+  if (!value || typeof value !== 'object') return []
+  return Object.entries(value).flatMap(([key, child]) => [
+    ...(SECRET_USER_COLUMNS.includes(key) ? [`${at}.${key}`] : []),
+    ...findSecrets(child, `${at}.${key}`)
+  ])
+}
+
+function assertNoSecrets(body, label) {
+  assert.deepEqual(findSecrets(body), [], `${label} devolveu coluna secreta`)
+  assert.ok(!JSON.stringify(body).includes(SECRET), `${label} devolveu valor secreto`)
+}
+
+let base
+let admin
+let professor
+
+before(async () => {
+  process.env.ADMIN_BOOTSTRAP_SECRET = 'segredo-bootstrap'
+  const { app } = await loadApp()
+  base = await startServer(app)
+  professor = await createUser({ nome: 'Prof', email: 'prof@teste.com', tipo: ROLES.PROFESSOR })
+})
+
+after(cleanup)
+
+const call = async (method, path, { token, body, headers = {} } = {}) => {
+  const res = await fetch(base + path, {
+    method,
+    headers: { 'content-type': 'application/json', ...(token ? { authorization: `Bearer ${token}` } : {}), ...headers },
+    body: body ? JSON.stringify(body) : undefined
+  })
+  return { status: res.status, body: await res.json() }
+}
+
+test('visão public só tem os dados de exibição', () => {
+  const out = serializeUser(fullRow(), USER_VIEWS.PUBLIC)
+  assert.deepEqual(Object.keys(out).sort(), ['email', 'foto', 'id', 'nome', 'tipo'])
+  assertNoSecrets(out, 'public')
+})
+
+test('visão self não tem colunas secretas nem colunas fora da lista', () => {
+  const out = serializeUser(fullRow(), USER_VIEWS.SELF)
+  assert.equal(out.criado_por, 'prof@teste.com')
+  assert.equal(out.contract_end, '2030-01-01')
+  assert.equal('deleted_at' in out, false)
+  assert.equal('coluna_nova' in out, false)
+  assertNoSecrets(out, 'self')
+})
+
+test('visão admin é uma lista de campos permitidos, não "tudo menos as secretas"', () => {
+  const out = serializeUser(fullRow(), USER_VIEWS.ADMIN)
+  assert.ok('deleted_at' in out)
+  assert.equal('coluna_nova' in out, false)
+  assertNoSecrets(out, 'admin')
+})
+
+test('visão desconhecida cai na public', () => {
+  assert.deepEqual(serializeUser(fullRow(), 'outra'), serializeUser(fullRow(), USER_VIEWS.PUBLIC))
+})
+
+test('serializeUserFor escolhe a visão pelo solicitante', () => {
+  const row = fullRow()
+  assert.ok('deleted_at' in serializeUserFor({ tipo: ROLES.ADMIN, email: 'adm@teste.com' }, row))
+  assert.equal(serializeUserFor({ tipo: ROLES.PROFESSOR, email: 'prof@teste.com' }, row).criado_por, 'prof@teste.com')
+  assert.equal('criado_por' in serializeUserFor({ tipo: ROLES.PROFESSOR, email: 'outro@teste.com' }, row), false)
+  for (const requester of [null, { tipo: ROLES.ADMIN }, { tipo: ROLES.ALUNO, id: 7, email: 'fulano@teste.com' }]) {
+    assertNoSecrets(serializeUserFor(requester, row), `serializeUserFor(${requester && requester.tipo})`)
+  }
+})
+
+// As respostas reais das rotas de users também não podem levar senha
+test('rotas de usuários não devolvem senha', async () => {
+  const setup = await call('POST', '/v1/setup-admin', {
+    headers: { 'x-bootstrap-secret': 'segredo-bootstrap' },
+    body: { email: 'adm@teste.com', senha: 'senhaforte123', nome: 'Admin' }
+  })
+  assert.equal(setup.status, 201)
+  assertNoSecrets(setup.body, 'POST /setup-admin')
+  admin = await createUser({ nome: 'Admin 2', email: 'adm2@teste.com', tipo: ROLES.ADMIN })
+
+  const created = await call('POST', '/v1/alunos', { token: professor.token, body: { nome: 'Ana', email: 'ana@teste.com', senha: 'senhaforte123' } })
+  assert.equal(created.status, 200)
+  assertNoSecrets(created.body, 'POST /alunos')
+
+  const login = await call('POST', '/v1/login', { body: { email: 'ana@teste.com', senha: 'senhaforte123' } })
+  assert.equal(login.status, 200)
+  assert.ok(login.body.token)
+  assertNoSecrets(login.body, 'POST /login')
+
+  const reads = [
+    ['/v1/users', admin.token],
+    ['/v1/alunos', admin.token],
+    ['/v1/alunos', professor.token],
+    ['/v1/professores', admin.token],
+    [`/v1/alunos/${created.body.id}`, admin.token],
+    [`/v1/alunos/${created.body.id}`, professor.token],
+    [`/v1/alunos/${created.body.id}`, login.body.token],
+    ['/v1/alunos/session', login.body.token]
+  ]
+  for (const [path, token] of reads) {
+    const res = await call('GET', path, { token })
+    assert.equal(res.status, 200, `GET ${path}: ${JSON.stringify(res.body)}`)
+    assertNoSecrets(res.body, `GET ${path}`)
+  }
+})
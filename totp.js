@@ -0,0 +1,90 @@
+import crypto from 'crypto'
+
+// TOTP (RFC 6238) com HMAC-SHA1, 6 dígitos e passo de 30s — o padrão aceito por
+// Google Authenticator, Authy, 1Password etc.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+const DIGITS = 6
+const PERIOD_SECONDS = 30
+
+export function base32Encode(buffer) {
+  let bits = 0
+  let value = 0
+  let output = ''
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  return output
+}
+
+export function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '')
+  let bits = 0
+  let value = 0
+  const bytes = []
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char)
+    if (idx === -1) throw new Error('Segredo base32 inválido')
+    value = (value << 5) | idx
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+  return Buffer.from(bytes)
+}
+
+// Segredo de 160 bits (tamanho recomendado pela RFC 4226 para SHA-1)
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20))
+}
+
+export const currentStep = (now = Date.now()) => Math.floor(now / 1000 / PERIOD_SECONDS)
+
+// HOTP (RFC 4226) para um contador/passo
+export function totpCode(secret, step) {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest()
+  const offset = hmac[hmac.length - 1] & 0x0f
+  const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3]
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0')
+}
+
+// Verifica um código aceitando ±window passos de tolerância de relógio.
+// Passos <= lastStep são recusados (impede reutilizar um código já aceito).
+// Retorna o passo que bateu, ou null.
+export function verifyTotp(secret, code, { window = 1, lastStep = null, now = Date.now() } = {}) {
+  const normalized = String(code == null ? '' : code).replace(/\s+/g, '')
+  if (!/^\d{6}$/.test(normalized)) return null
+  const step = currentStep(now)
+  for (let delta = -window; delta <= window; delta++) {
+    const candidate = step + delta
+    if (lastStep !== null && lastStep !== undefined && candidate <= lastStep) continue
+    const expected = totpCode(secret, candidate)
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return candidate
+  }
+  return null
+}
+
+// URI otpauth:// para gerar o QR code no app autenticador
+export function buildOtpAuthUrl({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`)
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(PERIOD_SECONDS) })
+  return `otpauth://totp/${label}?${params.toString()}`
+}
+
+// Códigos de recuperação no formato xxxx-xxxx (hex), para uso único quando o app não estiver disponível
+export function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(4).toString('hex')
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`
+  })
+}
@@ -0,0 +1,125 @@
+import { supabase } from './supabaseClient.js'
+import { ConflictError, NotFoundError, isUniqueViolation } from './errors.js'
+import { logger } from './logger.js'
+
+// Lixeira: exclusão lógica para alunos (users), contratos, consultorias, mensagens e produtos da loja.
+// DELETE marca deleted_at em vez de apagar a linha; listagens (softDelete: true na spec de pagination.js) e buscas
+// por id filtram .is('deleted_at', null), então a linha some para as rotas comuns mas ainda pode ser restaurada:
+//   GET  /v1/admin/lixeira                          itens excluídos, do mais recente para o mais antigo
+//   POST /v1/admin/lixeira/:tipo/:id/restaurar      limpa deleted_at
+// Depois de TRASH_RETENTION_DAYS (padrão 30) purgeTrash apaga a linha de vez. O servidor roda a limpeza ao subir e a
+// cada TRASH_PURGE_INTERVAL_HOURS (padrão 6; 0 desliga); no Vercel, agende npm run purge:trash.
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+
+// tipo (na URL da lixeira) -> tabela. audit: prefixo da ação no audit_log (user.delete, user.restore...).
+// onDelete/onRestore: colunas mantidas junto com deleted_at (produtos: ativo)
+export const TRASH_TYPES = Object.freeze({
+  alunos: { table: 'users', audit: 'user', notFound: 'Usuário não encontrado na lixeira', uniqueEmail: true },
+  contratos: { table: 'contracts', audit: 'contract', notFound: 'Contrato não encontrado na lixeira' },
+  consultorias: { table: 'consultorias', audit: 'consultoria', notFound: 'Consultoria não encontrada na lixeira' },
+  mensagens: { table: 'mensagens', audit: 'mensagem', notFound: 'Mensagem não encontrada na lixeira' },
+  produtos: { table: 'produtos_loja', audit: 'produto', notFound: 'Produto não encontrado na lixeira', onDelete: { ativo: false }, onRestore: { ativo: true } }
+})
+
+export const trashRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30
+
+function purgeIntervalHours() {
+  const hours = parseFloat(process.env.TRASH_PURGE_INTERVAL_HOURS)
+  return Number.isFinite(hours) ? hours : 6
+}
+
+// Quando a linha excluída em deletedAt será apagada de vez
+export function purgeDateFor(deletedAt) {
+  const time = new Date(deletedAt).getTime()
+  return isNaN(time) ? null : new Date(time + trashRetentionDays() * DAY_MS).toISOString()
+}
+
+// Marca a linha como excluída. Retorna a linha atualizada, ou null se ela não existe ou já está na lixeira.
+export async function moveToTrash(tipo, id) {
+  const type = TRASH_TYPES[tipo]
+  const { data, error } = await supabase
+    .from(type.table)
+    .update({ ...type.onDelete, deleted_at: new Date().toISOString() })
+    .eq('id', id)
+    .is('deleted_at', null)
+    .select()
+    .maybeSingle()
+  if (error) throw error
+  return data
+}
+
+// Itens na lixeira (de um tipo ou de todos), do excluído mais recente para o mais antigo.
+// Cada item: { tipo, id, deleted_at, purga_em, dados } com a linha crua em dados (a rota serializa users).
+export async function listTrash({ tipo, limit }) {
+  const tipos = tipo ? [tipo] : Object.keys(TRASH_TYPES)
+  const groups = await Promise.all(tipos.map(async (t) => {
+    const { data, error } = await supabase
+      .from(TRASH_TYPES[t].table)
+      .select('*')
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false })
+      .limit(limit)
+    if (error) throw error
+    return (data || []).map(row => ({ tipo: t, id: row.id, deleted_at: row.deleted_at, purga_em: purgeDateFor(row.deleted_at), dados: row }))
+  }))
+  return groups
+    .flat()
+    .sort((a, b) => new Date(b.deleted_at).getTime() - new Date(a.deleted_at).getTime())
+    .slice(0, limit)
+}
+
+// Tira a linha da lixeira. Retorna { antes, depois }; 404 se não está na lixeira.
+// Um usuário só volta se o email não tiver sido cadastrado de novo nesse meio tempo (409 EMAIL_TAKEN); outra grafia do
+// mesmo email é barrada pelo índice único em lower(email) (migração 0013).
+export async function restoreFromTrash(tipo, id) {
+  const type = TRASH_TYPES[tipo]
+  const { data: existing, error: fetchErr } = await supabase.from(type.table).select('*').eq('id', id).not('deleted_at', 'is', null).maybeSingle()
+  if (fetchErr) throw fetchErr
+  if (!existing) throw new NotFoundError(type.notFound)
+
+  if (type.uniqueEmail && existing.email) {
+    const { data: active, error: activeErr } = await supabase.from(type.table).select('id').eq('email', existing.email).is('deleted_at', null).limit(1)
+    if (activeErr) throw activeErr
+    if (active && active.length) throw new ConflictError('Já existe um usuário ativo com este email', 'EMAIL_TAKEN')
+  }
+
+  const { data, error } = await supabase
+    .from(type.table)
+    .update({ ...type.onRestore, deleted_at: null })
+    .eq('id', id)
+    .not('deleted_at', 'is', null)
+    .select()
+    .maybeSingle()
+  if (type.uniqueEmail && isUniqueViolation(error)) throw new ConflictError('Já existe um usuário ativo com este email', 'EMAIL_TAKEN')
+  if (error) throw error
+  // Restaurada ou apagada por outra requisição entre a busca e o update
+  if (!data) throw new NotFoundError(type.notFound)
+  return { antes: existing, depois: data }
+}
+
+// Apaga de vez o que está na lixeira há mais de TRASH_RETENTION_DAYS. Retorna quantas linhas saíram por tipo.
+export async function purgeTrash(now = new Date()) {
+  const cutoff = new Date(now.getTime() - trashRetentionDays() * DAY_MS).toISOString()
+  const removidos = {}
+  for (const [tipo, type] of Object.entries(TRASH_TYPES)) {
+    const { data, error } = await supabase.from(type.table).delete().lt('deleted_at', cutoff).select('id')
+    if (error) throw error
+    removidos[tipo] = (data || []).length
+  }
+  const total = Object.values(removidos).reduce((sum, n) => sum + n, 0)
+  if (total > 0) logger.info('[Lixeira] itens apagados após a retenção', { removidos, retencao_dias: trashRetentionDays() })
+  return removidos
+}
+
+// Limpeza periódica dentro do processo do servidor. O timer não impede o processo de encerrar.
+export function scheduleTrashPurge() {
+  const hours = purgeIntervalHours()
+  if (hours <= 0) return null
+  const run = () => purgeTrash().catch(e => logger.error('[Lixeira] falha na limpeza', { error: e.message, code: e.code }))
+  run()
+  const timer = setInterval(run, hours * HOUR_MS)
+  timer.unref()
+  return timer
+}
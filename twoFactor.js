@@ -0,0 +1,123 @@
+import { supabase } from './supabaseClient.js'
+import { isMissingTable } from './errors.js'
+import { logger } from './logger.js'
+import { ROLES } from './policies.js'
+import { hashOpaqueToken } from './passwords.js'
+import { generateTotpSecret, verifyTotp, buildOtpAuthUrl, generateRecoveryCodes } from './totp.js'
+
+// Autenticação em dois fatores (TOTP) para contas admin e professor.
+// Estado por usuário na tabela user_2fa:
+//   user_id (pk), secret, enabled, recovery_codes (hashes SHA-256), last_step, criado_em, confirmado_em
+// Admins podem exigir 2FA de todos os admins com a configuração global require_2fa_admin
+// (POST /admin/settings/require_2fa_admin { valor: true }) ou com REQUIRE_2FA_ADMIN=true no ambiente.
+
+export const TWO_FACTOR_ROLES = [ROLES.ADMIN, ROLES.PROFESSOR]
+export const REQUIRE_ADMIN_2FA_SETTING = 'require_2fa_admin'
+
+const issuer = () => process.env.TOTP_ISSUER || 'Banco de Dados - Fitness'
+
+const isTruthySetting = (v) => v === true || v === 1 || ['true', '1', 'sim', 'on'].includes(String(v).trim().toLowerCase())
+
+export async function getTwoFactor(userId) {
+  const { data, error } = await supabase.from('user_2fa').select('*').eq('user_id', userId).maybeSingle()
+  if (error) {
+    // Tabela ainda não criada: ninguém tem 2FA, o login segue normalmente
+    if (isMissingTable(error)) {
+      logger.warn('[2FA] tabela user_2fa ausente', { error: error.message })
+      return null
+    }
+    throw error
+  }
+  return data || null
+}
+
+export async function isTwoFactorEnabled(userId) {
+  const row = await getTwoFactor(userId)
+  return !!(row && row.enabled)
+}
+
+// 2FA obrigatório só se aplica a admins
+export async function isTwoFactorRequired(user) {
+  if (!user || user.tipo !== ROLES.ADMIN) return false
+  if (isTruthySetting(process.env.REQUIRE_2FA_ADMIN)) return true
+  const { data, error } = await supabase.from('settings').select('valor').eq('chave', REQUIRE_ADMIN_2FA_SETTING).maybeSingle()
+  if (error) {
+    logger.warn('[2FA] não foi possível ler require_2fa_admin', { error: error.message })
+    return false
+  }
+  return !!(data && isTruthySetting(data.valor))
+}
+
+// Gera (ou regenera) um segredo pendente. Só vira ativo após confirmEnrollment.
+export async function startEnrollment(user) {
+  const secret = generateTotpSecret()
+  const { error } = await supabase.from('user_2fa').upsert([{
+    user_id: user.id,
+    secret,
+    enabled: false,
+    recovery_codes: [],
+    last_step: null,
+    criado_em: new Date().toISOString(),
+    confirmado_em: null
+  }], { onConflict: 'user_id' })
+  if (error) throw error
+  return { secret, otpauth_url: buildOtpAuthUrl({ secret, accountName: user.email, issuer: issuer() }) }
+}
+
+const hashRecoveryCodes = (codes) => codes.map(c => hashOpaqueToken(c.toLowerCase()))
+
+// Confirma o cadastro com um código do app. Retorna os códigos de recuperação (exibidos uma única vez) ou null.
+export async function confirmEnrollment(userId, codigo) {
+  const row = await getTwoFactor(userId)
+  if (!row || !row.secret) return null
+  const step = verifyTotp(row.secret, codigo, { lastStep: row.last_step })
+  if (step === null) return null
+
+  const recoveryCodes = generateRecoveryCodes()
+  const { error } = await supabase.from('user_2fa').update({
+    enabled: true,
+    last_step: step,
+    recovery_codes: hashRecoveryCodes(recoveryCodes),
+    confirmado_em: new Date().toISOString()
+  }).eq('user_id', userId)
+  if (error) throw error
+  return recoveryCodes
+}
+
+// Valida o segundo fator (código TOTP ou código de recuperação, que é consumido).
+export async function verifySecondFactor(userId, { codigo, recovery_code } = {}) {
+  const row = await getTwoFactor(userId)
+  if (!row || !row.enabled) return false
+
+  if (codigo) {
+    const step = verifyTotp(row.secret, codigo, { lastStep: row.last_step })
+    if (step === null) return false
+    const { error } = await supabase.from('user_2fa').update({ last_step: step }).eq('user_id', userId)
+    if (error) throw error
+    return true
+  }
+
+  if (recovery_code) {
+    const hash = hashOpaqueToken(String(recovery_code).trim().toLowerCase())
+    const codes = Array.isArray(row.recovery_codes) ? row.recovery_codes : []
+    if (!codes.includes(hash)) return false
+    const { error } = await supabase.from('user_2fa').update({ recovery_codes: codes.filter(c => c !== hash) }).eq('user_id', userId)
+    if (error) throw error
+    logger.info('[2FA] código de recuperação usado', { user_id: userId, restantes: codes.length - 1 })
+    return true
+  }
+
+  return false
+}
+
+export async function regenerateRecoveryCodes(userId) {
+  const recoveryCodes = generateRecoveryCodes()
+  const { error } = await supabase.from('user_2fa').update({ recovery_codes: hashRecoveryCodes(recoveryCodes) }).eq('user_id', userId)
+  if (error) throw error
+  return recoveryCodes
+}
+
+export async function disableTwoFactor(userId) {
+  const { error } = await supabase.from('user_2fa').delete().eq('user_id', userId)
+  if (error) throw error
+}
@@ -0,0 +1,199 @@
+import { supabase } from './supabaseClient.js'
+import { ApiError } from './errors.js'
+import { logger } from './logger.js'
+import { USER_VIEWS, serializeUser } from './userSerializer.js'
+
+// Detecção e fusão de contas duplicadas (várias linhas de users com o mesmo email normalizado).
+// A fusão escolhe uma linha sobrevivente e, numa transação só (função merge_users da migração 0011; no SQLite,
+// mergeUsersSqlite), aponta os dados das duplicatas para ela e manda as duplicatas para a lixeira.
+// Só contas ativas entram: linhas na lixeira (deleted_at) não são duplicatas nem sobreviventes; elas seguem o fluxo
+// da lixeira (restaurar com checagem de email, ou purga depois da retenção).
+
+export class MergeError extends ApiError {
+  constructor(message, code, status) {
+    super(message, code, status)
+    this.name = 'MergeError'
+  }
+}
+
+// Colunas que guardam o email ou o id do usuário, na mesma ordem da função merge_users (migrations/postgres/0011).
+// key: demais colunas da restrição única que inclui a coluna ([] quando ela é única sozinha); a linha da duplicata que
+// colidiria com uma do sobrevivente é descartada. audit_log, idempotency_keys e admin_bootstrap são histórico e ficam
+// com os ids originais (as duplicatas seguem na lixeira).
+const USER_EMAIL_REFERENCES = [
+  { table: 'treinos', column: 'aluno_email' },
+  { table: 'progresso', column: 'aluno_email' },
+  { table: 'mensagens', column: 'de' },
+  { table: 'mensagens', column: 'para' },
+  { table: 'contracts', column: 'aluno_email' },
+  { table: 'contracts', column: 'professor_email' },
+  { table: 'contract_settings', column: 'aluno_email', key: ['professor_email'] },
+  { table: 'contract_settings', column: 'professor_email', key: ['aluno_email'] },
+  { table: 'admin_contracts', column: 'professor_email' },
+  { table: 'admin_contracts', column: 'admin_email' },
+  { table: 'alunos', column: 'email', key: [] },
+  { table: 'alunos', column: 'professor_email' },
+  { table: 'posts', column: 'autor_email' },
+  { table: 'curtidas', column: 'usuario_email', key: ['post_id'] },
+  { table: 'comentarios', column: 'usuario_email' },
+  { table: 'convites', column: 'email' },
+  { table: 'convites', column: 'professor_email' },
+  { table: 'password_resets', column: 'email' },
+  { table: 'consultorias', column: 'criado_por' },
+  { table: 'users', column: 'criado_por' }
+]
+
+const USER_ID_REFERENCES = [
+  { table: 'consultorias', column: 'client_id' },
+  { table: 'convites', column: 'user_id' },
+  { table: 'password_resets', column: 'user_id' },
+  { table: 'user_2fa', column: 'user_id', key: [] }
+]
+
+const referenceName = ({ table, column }) => `${table}.${column}`
+
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase()
+
+// Agrupa as linhas de users por email normalizado e devolve só os grupos com mais de uma linha
+export async function findDuplicateUsers() {
+  const { data, error } = await supabase.from('users').select('*').is('deleted_at', null)
+  if (error) throw error
+
+  const groups = new Map()
+  for (const row of data || []) {
+    const key = normalizeEmail(row.email)
+    if (!key) continue
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(row)
+  }
+
+  return [...groups.entries()]
+    .filter(([, rows]) => rows.length > 1)
+    .map(([email, rows]) => ({
+      email,
+      count: rows.length,
+      sugestao_sobrevivente: suggestSurvivor(rows).id,
+      users: rows.map(r => serializeUser(r, USER_VIEWS.ADMIN))
+    }))
+    .sort((a, b) => b.count - a.count || a.email.localeCompare(b.email))
+}
+
+// Sugere a linha mais antiga com email já normalizado; em empate, o menor id
+function suggestSurvivor(rows) {
+  const created = (r) => new Date(r.created_at || r.criado_em || 0).getTime() || 0
+  return [...rows].sort((a, b) =>
+    (normalizeEmail(a.email) === a.email ? 0 : 1) - (normalizeEmail(b.email) === b.email ? 0 : 1) ||
+    created(a) - created(b) ||
+    Number(a.id) - Number(b.id)
+  )[0]
+}
+
+async function countMatches(table, column, values) {
+  if (!values.length) return 0
+  const { count, error } = await supabase.from(table).select('*', { count: 'exact', head: true }).in(column, values)
+  if (error) throw error
+  return count || 0
+}
+
+// merge_users para o SQLite, com os mesmos passos e o mesmo retorno da função do Postgres; roda dentro de
+// client.transaction (ver defineRpc em sqliteClient.js)
+async function mergeUsersSqlite(tx, { p_survivor_id: survivorId, p_duplicate_ids: duplicateIds }) {
+  const survivor = await tx.get('SELECT * FROM users WHERE id = ? AND deleted_at IS NULL', [survivorId])
+  if (!survivor) throw new Error(`Usuário sobrevivente ${survivorId} não encontrado`)
+  const email = normalizeEmail(survivor.email)
+
+  const marks = duplicateIds.map(() => '?').join(', ')
+  const duplicates = duplicateIds.length
+    ? await tx.all(`SELECT * FROM users WHERE id IN (${marks}) AND id <> ? AND deleted_at IS NULL`, [...duplicateIds, survivorId])
+    : []
+  if (!duplicates.length || duplicates.length !== new Set(duplicateIds.map(String)).size || duplicates.some(r => normalizeEmail(r.email) !== email)) {
+    throw new Error(`Duplicatas de ${email} mudaram desde a verificação; confira GET /admin/users/duplicates`)
+  }
+  const oldEmails = [...new Set([survivor, ...duplicates].map(r => r.email).filter(e => e && e !== email))]
+
+  const result = { email, referencias: {}, descartadas: {} }
+  const repoint = async ({ table, column, key }, target, old) => {
+    const name = referenceName({ table, column })
+    if (key) result.descartadas[name] = 0
+    if (!old.length) {
+      result.referencias[name] = 0
+      return
+    }
+    const oldMarks = old.map(() => '?').join(', ')
+    if (key) {
+      const sameKey = key.map(k => ` AND o.[${k}] IS c.[${k}]`).join('')
+      result.descartadas[name] = await tx.run(
+        `DELETE FROM [${table}] AS c WHERE c.[${column}] IN (${oldMarks}) AND EXISTS (SELECT 1 FROM [${table}] o WHERE o.rowid <> c.rowid` +
+        ` AND (o.[${column}] = ? OR (o.[${column}] IN (${oldMarks}) AND o.rowid < c.rowid))${sameKey})`,
+        [...old, target, ...old]
+      )
+    }
+    result.referencias[name] = await tx.run(`UPDATE [${table}] SET [${column}] = ? WHERE [${column}] IN (${oldMarks})`, [target, ...old])
+  }
+
+  for (const ref of USER_EMAIL_REFERENCES) await repoint(ref, email, oldEmails)
+  for (const ref of USER_ID_REFERENCES) await repoint(ref, survivor.id, duplicates.map(r => r.id))
+
+  await tx.run(
+    'UPDATE posts SET curtidas_count = (SELECT COUNT(*) FROM curtidas c WHERE c.post_id = posts.id) WHERE id IN (SELECT post_id FROM curtidas WHERE usuario_email = ?)',
+    [email]
+  )
+  await tx.run(`UPDATE users SET deleted_at = ? WHERE id IN (${marks})`, [new Date().toISOString(), ...duplicateIds])
+  if (survivor.email !== email) await tx.run('UPDATE users SET email = ? WHERE id = ?', [email, survivor.id])
+  return result
+}
+
+if (typeof supabase.defineRpc === 'function') supabase.defineRpc('merge_users', mergeUsersSqlite)
+
+// Funde as duplicatas na linha sobrevivente: tudo numa transação, então ou a fusão inteira entra ou nada muda.
+// Com dryRun só conta o que seria alterado.
+export async function mergeUsers({ survivorId, duplicateIds, dryRun = false }) {
+  const { data: survivor, error: survivorErr } = await supabase.from('users').select('*').eq('id', survivorId).is('deleted_at', null).maybeSingle()
+  if (survivorErr) throw survivorErr
+  if (!survivor) throw new MergeError('Usuário sobrevivente não encontrado', 'NOT_FOUND', 404)
+
+  const email = normalizeEmail(survivor.email)
+  const { data: candidates, error: listErr } = await supabase.from('users').select('*').is('deleted_at', null)
+  if (listErr) throw listErr
+  const sameEmail = (candidates || []).filter(r => String(r.id) !== String(survivor.id) && normalizeEmail(r.email) === email)
+
+  let duplicates = sameEmail
+  if (Array.isArray(duplicateIds) && duplicateIds.length) {
+    const wanted = duplicateIds.map(String)
+    duplicates = sameEmail.filter(r => wanted.includes(String(r.id)))
+    const invalid = wanted.filter(id => !duplicates.some(r => String(r.id) === id))
+    if (invalid.length) {
+      throw new MergeError(`Ids que não são duplicatas ativas de ${email}: ${invalid.join(', ')}`, 'NOT_DUPLICATE', 400)
+    }
+  }
+  if (!duplicates.length) throw new MergeError('Nenhuma duplicata encontrada para este usuário', 'NO_DUPLICATES', 409)
+
+  const duplicateRowIds = duplicates.map(r => r.id)
+  const report = {
+    email,
+    sobrevivente: serializeUser(survivor, USER_VIEWS.ADMIN),
+    removidos: duplicates.map(r => serializeUser(r, USER_VIEWS.ADMIN)),
+    referencias: {},
+    descartadas: {},
+    dry_run: !!dryRun,
+    executado_em: new Date().toISOString()
+  }
+
+  if (dryRun) {
+    // Variações de email das duplicatas (e do próprio sobrevivente, se não estiver normalizado)
+    const oldEmails = [...new Set([...duplicates.map(r => r.email), survivor.email].filter(e => e && e !== email))]
+    for (const ref of USER_EMAIL_REFERENCES) report.referencias[referenceName(ref)] = await countMatches(ref.table, ref.column, oldEmails)
+    for (const ref of USER_ID_REFERENCES) report.referencias[referenceName(ref)] = await countMatches(ref.table, ref.column, duplicateRowIds)
+    return report
+  }
+
+  const { data, error } = await supabase.rpc('merge_users', { p_survivor_id: survivor.id, p_duplicate_ids: duplicateRowIds })
+  if (error) {
+    logger.error('[Merge] fusão desfeita', { survivorId: survivor.id, duplicateIds: duplicateRowIds, code: error.code, error: error.message })
+    throw error
+  }
+  report.referencias = data.referencias
+  report.descartadas = data.descartadas
+  report.sobrevivente.email = data.email
+  return report
+}
@@ -0,0 +1,48 @@
+import { ROLES } from './policies.js'
+import { canAccessUser } from './ownership.js'
+
+// Serialização central de linhas da tabela users. Nenhuma rota deve devolver uma linha de users crua.
+// Visões:
+// - public: dados de exibição (outros usuários)
+// - self: o próprio usuário ou quem responde por ele (professor dono do aluno)
+// - admin: dados de gestão (inclui exclusão lógica)
+// Toda visão é uma lista de campos permitidos: coluna nova em users só sai em resposta depois de entrar numa lista aqui.
+
+// Colunas que nunca saem em resposta, em nenhuma visão (os testes em test/userSerializer.test.js conferem)
+export const SECRET_USER_COLUMNS = Object.freeze([
+  'senha', 'senha_hash', 'password', 'totp_secret', 'recovery_codes', 'token_hash', 'invite_token_hash', 'reset_token'
+])
+
+const PUBLIC_FIELDS = ['id', 'nome', 'email', 'tipo', 'foto']
+const SELF_FIELDS = [...PUBLIC_FIELDS, 'criado_por', 'contract_end', 'blocked', 'created_at', 'criado_em', 'status']
+const ADMIN_FIELDS = [...SELF_FIELDS, 'deleted_at', 'updated_at']
+
+const VIEW_FIELDS = { public: PUBLIC_FIELDS, self: SELF_FIELDS, admin: ADMIN_FIELDS }
+
+export const USER_VIEWS = Object.freeze({ PUBLIC: 'public', SELF: 'self', ADMIN: 'admin' })
+
+const pick = (row, fields) => {
+  const out = {}
+  for (const f of fields) if (row[f] !== undefined) out[f] = row[f]
+  return out
+}
+
+export function serializeUser(row, view = USER_VIEWS.PUBLIC) {
+  if (!row || typeof row !== 'object') return row
+  return pick(row, VIEW_FIELDS[view] || PUBLIC_FIELDS)
+}
+
+// Escolhe a visão de acordo com quem pede: admin -> admin, dono/próprio -> self, demais -> public
+export function userViewFor(requester, row) {
+  if (requester && requester.tipo === ROLES.ADMIN) return USER_VIEWS.ADMIN
+  if (requester && canAccessUser(requester, row)) return USER_VIEWS.SELF
+  return USER_VIEWS.PUBLIC
+}
+
+export function serializeUserFor(requester, row) {
+  return serializeUser(row, userViewFor(requester, row))
+}
+
+export function serializeUsersFor(requester, rows) {
+  return (rows || []).map(row => serializeUserFor(requester, row))
+}
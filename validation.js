@@ -0,0 +1,272 @@
+// Validação declarativa de entrada por rota (params, query e body).
+// O formato esperado vem logo depois da política de acesso (e do multer, quando houver):
+//   app.post('/treinos', allow(ROLES.ADMIN, ROLES.PROFESSOR), validate({ body: { aluno_email: v.email(), treino: treinoSchema } }), handler)
+// Os valores são convertidos (ids numéricos, datas ISO, booleanos, JSON enviado como string) e gravados de volta
+// em req.params/req.query/req.body; campos não declarados passam sem alteração.
+// Qualquer falha vira ValidationError (errors.js), que responde 400 listando todos os campos inválidos:
+//   { error: 'Dados inválidos', code: 'VALIDATION_ERROR', campos: [{ campo: 'body.email', erro: 'deve ser um email válido' }] }
+// Regras entre campos (ex.: codigo ou recovery_code) ficam no handler, que lança ValidationError no mesmo formato.
+// Cada schema também se descreve em JSON Schema (toJsonSchema); openapi.js usa isso para documentar as rotas.
+
+import { ValidationError } from './errors.js'
+
+const SOURCES = ['params', 'query', 'body']
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/
+
+// Sinaliza valor inválido dentro de um conversor; o schema transforma em { campo, erro }
+class Invalid {
+  constructor(message) {
+    this.message = message
+  }
+}
+
+const invalid = (message) => new Invalid(message)
+
+const SHAPES = Symbol('validationShapes')
+
+class Schema {
+  // blank: 'trim' (só espaços conta como ausente), 'empty' (só a string vazia) ou 'keep' (string vazia é valor)
+  // json: JSON Schema do valor aceito (objeto ou função, para shapes aninhados)
+  constructor(convert, { blank = 'trim', json = {} } = {}) {
+    this.convert = convert
+    this.blank = blank
+    this.json = json
+    this.isOptional = false
+    this.defaultValue = undefined
+    this.checks = []
+  }
+
+  // Campo pode faltar (undefined, null ou string vazia); o valor original é mantido
+  optional() {
+    this.isOptional = true
+    return this
+  }
+
+  // Valor usado quando o campo falta
+  default(value) {
+    this.isOptional = true
+    this.defaultValue = value
+    return this
+  }
+
+  // Regra extra sobre o valor já convertido: fn(valor) devolve a mensagem de erro ou null
+  check(fn) {
+    this.checks.push(fn)
+    return this
+  }
+
+  toJsonSchema() {
+    const out = typeof this.json === 'function' ? this.json() : { ...this.json }
+    if (this.defaultValue !== undefined) out.default = this.defaultValue
+    return out
+  }
+
+  run(value, campo, errors) {
+    const isBlank = typeof value === 'string' && (this.blank === 'trim' ? value.trim() === '' : this.blank === 'empty' && value === '')
+    const missing = value === undefined || value === null || isBlank
+    if (missing) {
+      if (this.defaultValue !== undefined) return this.defaultValue
+      if (!this.isOptional) errors.push({ campo, erro: 'é obrigatório' })
+      return value
+    }
+    const converted = this.convert(value, campo, errors)
+    if (converted instanceof Invalid) {
+      errors.push({ campo, erro: converted.message })
+      return value
+    }
+    for (const fn of this.checks) {
+      const message = fn(converted)
+      if (message) {
+        errors.push({ campo, erro: message })
+        return value
+      }
+    }
+    return converted
+  }
+}
+
+// Aceita JSON enviado como string (multipart/form-data e clientes antigos mandam objetos assim)
+function parseJsonString(value) {
+  if (typeof value !== 'string') return value
+  try {
+    return JSON.parse(value)
+  } catch (e) {
+    return value
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+function runShape(shape, input, prefix, errors) {
+  const output = { ...input }
+  for (const [key, schema] of Object.entries(shape)) {
+    const value = schema.run(input[key], `${prefix}.${key}`, errors)
+    if (value !== undefined) output[key] = value
+  }
+  return output
+}
+
+// JSON Schema de um shape ({ campo: schema }); campos sem optional()/default() entram em required
+export function shapeToJsonSchema(shape) {
+  const properties = {}
+  const required = []
+  for (const [key, schema] of Object.entries(shape)) {
+    properties[key] = schema.toJsonSchema()
+    if (!schema.isOptional) required.push(key)
+  }
+  const out = { type: 'object', properties }
+  if (required.length) out.required = required
+  return out
+}
+
+export const v = {
+  string({ min, max, trim = true, lowercase = false, pattern, patternMessage = 'formato inválido' } = {}) {
+    return new Schema((value) => {
+      if (typeof value !== 'string' && typeof value !== 'number') return invalid('deve ser um texto')
+      let text = String(value)
+      if (trim) text = text.trim()
+      if (lowercase) text = text.toLowerCase()
+      if (min !== undefined && text.length < min) return invalid(`deve ter pelo menos ${min} caracteres`)
+      if (max !== undefined && text.length > max) return invalid(`deve ter no máximo ${max} caracteres`)
+      if (pattern && !pattern.test(text)) return invalid(patternMessage)
+      return text
+    }, { blank: trim ? 'trim' : 'empty', json: { type: 'string', ...(min !== undefined && { minLength: min }), ...(max !== undefined && { maxLength: max }) } })
+  },
+
+  // Email sem espaços e, por padrão, em minúsculas (lowercase: false preserva a grafia, ex.: login de contas antigas)
+  email({ lowercase = true } = {}) {
+    const schema = v.string({ lowercase, max: 254, pattern: EMAIL_PATTERN, patternMessage: 'deve ser um email válido' })
+    schema.json.format = 'email'
+    return schema
+  },
+
+  // Id numérico positivo (número ou string só com dígitos)
+  id() {
+    return new Schema((value) => {
+      const text = String(value).trim()
+      if (!/^\d+$/.test(text) || Number(text) <= 0 || !Number.isSafeInteger(Number(text))) return invalid('deve ser um id numérico')
+      return Number(text)
+    }, { json: { type: 'integer', minimum: 1 } })
+  },
+
+  integer({ min, max } = {}) {
+    return v.number({ min, max, integer: true })
+  },
+
+  number({ min, max, integer = false } = {}) {
+    return new Schema((value) => {
+      const number = typeof value === 'number' ? value : (typeof value === 'string' ? Number(value.trim()) : NaN)
+      if (!Number.isFinite(number)) return invalid('deve ser um número')
+      if (integer && !Number.isInteger(number)) return invalid('deve ser um número inteiro')
+      if (min !== undefined && number < min) return invalid(`deve ser maior ou igual a ${min}`)
+      if (max !== undefined && number > max) return invalid(`deve ser menor ou igual a ${max}`)
+      return number
+    }, { json: { type: integer ? 'integer' : 'number', ...(min !== undefined && { minimum: min }), ...(max !== undefined && { maximum: max }) } })
+  },
+
+  boolean() {
+    return new Schema((value) => {
+      if (value === true || value === 'true' || value === 1 || value === '1') return true
+      if (value === false || value === 'false' || value === 0 || value === '0') return false
+      return invalid('deve ser true ou false')
+    }, { json: { type: 'boolean' } })
+  },
+
+  // Data ISO 8601 convertida para o formato completo em UTC; time: false mantém só YYYY-MM-DD
+  isoDate({ time = true } = {}) {
+    return new Schema((value) => {
+      const date = value instanceof Date ? value : (typeof value === 'string' && ISO_DATE_PATTERN.test(value.trim()) ? new Date(value.trim()) : null)
+      if (!date || isNaN(date.getTime())) return invalid(time ? 'deve ser uma data ISO 8601' : 'deve ser uma data no formato AAAA-MM-DD')
+      const iso = date.toISOString()
+      return time ? iso : iso.slice(0, 10)
+    }, { json: { type: 'string', format: time ? 'date-time' : 'date' } })
+  },
+
+  // URL absoluta http(s)
+  url() {
+    return new Schema((value) => {
+      if (typeof value !== 'string') return invalid('deve ser uma URL http(s) válida')
+      const text = value.trim()
+      try {
+        const { protocol } = new URL(text)
+        if (protocol === 'http:' || protocol === 'https:') return text
+      } catch (e) { /* cai no erro abaixo */ }
+      return invalid('deve ser uma URL http(s) válida')
+    }, { json: { type: 'string', format: 'uri' } })
+  },
+
+  // Objeto (ou JSON de objeto em string). Com shape, valida os campos declarados e mantém os demais.
+  object(shape) {
+    return new Schema((value, campo, errors) => {
+      const parsed = parseJsonString(value)
+      if (!isPlainObject(parsed)) return invalid('deve ser um objeto')
+      return shape ? runShape(shape, parsed, campo, errors) : parsed
+    }, { json: () => (shape ? { ...shapeToJsonSchema(shape), additionalProperties: true } : { type: 'object', additionalProperties: true }) })
+  },
+
+  // Lista (ou JSON de lista em string) cujos itens seguem o schema informado
+  array(item, { min, max } = {}) {
+    return new Schema((value, campo, errors) => {
+      const parsed = parseJsonString(value)
+      if (!Array.isArray(parsed)) return invalid('deve ser uma lista')
+      if (min !== undefined && parsed.length < min) return invalid(`deve ter pelo menos ${min} ${min === 1 ? 'item' : 'itens'}`)
+      if (max !== undefined && parsed.length > max) return invalid(`deve ter no máximo ${max} itens`)
+      return item ? parsed.map((entry, i) => item.run(entry, `${campo}[${i}]`, errors)) : parsed
+    }, { json: () => ({ type: 'array', items: item ? item.toJsonSchema() : {}, ...(min !== undefined && { minItems: min }), ...(max !== undefined && { maxItems: max }) }) })
+  },
+
+  oneOf(values) {
+    return new Schema((value) => (values.includes(value) ? value : invalid(`deve ser um de: ${values.join(', ')}`)), { json: { enum: values } })
+  },
+
+  // Primeiro schema que aceitar o valor; se nenhum aceitar, responde a mensagem informada
+  anyOf(schemas, message) {
+    return new Schema((value) => {
+      for (const schema of schemas) {
+        const errors = []
+        const converted = schema.run(value, '', errors)
+        if (errors.length === 0) return converted
+      }
+      return invalid(message)
+    }, { json: () => ({ anyOf: schemas.map(schema => schema.toJsonSchema()) }) })
+  },
+
+  // Qualquer valor presente (string vazia inclusive)
+  any() {
+    return new Schema((value) => value, { blank: 'keep' })
+  }
+}
+
+// Middleware: valida e converte req.params, req.query e req.body conforme os shapes informados
+export function validate(shapes) {
+  for (const [source, shape] of Object.entries(shapes)) {
+    if (!SOURCES.includes(source)) throw new Error(`validate(): origem desconhecida "${source}" (use ${SOURCES.join(', ')})`)
+    for (const [key, schema] of Object.entries(shape)) {
+      if (!(schema instanceof Schema)) throw new Error(`validate(): ${source}.${key} não é um schema (use v.*)`)
+    }
+  }
+
+  const middleware = (req, res, next) => {
+    const errors = []
+    const results = {}
+    for (const [source, shape] of Object.entries(shapes)) {
+      results[source] = runShape(shape, req[source] || {}, source, errors)
+    }
+    if (errors.length > 0) return next(new ValidationError(errors))
+
+    // req.params/req.query são objetos do Express: atualiza no lugar em vez de substituir
+    for (const [source, output] of Object.entries(results)) {
+      if (!req[source]) req[source] = {}
+      Object.assign(req[source], output)
+    }
+    return next()
+  }
+  middleware[SHAPES] = shapes
+  return middleware
+}
+
+// Shapes declarados em validate() por um handler da rota (null se não for um middleware de validação)
+export function getValidationShapes(handler) {
+  return (handler && handler[SHAPES]) || null
+}